@@ -0,0 +1,72 @@
+/**
+ * scripts/allocate.js
+ * 多户分配命令行：读取家庭列表，分配互不重复的房源组合，输出 JSON，可选导出 Excel。
+ *
+ * 用法：
+ *   node scripts/allocate.js --households households.json [--objective total|max] [--candidatesPerHousehold 200]
+ *                            [--maxNodes 200000] [--source AB] [--minArea 60] [--maxArea 140] [--structure LMM]
+ *                            [--compositions ABC,AABC] [--sizes 3,4] [--ban 房源编号,...] [--excel allocation.xlsx]
+ * households.json：数组 [{ "name": "张三", "target": 318.64, "giftArea": 0 }, ...]，或 { "households": [...] }
+ * 参数非法或文件无法读取时以状态码 1 退出。
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("../src/cli");
+const { allocateHouseholds } = require("../src/allocate");
+const { exportAllocationToExcel } = require("../src/export");
+const { normalizeStructure } = require("../src/structure");
+const { parseUnitSelection } = require("../src/unit");
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function main() {
+  const args = parseArgs(process.argv);
+  if (typeof args.households !== "string") {
+    fail("用法：node scripts/allocate.js --households households.json [--objective total|max] [--candidatesPerHousehold 200] [--excel allocation.xlsx]");
+  }
+
+  let households;
+  try {
+    const data = JSON.parse(fs.readFileSync(path.resolve(args.households), "utf8"));
+    households = Array.isArray(data) ? data : data && data.households;
+  } catch (e) {
+    fail(`读取家庭列表失败：${e.message}`);
+  }
+
+  const str = (v) => (typeof v === "string" ? v : undefined);
+  let allocation;
+  try {
+    allocation = allocateHouseholds(households, {
+      objective: str(args.objective),
+      candidatesPerHousehold: str(args.candidatesPerHousehold),
+      maxNodes: str(args.maxNodes),
+      source: str(args.source),
+      minArea: args.minArea !== undefined ? Number(args.minArea) : undefined,
+      maxArea: args.maxArea !== undefined ? Number(args.maxArea) : undefined,
+      structure: normalizeStructure(str(args.structure)),
+      compositions: str(args.compositions),
+      sizes: str(args.sizes),
+      ban: parseUnitSelection(undefined, str(args.ban)).ban,
+    });
+  } catch (e) {
+    fail(e.message);
+  }
+  console.log(JSON.stringify(allocation, null, 2));
+
+  if (args.excel) {
+    const excelPath = path.resolve(args.excel === true ? "./allocation.xlsx" : args.excel);
+    try {
+      exportAllocationToExcel(allocation, excelPath);
+      console.error(`Excel 已导出: ${excelPath}`);
+    } catch (e) {
+      fail(`导出 Excel 失败: ${e.message}`);
+    }
+  }
+}
+
+main();
+// solver 监听 config.json 会保持事件循环，结束后主动退出
+process.exit(0);
@@ -0,0 +1,94 @@
+/**
+ * scripts/bench-topk.js
+ * TopK 容器基准：在真实数据上对比旧版 pushTopK 与 TopKHeap。
+ *
+ * 做法：先用求解器在真实数据上跑一次，记录进入 TopK 容器的候选序列；
+ * 再把同一序列分别回放给两种实现，比较耗时并校验结果（含顺序）完全一致。
+ *
+ * 用法：
+ *   node scripts/bench-topk.js [--target 318.64] [--topK 1000,10000,30000] [--sizes 3] [--compositions ABC]
+ *                              [--minArea 60] [--maxArea 140] [--maxCandidates 1000000]
+ * 说明：旧版实现每次插入 O(K log K)，K 较大且候选较多时会非常慢，可用 --maxCandidates 限制回放条数（仅回放最先产生的 N 条）。
+ */
+const { makeKey, TopKHeap, pushTopK } = require("../src/topk");
+const { solveTopK } = require("../src/solver");
+const { parseArgs } = require("../src/cli");
+
+function ms(t0) {
+  return Number(process.hrtime.bigint() - t0) / 1e6;
+}
+
+// 记录求解过程中进入 TopK 容器的候选序列
+function recordStream(target, options, maxCandidates) {
+  const stream = [];
+  const origPush = TopKHeap.prototype.push;
+  TopKHeap.prototype.push = function (candidate) {
+    if (stream.length < maxCandidates) stream.push({ sum: candidate.sum, picked: candidate.picked });
+    return origPush.call(this, candidate);
+  };
+  try {
+    solveTopK(target, options);
+  } finally {
+    TopKHeap.prototype.push = origPush;
+  }
+  return stream;
+}
+
+function runLegacy(stream, k) {
+  const topList = [];
+  const seenKeys = new Set();
+  for (const c of stream) pushTopK(topList, seenKeys, c, k);
+  return topList;
+}
+
+function runHeap(stream, k) {
+  const heap = new TopKHeap(k);
+  for (const c of stream) heap.push(c);
+  return heap.drain();
+}
+
+function sameResult(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i].sum !== b[i].sum || makeKey(a[i].picked) !== makeKey(b[i].picked)) return false;
+  }
+  return true;
+}
+
+function main() {
+  const args = parseArgs(process.argv);
+  const target = Number(args.target ?? 318.64);
+  const ks = String(args.topK ?? "1000,10000,30000")
+    .split(",")
+    .map(Number)
+    .filter((n) => Number.isInteger(n) && n > 0);
+  const maxCandidates = Number(args.maxCandidates ?? 1000000);
+  const options = {
+    sizes: typeof args.sizes === "string" ? args.sizes : undefined,
+    compositions: typeof args.compositions === "string" ? args.compositions : undefined,
+    minArea: args.minArea !== undefined ? Number(args.minArea) : undefined,
+    maxArea: args.maxArea !== undefined ? Number(args.maxArea) : undefined,
+  };
+
+  console.log(`[BENCH] target=${target} topK=${ks.join(",")} maxCandidates=${maxCandidates}`);
+  for (const k of ks) {
+    const stream = recordStream(target, { ...options, topK: k }, maxCandidates);
+
+    let t0 = process.hrtime.bigint();
+    const legacy = runLegacy(stream, k);
+    const legacyMs = ms(t0);
+
+    t0 = process.hrtime.bigint();
+    const heap = runHeap(stream, k);
+    const heapMs = ms(t0);
+
+    const speedup = heapMs > 0 ? (legacyMs / heapMs).toFixed(1) : "∞";
+    console.log(
+      `[BENCH] topK=${k} candidates=${stream.length} kept=${heap.length} pushTopK=${legacyMs.toFixed(2)} ms TopKHeap=${heapMs.toFixed(2)} ms speedup=${speedup}x same=${sameResult(legacy, heap)}`
+    );
+  }
+}
+
+main();
+// solver 监听 config.json 会保持事件循环，基准结束后主动退出
+process.exit(0);
@@ -0,0 +1,127 @@
+/**
+ * scripts/check-solver.js
+ * 求解器约束校验：在真实数据上用穷举（按面积窗口枚举全部组合）计算 TopK，与 solveTopK 的结果逐项比较面积和。
+ *
+ * 覆盖：不限、套型组合（structure）、按来源/小区的套数约束（counts）、楼层/幢号/门牌号筛选（location，any / all 方式）。
+ * 穷举只枚举面积和落在 [target - window, target] 内的组合，不足 topK 个时窗口加倍，结果与全量枚举一致。
+ *
+ * 用法：node scripts/check-solver.js
+ * 任一用例不一致时打印差异并以退出码 1 结束。
+ */
+const { buildSolveContext, solveTopK } = require("../src/solver");
+const { defaultRules, rulesFromPolicy, compileRules } = require("../src/rules");
+const { compositionKey } = require("../src/composition");
+const { STRUCTURE_PATTERNS, DEFAULT_LARGE_MORE_THAN, DEFAULT_SMALL_LESS_THAN, categorizeArea, matchesStructurePattern } = require("../src/structure");
+const { makeKey } = require("../src/topk");
+const { bisectRightByArea } = require("../src/bisect");
+
+const CASES = [
+  { name: "不限", target: 318.64, options: { topK: 30, compositions: "ABC" } },
+  { name: "套型组合 LMM", target: 318.64, options: { topK: 30, compositions: "ABC", structure: "LMM" } },
+  { name: "套型组合 LLS", target: 312.64, options: { topK: 30, compositions: "ABC", structure: "LLS" } },
+  { name: "套型组合 MMSS（4 套）", target: 318.64, options: { topK: 30, sizes: "4", structure: "MMSS" } },
+  { name: "现房恰好 2 套", target: 318.64, options: { topK: 30, compositions: "ABC", counts: { xfCount: 2 } } },
+  { name: "现房恰好 2 套（4 套）", target: 318.64, options: { topK: 30, sizes: "4", counts: { xfCount: 2 }, minArea: 60, maxArea: 95 } },
+  { name: "同一小区不超过 1 套", target: 318.64, options: { topK: 30, compositions: "ABC", counts: { maxPerCommunity: 1 } } },
+  { name: "同一小区不超过 1 套（4 套）", target: 318.64, options: { topK: 30, sizes: "4", counts: { maxPerCommunity: 1 }, minArea: 60, maxArea: 95 } },
+  { name: "期房楼层 any", target: 318.64, options: { topK: 30, compositions: "ABC", location: { qfFloor: "3", qfFloorMode: "any" } } },
+  { name: "现房门牌号 any（4 套）", target: 318.64, options: { topK: 30, sizes: "4", location: { xfDoor: "56", xfDoorMode: "any" }, minArea: 60, maxArea: 95 } },
+  { name: "期房楼层 all", target: 318.64, options: { topK: 30, compositions: "ABC", location: { qfFloor: "2,3,4,5,6", qfFloorMode: "all" } } },
+];
+
+// 按类型分组并按面积升序（与求解器相同的候选过滤：类型、面积 ≤ target、套型组合类别）
+function groupCandidates(ctx, compositions, target, structure, large, small) {
+  const types = new Set(compositions.flatMap((c) => Object.keys(c)));
+  const cats = structure ? STRUCTURE_PATTERNS[structure] : null;
+  const byType = { A: [], B: [], C: [], D: [] };
+  for (const x of ctx.candidates) {
+    if (!types.has(x.type) || !(x.area > 0) || x.area > target) continue;
+    if (cats && !(cats[categorizeArea(x.area, large, small)] > 0)) continue;
+    byType[x.type].push(x);
+  }
+  for (const t of Object.keys(byType)) byType[t].sort((p, q) => p.area - q.area);
+  return byType;
+}
+
+// 面积和的比较容差：逐位累加与配对和累加的浮点误差不影响“≤ target”的判定
+const SUM_EPS = 1e-9;
+
+// 枚举面积和在 [low, target] 内的全部组合（同类型位置按下标严格递减，避免重复）
+function enumerate(byType, counts, low, target, visit) {
+  const slots = Object.keys(counts).flatMap((t) => Array(counts[t]).fill(t));
+  const n = slots.length;
+  const lists = slots.map((t) => byType[t]);
+  // restMax[k]：位置 k 及之后各位置面积上限之和（宽松上界，仅用于剪枝）
+  const restMax = new Array(n + 1).fill(0);
+  for (let k = n - 1; k >= 0; k--) restMax[k] = restMax[k + 1] + (lists[k].length ? lists[k][lists[k].length - 1].area : 0);
+  const picked = new Array(n);
+  (function dfs(k, partial, end) {
+    const arr = lists[k];
+    for (let i = bisectRightByArea(arr, target - partial + SUM_EPS, end) - 1; i >= 0; i--) {
+      const p = partial + arr[i].area;
+      if (p + restMax[k + 1] < low) break;
+      picked[k] = arr[i];
+      if (k === n - 1) visit(picked.slice(), p);
+      else dfs(k + 1, p, slots[k + 1] === slots[k] ? i : lists[k + 1].length);
+    }
+  })(0, 0, lists[0].length);
+}
+
+/**
+ * 穷举 TopK 的面积和（降序）
+ * @param {number} target
+ * @param {object} options 同 solveTopK
+ * @returns {number[]}
+ */
+function bruteTopK(target, options) {
+  const ctx = buildSolveContext(options);
+  const { constraints } = ctx;
+  const compositions = ctx.compositionsFor(0).filter((c) => !constraints.structure || compositionKey(c).length === STRUCTURE_PATTERNS[constraints.structure]["大"] + STRUCTURE_PATTERNS[constraints.structure]["中"] + STRUCTURE_PATTERNS[constraints.structure]["小"]);
+  const rules = compileRules([
+    ...(Array.isArray(constraints.rules) ? constraints.rules : defaultRules(ctx.fileAName, ctx.fileBName)),
+    ...rulesFromPolicy(ctx.disallowDominant, ctx.dominantMoreThan, ctx.othersLessThan),
+    ...constraints.extraRules,
+  ]);
+  const large = constraints.largeMoreThan ?? DEFAULT_LARGE_MORE_THAN;
+  const small = constraints.smallLessThan ?? DEFAULT_SMALL_LESS_THAN;
+  const byType = groupCandidates(ctx, compositions, target, constraints.structure, large, small);
+  for (let window = 1; ; window *= 2) {
+    const found = new Map(); // makeKey → sum（面积、类型、来源相同的组合视为同一结果）
+    for (const c of compositions) {
+      enumerate(byType, c, target - window, target, (picked, sum) => {
+        if (constraints.structure && !matchesStructurePattern(picked.map((x) => x.area), constraints.structure, large, small)) return;
+        if (rules.check(picked)) return;
+        found.set(makeKey(picked), sum);
+      });
+    }
+    if (found.size >= ctx.topK || window >= target) {
+      return [...found.values()].sort((a, b) => b - a).slice(0, ctx.topK);
+    }
+  }
+}
+
+function main() {
+  const quiet = console.log;
+  let failed = 0;
+  const only = process.argv[2];
+  for (const { name, target, options } of CASES) {
+    if (only && !name.includes(only)) continue;
+    console.log = () => {}; // 屏蔽求解器日志
+    let expected, actual;
+    try {
+      expected = bruteTopK(target, options).map((s) => s.toFixed(6));
+      actual = solveTopK(target, options).map((r) => r["兑换面积"].toFixed(6));
+    } finally {
+      console.log = quiet;
+    }
+    const same = expected.length === actual.length && expected.every((s, i) => s === actual[i]);
+    if (!same) failed++;
+    console.log(`${same ? "OK  " : "FAIL"} ${name}：${actual.length} 条${same ? "" : `\n  穷举：${expected.join(", ")}\n  求解：${actual.join(", ")}`}`);
+  }
+  console.log(failed ? `${failed} 个用例不一致` : "全部一致");
+  process.exit(failed ? 1 : 0);
+}
+
+if (require.main === module) main();
+
+module.exports = { bruteTopK };
@@ -0,0 +1,203 @@
+/**
+ * scripts/check-status.js
+ * 房源状态校验：保留到期（到期后恢复可售、不再占用、下次写入时移除）与指定保留人可用；
+ * 审计日志的撤销与回滚往返（撤销后再撤销、冲突检测、回滚到时间点后状态一致）。
+ *
+ * 状态文件与审计日志写在临时目录（环境变量 UNIT_STATE_DIR，见 src/status.js），不读写 data/，结束时删除。
+ *
+ * 用法：node scripts/check-status.js
+ * 任一用例失败时打印原因并以退出码 1 结束。
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const assert = require("assert");
+
+// 须在加载 src/status.js 之前设置
+const STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "check-status-"));
+process.env.UNIT_STATE_DIR = STATE_DIR;
+
+const {
+  STATUS_JSON,
+  getUnitStatuses,
+  invalidateUnitStatuses,
+  unitStatusRevision,
+  unitStatusOf,
+  unavailableIds,
+  availabilityVersion,
+  normalizeStatusUpdate,
+  setUnitStatuses,
+} = require("../src/status");
+const { AUDIT_LOG, recordAudit, recordStatusChanges, parseAuditQuery, queryAudit, planRevert, planRollback } = require("../src/audit");
+
+const HOUR = 3600 * 1000;
+// 校验用的房源编号（不要求存在于数据中）
+const UNIT_A = "期房:校验1幢1号101室";
+const UNIT_B = "现房:校验小区 1号101室";
+const UNIT_C = "现房:校验小区 2号101室";
+const META = { operator: "校验", reason: "check-status" };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 与 server.js 的 applyStatusChanges 相同：修改状态并记入审计日志，返回写入的记录
+function apply(updates, action = "update", extra) {
+  return recordStatusChanges(setUnitStatuses(updates.map((u) => (u.entry === undefined ? normalizeStatusUpdate(u) : u))), action, META, extra);
+}
+
+const statusOf = (id) => unitStatusOf(id).status;
+
+const CASES = [
+  {
+    name: "保留到期后恢复可售",
+    run() {
+      const now = Date.now();
+      setUnitStatuses([normalizeStatusUpdate({ id: UNIT_A, status: "held", holder: "张三", holdHours: 1 }, now)], now);
+      assert.strictEqual(unitStatusOf(UNIT_A, now).status, "held");
+      assert.strictEqual(unitStatusOf(UNIT_A, now + HOUR - 1).status, "held");
+      assert.strictEqual(unitStatusOf(UNIT_A, now + HOUR).status, "available");
+    },
+  },
+  {
+    name: "保留只对保留人可用，到期后对所有人可用",
+    run() {
+      const now = Date.now();
+      setUnitStatuses([normalizeStatusUpdate({ id: UNIT_A, status: "held", holder: "张三", holdHours: 1 }, now)], now);
+      assert.ok(unavailableIds(undefined, now).has(UNIT_A));
+      assert.ok(unavailableIds("李四", now).has(UNIT_A));
+      assert.ok(!unavailableIds("张三", now).has(UNIT_A));
+      assert.ok(!unavailableIds(undefined, now + 2 * HOUR).has(UNIT_A));
+    },
+  },
+  {
+    name: "保留到期后可用性版本变化",
+    run() {
+      const now = Date.now();
+      setUnitStatuses([normalizeStatusUpdate({ id: UNIT_A, status: "held", holder: "张三", holdHours: 1 }, now)], now);
+      assert.notStrictEqual(availabilityVersion(now), availabilityVersion(now + 2 * HOUR));
+    },
+  },
+  {
+    name: "每次写入修订号递增：保留后释放可用性版本仍变化，丢弃读取缓存后重新读到相同版本",
+    run() {
+      const now = Date.now();
+      const empty = availabilityVersion(now);
+      setUnitStatuses([normalizeStatusUpdate({ id: UNIT_A, status: "held", holder: "张三", holdHours: 1 }, now)], now);
+      const held = availabilityVersion(now);
+      setUnitStatuses([{ id: UNIT_A, entry: null }], now);
+      const released = availabilityVersion(now);
+      assert.strictEqual(new Set([empty, held, released]).size, 3);
+      assert.strictEqual(unitStatusRevision(), 2);
+      invalidateUnitStatuses();
+      assert.strictEqual(availabilityVersion(now), released);
+    },
+  },
+  {
+    name: "到期的保留在下次写入时移除，再次保留时视为可售",
+    run() {
+      const now = Date.now();
+      setUnitStatuses([normalizeStatusUpdate({ id: UNIT_A, status: "held", holder: "张三", holdHours: 1 }, now)], now);
+      const later = now + 2 * HOUR;
+      const changes = setUnitStatuses([normalizeStatusUpdate({ id: UNIT_B, status: "withdrawn" }, later)], later);
+      assert.deepStrictEqual(changes.map((c) => c.id), [UNIT_B]);
+      assert.ok(!getUnitStatuses().has(UNIT_A));
+      // 到期的保留视为可售：再次保留时 before 为 null
+      const again = setUnitStatuses([normalizeStatusUpdate({ id: UNIT_A, status: "held", holder: "李四" }, later)], later);
+      assert.strictEqual(again[0].before, null);
+    },
+  },
+  {
+    name: "保留时长与保留人校验",
+    run() {
+      const now = Date.now();
+      assert.throws(() => normalizeStatusUpdate({ id: UNIT_A, status: "held", holdHours: 1 }, now), /保留人/);
+      assert.throws(() => normalizeStatusUpdate({ id: UNIT_A, status: "held", holder: "张三", holdHours: 0 }, now), /holdHours/);
+      assert.throws(() => normalizeStatusUpdate({ id: UNIT_A, status: "held", holder: "张三", expiresAt: new Date(now - 1).toISOString() }, now), /晚于当前/);
+    },
+  },
+  {
+    name: "撤销往返：撤销后恢复修改前状态，撤销撤销记录后恢复修改后状态",
+    run() {
+      const [update] = apply([{ id: UNIT_A, status: "withdrawn" }]);
+      const first = planRevert(update.seq);
+      const [revert] = apply([first.update], "revert", { revertOf: update.seq });
+      assert.strictEqual(statusOf(UNIT_A), "available");
+      assert.strictEqual(revert.before.status, "withdrawn");
+      apply([planRevert(revert.seq).update], "revert", { revertOf: revert.seq });
+      assert.strictEqual(statusOf(UNIT_A), "withdrawn");
+      const { entries } = queryAudit(parseAuditQuery({ unit: UNIT_A, action: "update" }));
+      assert.strictEqual(entries[0].revertedBy, revert.seq);
+    },
+  },
+  {
+    name: "撤销冲突：之后又被修改过时拒绝（force 时仍然撤销），记录不存在或不可撤销时报错",
+    run() {
+      const [first] = apply([{ id: UNIT_A, status: "withdrawn" }]);
+      apply([{ id: UNIT_A, status: "confirmed" }]);
+      assert.throws(() => planRevert(first.seq), (e) => e.status === 409);
+      assert.strictEqual(planRevert(first.seq, { force: true }).update.entry, null);
+      assert.throws(() => planRevert(first.seq + 100), (e) => e.status === 404);
+      const [reload] = recordAudit([{ action: "reload", trigger: "check-status", summary: {} }], META);
+      assert.throws(() => planRevert(reload.seq), (e) => e.status === 400);
+    },
+  },
+  {
+    name: "回滚往返：恢复到时间点的状态，再次回滚无变化",
+    async run() {
+      apply([
+        { id: UNIT_A, status: "withdrawn" },
+        { id: UNIT_B, status: "confirmed" },
+      ]);
+      await sleep(5);
+      const to = Date.now();
+      await sleep(5);
+      apply([
+        { id: UNIT_A, status: "available" },
+        { id: UNIT_B, status: "held", holder: "张三" },
+        { id: UNIT_C, status: "withdrawn" },
+      ]);
+      const plan = planRollback(to);
+      assert.deepStrictEqual(plan.changes.map((c) => c.id).sort(), [UNIT_A, UNIT_B, UNIT_C].sort());
+      apply(plan.updates, "rollback", { rollbackTo: new Date(to).toISOString() });
+      assert.deepStrictEqual([UNIT_A, UNIT_B, UNIT_C].map(statusOf), ["withdrawn", "confirmed", "available"]);
+      assert.strictEqual(planRollback(to).updates.length, 0);
+      assert.throws(() => planRollback(Date.now() + HOUR), (e) => e.status === 400);
+    },
+  },
+  {
+    name: "回滚到保留期间：保留已到期时恢复为可售",
+    async run() {
+      apply([{ id: UNIT_A, status: "held", holder: "张三", holdHours: 1 }]);
+      await sleep(5);
+      const to = Date.now();
+      await sleep(5);
+      apply([{ id: UNIT_A, status: "withdrawn" }]);
+      assert.strictEqual(planRollback(to).updates[0].entry.status, "held");
+      assert.deepStrictEqual(planRollback(to, Date.now() + 2 * HOUR).updates, [{ id: UNIT_A, entry: null }]);
+    },
+  },
+];
+
+async function main() {
+  assert.strictEqual(path.dirname(STATUS_JSON), STATE_DIR);
+  assert.strictEqual(path.dirname(AUDIT_LOG), STATE_DIR);
+  let failed = 0;
+  try {
+    for (const { name, run } of CASES) {
+      fs.rmSync(STATUS_JSON, { force: true });
+      fs.rmSync(AUDIT_LOG, { force: true });
+      try {
+        await run();
+        console.log(`OK   ${name}`);
+      } catch (e) {
+        failed++;
+        console.log(`FAIL ${name}\n  ${e.message}`);
+      }
+    }
+  } finally {
+    fs.rmSync(STATE_DIR, { recursive: true, force: true });
+  }
+  console.log(failed ? `${failed} 个用例失败` : "全部通过");
+  process.exit(failed ? 1 : 0);
+}
+
+main();
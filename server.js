@@ -3,87 +3,68 @@
  * 简易 HTTP 服务，提供 Web UI 与 API：
  *  - GET /           ：返回表单页面
  *  - GET /config     ：返回当前配置默认值
- *  - GET /solve      ：根据查询参数计算并返回 JSON 结果
+ *  - GET /solve      ：根据查询参数计算并返回 JSON 结果（支持 structure 套型组合约束）
+ *  - GET /solve/stream：同 /solve，以 Server-Sent Events 推送计算进度与阶段性最优结果
+ *  - POST /solve/cancel：按 taskId 取消排队中或运行中的计算
+ *  - GET /cache/stats ：结果缓存的命中统计
  *  - GET /excel      ：根据查询参数计算并返回 Excel 文件下载
+ *  - POST /allocate  ：多户分配（每套房源只分给一户），?format=xlsx 返回 Excel
+ *  - POST /batch     ：批量求解多个目标面积（JSON 或上传 xlsx/csv），?format=xlsx 返回多工作表 Excel
  */
 const http = require("http");
 const fs = require("fs");
 const path = require("path");
 const { URL } = require("url");
 const { solveTopK } = require("./src/solver");
-const { exportToExcel } = require("./src/export");
-const { xianfangRows, qifangRows, QIFANG_JSON, XIANFANG_JSON, updateExclusionStatus, loadJson, saveJson } = require("./src/data");
-const { Worker } = require("worker_threads");
+const { exportToExcel, exportAllocationToExcel, exportBatchToExcel } = require("./src/export");
+const { normalizeStructure } = require("./src/structure");
+const { parseCompositionList, parseSizes } = require("./src/composition");
+const { normalizeDiversity } = require("./src/diversity");
+const { normalizeRanking } = require("./src/ranking");
+const { normalizePareto } = require("./src/pareto");
+const { normalizeLocationFilters, describeLocationFilters } = require("./src/location");
+const { normalizeAreaBounds, areaBoundsTable, describeAreaBounds } = require("./src/areabounds");
+const { normalizeCountConstraints } = require("./src/counts");
+const { normalizeGiftPolicy, parseGiftArea } = require("./src/gift");
+const { parseUnitSelection } = require("./src/unit");
+const { parseHouseholds, parseAllocateOptions } = require("./src/allocate");
+const { parseBatchBody, runBatch } = require("./src/batch");
+const { LRUCache, solveCacheKey } = require("./src/cache");
+const { previewUpload, takeUpload, cancelUpload } = require("./src/upload");
+const {
+  getQifangRows,
+  getXianfangRows,
+  SCHEMA,
+  QIFANG_XLSX,
+  XIANFANG_XLSX,
+  QIFANG_JSON,
+  XIANFANG_JSON,
+  rowUnitIds,
+  reloadFromExcel,
+  replaceExcel,
+  excelChanged,
+  loadJson,
+  saveJson,
+  getDatasetVersion,
+} = require("./src/data");
+const {
+  unitStatusOf,
+  availabilityVersion,
+  unitStatusRevision,
+  parseHolder,
+  normalizeStatusUpdate,
+  setUnitStatuses,
+} = require("./src/status");
+const { AUDIT_ACTIONS, parseAuditMeta, recordStatusChanges, parseAuditQuery, queryAudit, planRevert, planRollback } = require("./src/audit");
+const { WorkerPool } = require("./src/pool");
+const { httpError } = require("./src/httperror");
 const os = require("os");
+const crypto = require("crypto");
 
 const PORT = 3000;
 const PUBLIC_DIR = path.resolve(__dirname, "public");
 const CONFIG_PATH = path.resolve(__dirname, "config.json");
 
-// Worker pool for concurrent solveTopK to support multiple users
-class WorkerPool {
-  constructor(workerPath, size) {
-    this.workerPath = workerPath;
-    this.size = Math.max(1, Number(size) || 1);
-    this.idle = [];
-    this.queue = [];
-    this.currentTasks = new Map();
-    for (let i = 0; i < this.size; i++) this._spawn();
-  }
-  _spawn() {
-    const worker = new Worker(this.workerPath);
-    worker.on("message", (msg) => {
-      const task = this.currentTasks.get(worker);
-      if (task) {
-        this.currentTasks.delete(worker);
-        if (msg && msg.ok) task.resolve(msg.results);
-        else task.reject(new Error((msg && msg.error) || "Worker failed"));
-      }
-      this.idle.push(worker);
-      this._dequeue();
-    });
-    worker.on("error", (err) => {
-      const task = this.currentTasks.get(worker);
-      if (task) {
-        this.currentTasks.delete(worker);
-        task.reject(err);
-      }
-      this._replace(worker);
-    });
-    worker.on("exit", (code) => {
-      const task = this.currentTasks.get(worker);
-      if (task) {
-        this.currentTasks.delete(worker);
-        task.reject(new Error(`Worker exited with code ${code}`));
-      }
-      this._replace(worker);
-    });
-    this.idle.push(worker);
-  }
-  _replace(oldWorker) {
-    const i = this.idle.indexOf(oldWorker);
-    if (i >= 0) this.idle.splice(i, 1);
-    this._spawn();
-    this._dequeue();
-  }
-  _run(worker, payload, resolve, reject) {
-    this.currentTasks.set(worker, { resolve, reject });
-    worker.postMessage(payload);
-  }
-  _dequeue() {
-    if (!this.queue.length || !this.idle.length) return;
-    const worker = this.idle.pop();
-    const job = this.queue.shift();
-    this._run(worker, job.payload, job.resolve, job.reject);
-  }
-  runTask(payload) {
-    return new Promise((resolve, reject) => {
-      const worker = this.idle.pop();
-      if (worker) this._run(worker, payload, resolve, reject);
-      else this.queue.push({ payload, resolve, reject });
-    });
-  }
-}
 // Default concurrency: CPU cores - 1 (keep 1 core for main thread)
 const POOL = new WorkerPool(
   path.resolve(__dirname, "src/solve-worker.js"),
@@ -96,6 +77,7 @@ const POOL = new WorkerPool(
  * - 通过 fs.watchFile 监听变更并热更新缓存
  */
 let CONFIG_CACHE = {};
+let CONFIG_VERSION = 0; // 每次重新加载配置后递增，参与结果缓存键
 function reloadConfig() {
   try {
     const txt = fs.readFileSync(CONFIG_PATH, "utf8");
@@ -103,6 +85,7 @@ function reloadConfig() {
   } catch {
     CONFIG_CACHE = {};
   }
+  CONFIG_VERSION++;
 }
 // 首次加载
 reloadConfig();
@@ -139,76 +122,199 @@ function sendFile(res, filePath, contentType = "text/html; charset=utf-8") {
   });
 }
 
-function handleSolve(urlObj, res) {
-  const q = Object.fromEntries(urlObj.searchParams.entries());
-  const target = Number(q.target);
-  if (!Number.isFinite(target) || target <= 0) {
-    return sendJson(res, { error: "target 参数无效（需为正数）" }, 400);
-  }
-  // 赠送面积（0/15/30），默认0
-  let giftArea = Number(q.giftArea);
-  if (!Number.isFinite(giftArea)) giftArea = 0;
-  if (![0, 15, 30].includes(giftArea)) giftArea = 0;
-  const effectiveTarget = target + giftArea;
+const TASK_ID_RE = /^[\w-]{1,64}$/;
 
+/**
+ * 从 config.json 的 pool 节点读取任务超时与排队上限（随配置热加载生效）
+ * @returns {{timeoutMs:number, maxQueue:number}}
+ */
+function poolLimits() {
+  const p = readConfig().pool || {};
+  const timeoutMs = Number(p.timeoutMs);
+  const maxQueue = Number(p.maxQueue);
+  return {
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : 0,
+    maxQueue: p.maxQueue !== undefined && p.maxQueue !== null && Number.isFinite(maxQueue) && maxQueue >= 0 ? maxQueue : Infinity,
+  };
+}
+
+/**
+ * 结果缓存（/solve、/solve/stream、/excel 共用），容量取 config.json 的 cache.maxEntries（默认 20，0 表示禁用）
+ */
+const RESULT_CACHE = new LRUCache(20);
+let DATA_GENERATION = 0; // 管理端每次保存排除标记、每次数据热重载后递增
+
+/**
+ * 当前数据版本：求解所用数据文件与房源状态文件的版本（修改时间+大小，状态另含已到期的保留数）+ 管理端保存/重载次数 + 配置版本
+ * @returns {string}
+ */
+function dataVersion() {
   const cfg = readConfig();
+  const files = new Set([QIFANG_JSON, XIANFANG_JSON]);
+  for (const p of [cfg.fileAPath, cfg.fileBPath]) if (p) files.add(path.resolve(p));
+  return [...[...files].map(getDatasetVersion), `x${availabilityVersion()}`, `g${DATA_GENERATION}`, `c${CONFIG_VERSION}`].join("|");
+}
 
-  // 解析参数，命令行/前端传入优先，其次 config.json 默认
-  const topK = Number(q.topK ?? cfg.topK ?? 10);
-  const source = String(q.source ?? cfg.source ?? "AB").toUpperCase();
+function resultCacheMaxEntries() {
+  const n = Number((readConfig().cache || {}).maxEntries);
+  return Number.isFinite(n) && n >= 0 ? n : 20;
+}
 
-  const minArea =
-    q.minArea !== undefined
-      ? Number(q.minArea)
-      : cfg.minArea !== undefined
-      ? Number(cfg.minArea)
-      : undefined;
-  const maxArea =
-    q.maxArea !== undefined
-      ? Number(q.maxArea)
-      : cfg.maxArea !== undefined
-      ? Number(cfg.maxArea)
-      : undefined;
+/**
+ * 从 Excel 热重载数据：后台解析校验通过后替换主线程与各求解 Worker 的行数组，并清空结果缓存
+ * 解析或校验失败时保留原数据，错误向上抛出
+ * @param {string} reason 触发原因（日志与审计日志用），如 "文件变更"、"管理端"
+ * @param {{action?:string, operator?:string, reason?:string, ip?:string}} [audit] 审计信息（见 src/audit.js）
+ * @returns {Promise<object>} reloadFromExcel 的摘要
+ */
+async function reloadData(reason, audit = {}) {
+  console.log(`[LOG] 开始从 Excel 重新加载数据（${reason}）`);
+  const t0 = Date.now();
+  const summary = await reloadFromExcel({ ...audit, trigger: reason });
+  DATA_GENERATION++;
+  RESULT_CACHE.clear();
+  POOL.broadcast({ kind: "reload-data" });
+  // 重载时可能移除了已不在数据中的房源的状态
+  notifyStatusChanged();
+  const { qf, xf } = summary;
+  console.log(
+    `[LOG] 数据已重新加载（${reason}）：期房 ${qf.rows} 套、现房 ${xf.rows} 套；` +
+      `保留房源状态 期房 ${qf.statusKept} / 现房 ${xf.statusKept}，房源已不存在而丢弃 期房 ${qf.statusDropped} / 现房 ${xf.statusDropped}`
+  );
+  console.log(`[METRIC] reload_ms=${Date.now() - t0}`);
+  return summary;
+}
 
-  // 打印用户输入信息
-  console.log("\n========== 用户请求信息 ==========");
-  console.log(`目标面积: ${target}`);
-  console.log(`赠送面积: ${giftArea}${giftArea > 0 ? " (已启用)" : " (未启用)"}`);
-  console.log(`最终计算面积: ${target} + ${giftArea} = ${effectiveTarget}`);
-  console.log(`返回数量 topK: ${topK}`);
-  console.log(`数据来源 source: ${source}`);
-  console.log(`最小面积 minArea: ${minArea !== undefined ? minArea : "未设置"}`);
-  console.log(`最大面积 maxArea: ${maxArea !== undefined ? maxArea : "未设置"}`);
-  
-  {
-    const xfCommunities = urlObj.searchParams.getAll("xfCommunities");
-    if (xfCommunities.length > 0) {
-      console.log(`现房小区筛选: ${xfCommunities.join(", ")}`);
-    } else {
-      console.log(`现房小区筛选: 全部`);
-    }
-    console.log("===================================\n");
-    
-    const options = { topK, source, minArea, maxArea, xfCommunities, giftArea };
-    POOL.runTask({ target: effectiveTarget, options })
-      .then((results) => sendJson(res, results))
-      .catch((e) => sendJson(res, { error: (e && e.message) ? e.message : String(e) }, 500));
-    return;
+/**
+ * 通知各求解 Worker 房源状态已写入：丢弃其读取缓存，下次求解时按新的修订号重新读取
+ * （主线程写入时已更新本线程缓存，见 src/status.js 的 saveUnitStatuses）
+ */
+function notifyStatusChanged() {
+  POOL.broadcast({ kind: "status-changed", revision: unitStatusRevision() });
+}
+
+// 监听 data/*.xlsx：修改时间变化后等待 1 秒（复制/保存大文件期间可能多次触发）再重载；
+// 已重载过的变更（如管理端上传后）不再重复处理
+let xlsxReloadTimer = null;
+for (const file of [QIFANG_XLSX, XIANFANG_XLSX]) {
+  try {
+    fs.watchFile(file, { interval: 2000 }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs || !curr.mtimeMs) return;
+      clearTimeout(xlsxReloadTimer);
+      xlsxReloadTimer = setTimeout(() => {
+        if (!excelChanged()) return;
+        reloadData(`文件变更：${path.basename(file)}`).catch((e) => {
+          console.warn(`[LOG] 重新加载数据失败，继续使用原数据：${e.message}`);
+        });
+      }, 1000);
+    });
+  } catch {}
+}
+
+/**
+ * 提交求解任务：先查结果缓存（命中时不占用 worker），未命中时附带超时/排队上限提交，
+ * 并在客户端断开（响应未完成即关闭）时取消任务；成功结果写入缓存。
+ * 响应头未发送时设置 X-Cache: HIT / MISS。
+ * @param {{taskId:string, effectiveTarget:number, options:object}} parsed
+ * @param {http.ServerResponse} res
+ * @param {{progress?:boolean, onProgress?:Function}} [extra]
+ * @returns {Promise<any>}
+ */
+function runSolveTask(parsed, res, { progress = false, onProgress } = {}) {
+  const { cached, promise } = solveWithCache(parsed, { progress, onProgress });
+  if (!res.headersSent) res.setHeader("X-Cache", cached ? "HIT" : "MISS");
+  if (!cached) {
+    res.on("close", () => {
+      if (!res.writableFinished) POOL.cancel(parsed.taskId);
+    });
   }
+  return promise;
 }
 
-function handleExcel(urlObj, res) {
+/**
+ * 查结果缓存，未命中时提交到 WorkerPool 并写入缓存（runSolveTask 与批量求解共用）
+ * @param {{taskId:string, effectiveTarget:number, options:object}} parsed
+ * @param {{progress?:boolean, onProgress?:Function}} [extra]
+ * @returns {{cached:boolean, promise:Promise<any>}}
+ */
+function solveWithCache({ taskId, effectiveTarget, options }, { progress = false, onProgress } = {}) {
+  RESULT_CACHE.setMaxEntries(resultCacheMaxEntries());
+  const cacheKey = solveCacheKey(effectiveTarget, options, dataVersion());
+  const cached = RESULT_CACHE.get(cacheKey);
+  if (cached) {
+    console.log(`[LOG] 结果缓存命中：target=${effectiveTarget} topK=${options.topK}`);
+    return { cached: true, promise: Promise.resolve(cached) };
+  }
+  const promise = POOL.runTask(
+    { target: effectiveTarget, options, progress },
+    { taskId, onProgress, ...poolLimits() }
+  ).then((results) => {
+    RESULT_CACHE.set(cacheKey, results);
+    return results;
+  });
+  return { cached: false, promise };
+}
+
+/**
+ * 任务失败时的 JSON 响应：状态码取 err.status（503 排队已满 / 504 超时 / 499 已取消），默认 500
+ */
+function sendTaskError(res, e) {
+  if (res.writableEnded || res.destroyed) return;
+  const status = (e && e.status) || 500;
+  if (status === 503) res.setHeader("Retry-After", "5");
+  sendJson(res, { error: (e && e.message) ? e.message : String(e), ...((e && e.extra) || {}) }, status);
+}
+
+/**
+ * 解析 /solve 与 /excel 共用的查询参数
+ * - 命令行/前端传入优先，其次 config.json 默认
+ * - 参数非法时返回 { error }
+ * @param {URL} urlObj
+ * @returns {{error?:string, target?:number, giftArea?:number, effectiveTarget?:number, options?:object}}
+ */
+function parseSolveQuery(urlObj) {
   const q = Object.fromEntries(urlObj.searchParams.entries());
   const target = Number(q.target);
   if (!Number.isFinite(target) || target <= 0) {
-    return sendJson(res, { error: "target 参数无效（需为正数）" }, 400);
+    return { error: "target 参数无效（需为正数）" };
+  }
+  // 赠送面积：允许的取值见 config.json 的 gift.allowed（默认 0/15/30），不传为 0，非法时返回 400
+  let giftArea;
+  try {
+    giftArea = parseGiftArea(q.giftArea, normalizeGiftPolicy(readConfig()));
+  } catch (e) {
+    return { error: e.message };
   }
-  // 赠送面积（0/15/30），默认0
-  let giftArea = Number(q.giftArea);
-  if (!Number.isFinite(giftArea)) giftArea = 0;
-  if (![0, 15, 30].includes(giftArea)) giftArea = 0;
   const effectiveTarget = target + giftArea;
 
+  const parsed = parseSolveOptions(urlObj);
+  if (parsed.error) return parsed;
+  return { taskId: parsed.taskId, target, giftArea, effectiveTarget, options: { ...parsed.options, giftArea } };
+}
+
+/**
+ * 解析分来源/类型的面积区间（qfMinArea / xfMaxArea / minAreaA / qfMaxAreaD 等，见 src/areabounds.js），
+ * 并与 config.json 的 areaBounds、全局 minArea / maxArea 合并校验
+ * @param {object} spec 查询参数或请求体
+ * @param {object} cfg
+ * @param {number} [minArea]
+ * @param {number} [maxArea]
+ * @returns {Record<string, number>|undefined} 仅含本次请求传入的参数
+ * @throws {Error} 取值非法，或某个桶的最小面积大于最大面积
+ */
+function parseAreaBounds(spec, cfg, minArea, maxArea) {
+  const areaBounds = normalizeAreaBounds(spec) || undefined;
+  areaBoundsTable({ ...normalizeAreaBounds(cfg.areaBounds, "config.json 的 areaBounds."), ...areaBounds }, minArea, maxArea);
+  return areaBounds;
+}
+
+/**
+ * 解析目标面积以外的求解参数（/solve 与 POST /batch 共用）
+ * @param {URL} urlObj
+ * @returns {{error?:string, taskId?:string, options?:object}} options 不含 giftArea
+ */
+function parseSolveOptions(urlObj) {
+  const q = Object.fromEntries(urlObj.searchParams.entries());
   const cfg = readConfig();
 
   const topK = Number(q.topK ?? cfg.topK ?? 10);
@@ -226,9 +332,139 @@ function handleExcel(urlObj, res) {
       : cfg.maxArea !== undefined
       ? Number(cfg.maxArea)
       : undefined;
+  let areaBounds;
+  try {
+    areaBounds = parseAreaBounds(q, cfg, minArea, maxArea);
+  } catch (e) {
+    return { error: e.message };
+  }
 
-  // 打印用户导出Excel请求信息
-  console.log("\n========== Excel导出请求信息 ==========");
+  // 套型组合（LMM/LLS/MMMS/MMSS），不传或 none 表示不限
+  let structure;
+  try {
+    structure = normalizeStructure(q.structure);
+  } catch (e) {
+    return { error: e.message };
+  }
+  const largeMoreThan = q.largeMoreThan !== undefined ? Number(q.largeMoreThan) : undefined;
+  const smallLessThan = q.smallLessThan !== undefined ? Number(q.smallLessThan) : undefined;
+  if ((largeMoreThan !== undefined && !Number.isFinite(largeMoreThan)) || (smallLessThan !== undefined && !Number.isFinite(smallLessThan))) {
+    return { error: "largeMoreThan / smallLessThan 参数无效（需为数值）" };
+  }
+
+  // 组合构成：compositions=ABC,AABC（显式列表）或 sizes=3,4（仅保留这些套数）
+  let compositions, sizes;
+  try {
+    compositions = parseCompositionList(q.compositions) ? String(q.compositions) : undefined;
+    sizes = parseSizes(q.sizes) ? String(q.sizes) : undefined;
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  // 多样性上限：maxPerUnit（同一套房源最多出现在几个结果中）、maxOverlap（任意两个结果最多共用几套房源）
+  let maxPerUnit, maxOverlap;
+  try {
+    const diversity = normalizeDiversity({ maxPerUnit: q.maxPerUnit, maxOverlap: q.maxOverlap });
+    if (diversity) {
+      if (Number.isFinite(diversity.maxPerUnit)) maxPerUnit = diversity.maxPerUnit;
+      if (Number.isFinite(diversity.maxOverlap)) maxOverlap = diversity.maxOverlap;
+    }
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  // 排序方式：rank=waste（默认）/ wastePrice / price / score，maxWaste 浪费面积上限，wasteCost 综合得分中每平浪费折算金额
+  let rank, maxWaste, wasteCost;
+  try {
+    const ranking = normalizeRanking({ rank: q.rank, maxWaste: q.maxWaste, wasteCost: q.wasteCost });
+    if (ranking) {
+      rank = ranking.mode;
+      if (Number.isFinite(ranking.maxWaste)) maxWaste = ranking.maxWaste;
+      if (ranking.mode === "score") wasteCost = ranking.wasteCost;
+    }
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  // 帕累托模式：pareto=price,xf（指标见 src/pareto.js），含 floor 时需 preferFloor；与 rank 排序互斥
+  let pareto, preferFloor;
+  try {
+    const spec = normalizePareto({ pareto: q.pareto, preferFloor: q.preferFloor });
+    if (spec) {
+      pareto = spec.objectives.join(",");
+      if (spec.preferFloor !== null) preferFloor = spec.preferFloor;
+    }
+  } catch (e) {
+    return { error: e.message };
+  }
+  if (pareto && rank && rank !== "waste") {
+    return { error: "pareto 与 rank 不能同时使用（可用 maxWaste 限制浪费面积）" };
+  }
+
+  // 指定包含/排除的房源（仅本次查询）：pin / ban 可重复传入或逗号分隔，取值为结果中的“房源编号”
+  let pin, ban;
+  try {
+    ({ pin, ban } = parseUnitSelection(urlObj.searchParams.getAll("pin"), urlObj.searchParams.getAll("ban")));
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  // 保留人：该保留人保留的房源在本次查询中可用（其他保留的房源不可用，见 src/status.js）
+  let holder;
+  try {
+    holder = parseHolder(q.holder);
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  const xfCommunities = urlObj.searchParams.getAll("xfCommunities");
+
+  // 楼层/幢号/门牌号筛选：qfFloor / xfFloor / qfBuilding / xfBuilding / qfDoor / xfDoor（如 3,5-8，可重复传入），
+  // <参数名>Mode=any|all 指定匹配方式（见 src/location.js）
+  let location;
+  try {
+    const spec = {};
+    for (const [k, v] of urlObj.searchParams.entries()) {
+      if (/^(qf|xf)(Floor|Building|Door)$/.test(k)) spec[k] = urlObj.searchParams.getAll(k);
+      else if (/^(qf|xf)(Floor|Building|Door)Mode$/.test(k)) spec[k] = v;
+    }
+    location = normalizeLocationFilters(spec) || undefined;
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  // 按来源/小区的套数约束：qfCount / xfCount（恰好）、qfMinCount / qfMaxCount / xfMinCount / xfMaxCount、maxPerCommunity（见 src/counts.js）
+  let counts;
+  try {
+    counts = normalizeCountConstraints(q) || undefined;
+  } catch (e) {
+    return { error: e.message };
+  }
+
+  // 诊断模式：explain=1 时 /solve、/solve/stream 返回 { results, explain }（见 src/explain.js）
+  const explain = q.explain === "1" || q.explain === "true";
+
+  // 任务 ID：前端可自带（便于显式取消），否则自动生成
+  const taskId = q.taskId !== undefined ? String(q.taskId) : crypto.randomUUID();
+  if (!TASK_ID_RE.test(taskId)) {
+    return { error: "taskId 参数无效（仅允许字母、数字、- 与 _，最长 64 位）" };
+  }
+
+  return {
+    taskId,
+    options: { topK, source, minArea, maxArea, areaBounds, xfCommunities, structure, largeMoreThan, smallLessThan, compositions, sizes, maxPerUnit, maxOverlap, pin, ban, rank, maxWaste, wasteCost, pareto, preferFloor, location, counts, holder, explain },
+  };
+}
+
+/**
+ * 打印用户请求信息
+ * @param {string} title
+ * @param {{target:number, giftArea:number, effectiveTarget:number, options:object}} parsed
+ */
+function logSolveRequest(title, parsed) {
+  const { target, giftArea, effectiveTarget, options } = parsed;
+  const { topK, source, minArea, maxArea, xfCommunities, structure } = options;
+  console.log(`\n========== ${title} ==========`);
   console.log(`目标面积: ${target}`);
   console.log(`赠送面积: ${giftArea}${giftArea > 0 ? " (已启用)" : " (未启用)"}`);
   console.log(`最终计算面积: ${target} + ${giftArea} = ${effectiveTarget}`);
@@ -236,67 +472,505 @@ function handleExcel(urlObj, res) {
   console.log(`数据来源 source: ${source}`);
   console.log(`最小面积 minArea: ${minArea !== undefined ? minArea : "未设置"}`);
   console.log(`最大面积 maxArea: ${maxArea !== undefined ? maxArea : "未设置"}`);
+  if (options.areaBounds) console.log(`分来源/类型面积区间: ${describeAreaBounds(options.areaBounds)}`);
+  console.log(`套型组合 structure: ${structure || "不限"}`);
+  if (options.compositions) console.log(`组合构成 compositions: ${options.compositions}`);
+  if (options.sizes) console.log(`组合套数 sizes: ${options.sizes}`);
+  if (options.maxPerUnit !== undefined) console.log(`单套房源最多出现 maxPerUnit: ${options.maxPerUnit}`);
+  if (options.maxOverlap !== undefined) console.log(`两组合最多共用 maxOverlap: ${options.maxOverlap}`);
+  if (options.rank) console.log(`排序方式 rank: ${options.rank}${options.wasteCost !== undefined ? `（每平浪费折算 ${options.wasteCost} 元）` : ""}`);
+  if (options.maxWaste !== undefined) console.log(`浪费面积上限 maxWaste: ${options.maxWaste}`);
+  if (options.explain) console.log("诊断模式 explain: 开启");
+  if (options.pareto) console.log(`帕累托指标 pareto: ${options.pareto}${options.preferFloor !== undefined ? `（期望楼层 ${options.preferFloor}）` : ""}`);
+  if (options.counts) console.log(`套数约束: ${JSON.stringify(options.counts)}`);
+  if (options.location) console.log(`楼层/幢号/门牌号筛选: ${describeLocationFilters(options.location)}`);
+  if (options.pin.length > 0) console.log(`指定包含 pin: ${options.pin.join(", ")}`);
+  if (options.ban.length > 0) console.log(`指定排除 ban: ${options.ban.join(", ")}`);
+  if (options.holder) console.log(`保留人 holder: ${options.holder}`);
+  if (xfCommunities.length > 0) {
+    console.log(`现房小区筛选: ${xfCommunities.join(", ")}`);
+  } else {
+    console.log(`现房小区筛选: 全部`);
+  }
+  console.log("===================================\n");
+}
+
+function handleSolve(urlObj, res) {
+  const parsed = parseSolveQuery(urlObj);
+  if (parsed.error) return sendJson(res, { error: parsed.error }, 400);
+  logSolveRequest("用户请求信息", parsed);
+
+  res.setHeader("X-Task-Id", parsed.taskId);
+  runSolveTask(parsed, res)
+    .then((results) => sendJson(res, results))
+    .catch((e) => sendTaskError(res, e));
+}
+
+/**
+ * 流式计算：以 Server-Sent Events 推送
+ *  - event: progress  { phase, composition, percent, scanned, filled, topK, bestGap, partial }
+ *  - event: result    最终结果数组（与 /solve 相同；explain=1 时为 { results, explain }）
+ *  - event: error     { error, status }（参数非法 400，排队已满 503 附 queuePosition，超时 504，其余 500）
+ * 首个 progress 事件带 taskId（可用于 POST /solve/cancel）与排队位置 queuePosition（0 表示已开始计算）。
+ * 客户端断开连接时自动取消任务；结束后服务端关闭连接，客户端收到 result/error 后应主动 close，避免 EventSource 自动重连。
+ */
+function handleSolveStream(urlObj, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  function send(event, data) {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  const parsed = parseSolveQuery(urlObj);
+  if (parsed.error) {
+    send("error", { error: parsed.error, status: 400 });
+    return res.end();
+  }
+  logSolveRequest("流式计算请求信息", parsed);
+
+  runSolveTask(parsed, res, { progress: true, onProgress: (p) => send("progress", p) })
+    .then((results) => {
+      send("result", results);
+      res.end();
+    })
+    .catch((e) => {
+      send("error", { error: (e && e.message) ? e.message : String(e), status: (e && e.status) || 500, ...((e && e.extra) || {}) });
+      res.end();
+    });
+  // runTask 同步入队或开始运行，此时可得到排队位置
+  send("progress", { phase: "queued", percent: 0, taskId: parsed.taskId, queuePosition: POOL.queuePosition(parsed.taskId) });
+}
+
+function handleExcel(urlObj, res) {
+  const parsed = parseSolveQuery(urlObj);
+  if (parsed.error) return sendJson(res, { error: parsed.error }, 400);
+  parsed.options.explain = false; // 导出只需结果数组
+  logSolveRequest("Excel导出请求信息", parsed);
+  const { effectiveTarget } = parsed;
 
   let tmpXlsx = path.resolve(__dirname, `output-${Date.now()}.xlsx`);
-  {
-    const xfCommunities = urlObj.searchParams.getAll("xfCommunities");
-    if (xfCommunities.length > 0) {
-      console.log(`现房小区筛选: ${xfCommunities.join(", ")}`);
-    } else {
-      console.log(`现房小区筛选: 全部`);
-    }
-    console.log("=========================================\n");
-    
-    const options = { topK, source, minArea, maxArea, xfCommunities, giftArea };
-    POOL.runTask({ target: effectiveTarget, options })
-      .then((results) => {
+  res.setHeader("X-Task-Id", parsed.taskId);
+  runSolveTask(parsed, res)
+    .then((results) => {
+      try {
+        exportToExcel(results, tmpXlsx);
+        const stat = fs.statSync(tmpXlsx);
+        const tStr = String(effectiveTarget).trim();
+        const safeName = (tStr && tStr !== 'NaN') ? `results-${tStr}.xlsx` : 'results.xlsx';
+        res.writeHead(200, {
+          "Content-Type":
+            "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+          "Content-Disposition": `attachment; filename="${safeName}"`,
+          "Content-Length": stat.size,
+        });
+        const stream = fs.createReadStream(tmpXlsx);
+        stream.pipe(res);
+        stream.on("close", () => {
+          fs.unlink(tmpXlsx, () => {});
+        });
+      } catch (e) {
+        try { fs.unlinkSync(tmpXlsx); } catch {}
+        sendJson(res, { error: e.message }, 500);
+      }
+    })
+    .catch((e) => {
+      try { fs.unlinkSync(tmpXlsx); } catch {}
+      sendTaskError(res, e);
+    });
+}
+
+/**
+ * 读取请求体，超过 maxBytes 时以 status=413 拒绝
+ * @param {http.IncomingMessage} req
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(httpError(`请求体过大（超过 ${Math.round(maxBytes / 1024)} KB）`, 413));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+const ALLOCATE_BODY_MAX = 1024 * 1024;
+
+/**
+ * 解析 POST /allocate 的请求体
+ * { households: [{ name, target, giftArea }], objective, candidatesPerHousehold, maxNodes,
+ *   source, minArea, maxArea, qfMaxArea 等分来源/类型面积区间, xfCommunities, structure, compositions, sizes, ban, taskId }
+ * 筛选参数对所有家庭生效，未传入时取 config.json 默认；参数非法时返回 { error }
+ * @param {any} body
+ */
+function parseAllocateBody(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "请求体应为 JSON 对象，且包含 households 数组" };
+  }
+  const cfg = readConfig();
+  let households, allocateOptions, structure, compositions, sizes, ban;
+  try {
+    households = parseHouseholds(body.households, normalizeGiftPolicy(cfg));
+    allocateOptions = parseAllocateOptions(body);
+    structure = normalizeStructure(body.structure);
+    compositions = parseCompositionList(body.compositions) ? String(body.compositions) : undefined;
+    sizes = parseSizes(body.sizes) ? String(body.sizes) : undefined;
+    ({ ban } = parseUnitSelection(undefined, body.ban));
+  } catch (e) {
+    return { error: e.message };
+  }
+  const num = (v, fallback) => (v !== undefined && v !== null && v !== "" ? Number(v) : fallback !== undefined ? Number(fallback) : undefined);
+  const minArea = num(body.minArea, cfg.minArea);
+  const maxArea = num(body.maxArea, cfg.maxArea);
+  if ((minArea !== undefined && !Number.isFinite(minArea)) || (maxArea !== undefined && !Number.isFinite(maxArea))) {
+    return { error: "minArea / maxArea 参数无效（需为数值）" };
+  }
+  let areaBounds;
+  try {
+    areaBounds = parseAreaBounds(body, cfg, minArea, maxArea);
+  } catch (e) {
+    return { error: e.message };
+  }
+  const xfCommunities = Array.isArray(body.xfCommunities) ? body.xfCommunities.map(String) : [];
+
+  const taskId = body.taskId !== undefined ? String(body.taskId) : crypto.randomUUID();
+  if (!TASK_ID_RE.test(taskId)) {
+    return { error: "taskId 参数无效（仅允许字母、数字、- 与 _，最长 64 位）" };
+  }
+  return {
+    taskId,
+    households,
+    options: {
+      ...allocateOptions,
+      source: String(body.source ?? cfg.source ?? "AB").toUpperCase(),
+      minArea,
+      maxArea,
+      areaBounds,
+      xfCommunities,
+      structure,
+      compositions,
+      sizes,
+      ban,
+    },
+  };
+}
+
+/**
+ * 多户分配：POST /allocate（JSON），?format=xlsx 时返回 Excel 下载
+ * 在 Worker 中运行，受 pool.timeoutMs / pool.maxQueue 限制，客户端断开时取消；结果不进入结果缓存
+ */
+function handleAllocate(req, urlObj, res) {
+  const asExcel = urlObj.searchParams.get("format") === "xlsx";
+  readBody(req, ALLOCATE_BODY_MAX)
+    .then((buf) => {
+      let body;
+      try {
+        body = JSON.parse(buf.toString("utf8") || "null");
+      } catch {
+        return sendJson(res, { error: "请求体不是合法的 JSON" }, 400);
+      }
+      const parsed = parseAllocateBody(body);
+      if (parsed.error) return sendJson(res, { error: parsed.error }, 400);
+      console.log(`\n========== 多户分配请求 ==========`);
+      console.log(`家庭数: ${parsed.households.length}，优化目标: ${parsed.options.objective}，每户候选: ${parsed.options.candidatesPerHousehold}`);
+      console.log("===================================\n");
+
+      res.setHeader("X-Task-Id", parsed.taskId);
+      res.on("close", () => {
+        if (!res.writableFinished) POOL.cancel(parsed.taskId);
+      });
+      return POOL.runTask(
+        { kind: "allocate", households: parsed.households, options: parsed.options },
+        { taskId: parsed.taskId, ...poolLimits() }
+      ).then((allocation) => {
+        if (!asExcel) return sendJson(res, allocation);
+        const tmpXlsx = path.resolve(__dirname, `allocation-${Date.now()}.xlsx`);
         try {
-          exportToExcel(results, tmpXlsx);
-          const stat = fs.statSync(tmpXlsx);
-          const tStr = String(effectiveTarget).trim();
-          const safeName = (tStr && tStr !== 'NaN') ? `results-${tStr}.xlsx` : 'results.xlsx';
+          exportAllocationToExcel(allocation, tmpXlsx);
+          const data = fs.readFileSync(tmpXlsx);
           res.writeHead(200, {
-            "Content-Type":
-              "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-            "Content-Disposition": `attachment; filename="${safeName}"`,
-            "Content-Length": stat.size,
-          });
-          const stream = fs.createReadStream(tmpXlsx);
-          stream.pipe(res);
-          stream.on("close", () => {
-            fs.unlink(tmpXlsx, () => {});
+            "Content-Type": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+            "Content-Disposition": `attachment; filename="allocation.xlsx"`,
+            "Content-Length": data.length,
           });
-        } catch (e) {
-          try { fs.unlinkSync(tmpXlsx); } catch {}
-          sendJson(res, { error: e.message }, 500);
+          res.end(data);
+        } finally {
+          fs.unlink(tmpXlsx, () => {});
         }
-      })
-      .catch((e) => {
-        try { fs.unlinkSync(tmpXlsx); } catch {}
-        sendJson(res, { error: (e && e.message) ? e.message : String(e) }, 500);
       });
-    return;
+    })
+    .catch((e) => sendTaskError(res, e));
+}
+
+const BATCH_BODY_MAX = 5 * 1024 * 1024;
+const BATCHES = new Map(); // 进行中的批量求解：taskId → 取消函数（供 /solve/cancel 使用）
+
+/**
+ * 批量求解：POST /batch，请求体为目标列表（JSON 数组 / { targets }，或上传的 xlsx / csv），
+ * 其余求解参数（topK、source、structure、pin/ban 等）取查询字符串，对所有目标生效。
+ * 各目标按 WorkerPool 大小并发求解并共用结果缓存，单个目标失败记入其 error，不影响其余目标；
+ * ?format=xlsx 时返回一个工作簿（汇总 + 每个目标一个工作表）。客户端断开或 /solve/cancel 时取消全部目标。
+ */
+function handleBatch(req, urlObj, res) {
+  const asExcel = urlObj.searchParams.get("format") === "xlsx";
+  const parsed = parseSolveOptions(urlObj);
+  if (parsed.error) return sendJson(res, { error: parsed.error }, 400);
+  const { taskId } = parsed;
+  const options = { ...parsed.options, explain: false }; // 批量结果不含诊断信息
+  if (BATCHES.has(taskId)) return sendJson(res, { error: `任务 ID 已存在：${taskId}` }, 400);
+
+  readBody(req, BATCH_BODY_MAX)
+    .then((buf) => {
+      let targets;
+      try {
+        targets = parseBatchBody(buf, normalizeGiftPolicy(readConfig()));
+      } catch (e) {
+        return sendJson(res, { error: e.message }, 400);
+      }
+      console.log(`\n========== 批量求解请求 ==========`);
+      console.log(`目标数: ${targets.length}，返回数量 topK: ${options.topK}，数据来源 source: ${options.source}，并发: ${POOL.size}`);
+      console.log("===================================\n");
+
+      // 未命中缓存、正在排队或计算的子任务
+      const running = new Set();
+      let cancelled = false;
+      const cancel = () => {
+        cancelled = true;
+        for (const id of running) POOL.cancel(id);
+      };
+      BATCHES.set(taskId, cancel);
+      res.setHeader("X-Task-Id", taskId);
+      res.on("close", () => {
+        if (!res.writableFinished) cancel();
+      });
+
+      const solveOne = (t, i) => {
+        if (cancelled) return Promise.reject(httpError("计算已取消", 499));
+        const id = `${taskId}-${i + 1}`;
+        const { cached, promise } = solveWithCache({
+          taskId: id,
+          effectiveTarget: t.effectiveTarget,
+          options: { ...options, giftArea: t.giftArea },
+        });
+        if (!cached) running.add(id);
+        return promise.finally(() => running.delete(id));
+      };
+
+      return runBatch(targets, solveOne, POOL.size)
+        .then((batch) => {
+          if (!asExcel) return sendJson(res, { taskId, ...batch });
+          const tmpXlsx = path.resolve(__dirname, `batch-${Date.now()}.xlsx`);
+          try {
+            exportBatchToExcel(batch, tmpXlsx);
+            const data = fs.readFileSync(tmpXlsx);
+            res.writeHead(200, {
+              "Content-Type": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+              "Content-Disposition": `attachment; filename="batch-results.xlsx"`,
+              "Content-Length": data.length,
+            });
+            res.end(data);
+          } finally {
+            fs.unlink(tmpXlsx, () => {});
+          }
+        })
+        .finally(() => BATCHES.delete(taskId));
+    })
+    .catch((e) => sendTaskError(res, e));
+}
+
+const UPLOAD_BODY_MAX = 20 * 1024 * 1024;
+
+/**
+ * POST /admin/upload?source=qf|xf&name=文件名：上传替换用的工作簿（请求体为 xlsx 文件内容），
+ * 返回差异预览与 uploadId（见 src/upload.js），确认前不修改任何数据
+ */
+function handleAdminUpload(req, urlObj, res) {
+  readBody(req, UPLOAD_BODY_MAX)
+    .then((buf) => {
+      let preview;
+      try {
+        preview = previewUpload(urlObj.searchParams.get("source"), buf, urlObj.searchParams.get("name") || undefined);
+      } catch (e) {
+        return sendJson(res, { error: e.message }, 400);
+      }
+      const { diff } = preview;
+      console.log(
+        `[LOG] 管理端上传预览：${preview.label} ${preview.fileName}，${diff.rows.before} → ${diff.rows.after} 套，` +
+          `新增 ${diff.added.count}、删除 ${diff.removed.count}、变化 ${diff.changed.count}、丢失房源状态 ${diff.statusLost.count}`
+      );
+      return sendJson(res, preview);
+    })
+    .catch((e) => sendTaskError(res, e));
+}
+
+/**
+ * POST /admin/upload/confirm?uploadId=...&operator=...&reason=...：用预览过的工作簿替换 data/ 中的文件并热重载；
+ * 重载失败时恢复原文件
+ */
+async function handleAdminUploadConfirm(req, urlObj, res) {
+  let audit;
+  try {
+    audit = auditMetaOf(req, Object.fromEntries(urlObj.searchParams));
+  } catch (e) {
+    return sendJson(res, { error: e.message }, 400);
   }
+  let upload;
+  try {
+    upload = takeUpload(urlObj.searchParams.get("uploadId") || "");
+  } catch (e) {
+    return sendTaskError(res, e);
+  }
+  const file = upload.source === "qf" ? QIFANG_XLSX : XIANFANG_XLSX;
+  let previous = null;
+  try {
+    previous = fs.readFileSync(file);
+  } catch {}
+  try {
+    replaceExcel(upload.source, upload.buf);
+    const summary = await reloadData(`管理端上传：${upload.fileName}`, { ...audit, action: "upload" });
+    return sendJson(res, { success: true, ...summary });
+  } catch (e) {
+    console.warn(`[LOG] 上传替换失败，恢复原文件：${e.message}`);
+    if (previous) {
+      try {
+        replaceExcel(upload.source, previous);
+      } catch {}
+    }
+    return sendJson(res, { error: `替换失败，继续使用原数据：${e.message}` }, 500);
+  }
+}
+
+const ADMIN_BODY_MAX = 1024 * 1024;
+
+/**
+ * 审计信息：操作人、修改原因（见 src/audit.js 的 parseAuditMeta）与请求来源 IP
+ * @param {http.IncomingMessage} req
+ * @param {{operator?:string, reason?:string}} fields
+ * @returns {{operator:string, reason:string, ip:string}}
+ * @throws {Error} 操作人或原因无效
+ */
+function auditMetaOf(req, fields) {
+  return { ...parseAuditMeta(fields), ip: req.socket.remoteAddress || "" };
 }
 
 /**
- * 现房小区列名检测与列表生成
+ * 当前数据中的全部房源编号（期房 + 现房）
+ * @returns {Set<string>}
  */
-function detectCommunityKey(rows) {
-  const first = (rows && rows[0]) || {};
-  const keys = Object.keys(first);
-  const preferred = ["小区名称", "小区", "小区名", "项目名称", "楼盘名称"];
-  for (const k of preferred) {
-    if (keys.includes(k)) return k;
+function knownUnitIds() {
+  return new Set([...rowUnitIds(getQifangRows(), "qf").ids, ...rowUnitIds(getXianfangRows(), "xf").ids]);
+}
+
+/**
+ * 应用房源状态修改并记入审计日志；有变化时旧的缓存结果全部失效，并通知求解 Worker 重新读取状态
+ * @param {Array<{id:string, entry:object|null}>} updates
+ * @param {string} action 审计记录类型：update / revert / rollback
+ * @param {object} audit auditMetaOf 的返回值
+ * @param {object} [extra] 附加到审计记录的字段
+ * @returns {Array<{id:string, before:object|null, after:object|null}>} 实际发生的变化
+ */
+function applyStatusChanges(updates, action, audit, extra) {
+  const changes = setUnitStatuses(updates);
+  recordStatusChanges(changes, action, audit, extra);
+  if (changes.length) {
+    DATA_GENERATION++;
+    RESULT_CACHE.clear();
+    notifyStatusChanged();
   }
-  const fuzzy = keys.find((k) => /小区|项目|楼盘/.test(String(k)));
-  return fuzzy;
+  return changes;
+}
+
+/**
+ * 读取管理端 JSON 请求体
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<any>} 不是合法的 JSON 时以 status=400 拒绝
+ */
+function readAdminJson(req) {
+  return readBody(req, ADMIN_BODY_MAX).then((buf) => {
+    try {
+      return JSON.parse(buf.toString("utf8") || "null");
+    } catch {
+      throw httpError("请求体不是合法的 JSON", 400);
+    }
+  });
+}
+
+/**
+ * POST /admin/audit/revert：撤销单条房源状态修改，请求体 { seq, force, operator, reason }
+ * 修改后该房源又被修改过时返回 409（传 force: true 时仍然撤销）
+ */
+function handleAuditRevert(req, res) {
+  readAdminJson(req)
+    .then((body) => {
+      const { seq, force } = body || {};
+      if (!Number.isInteger(seq) || seq < 1) return sendJson(res, { error: "seq 必须为审计记录序号" }, 400);
+      let audit;
+      try {
+        audit = auditMetaOf(req, body);
+      } catch (e) {
+        return sendJson(res, { error: e.message }, 400);
+      }
+      const { record, update } = planRevert(seq, { force: force === true });
+      if (!knownUnitIds().has(update.id)) return sendJson(res, { error: `房源不存在：${update.id}` }, 409);
+      const changes = applyStatusChanges([update], "revert", audit, { revertOf: record.seq });
+      console.log(`[LOG] 管理端撤销审计记录 #${record.seq}（${record.unit}）：${changes.length} 条变化`);
+      return sendJson(res, { success: true, changes });
+    })
+    .catch((e) => sendTaskError(res, e));
 }
+
+/**
+ * POST /admin/audit/rollback：将房源状态回滚到指定时间点，请求体 { to, dryRun, operator, reason }
+ * dryRun 为 true 时只返回将发生的变化；已不在数据中的房源跳过并列入 skipped
+ */
+function handleAuditRollback(req, res) {
+  readAdminJson(req)
+    .then((body) => {
+      const { to, dryRun } = body || {};
+      const time = Date.parse(to);
+      let audit;
+      try {
+        if (!Number.isFinite(time)) throw new Error("to 不是有效的时间");
+        audit = auditMetaOf(req, body);
+      } catch (e) {
+        return sendJson(res, { error: e.message }, 400);
+      }
+      const plan = planRollback(time);
+      const known = knownUnitIds();
+      const skipped = plan.changes.filter((c) => !known.has(c.id)).map((c) => ({ id: c.id, error: "房源不存在" }));
+      const updates = plan.updates.filter((u) => known.has(u.id));
+      const rollbackTo = new Date(time).toISOString();
+      if (dryRun === true) {
+        return sendJson(res, { success: true, dryRun: true, rollbackTo, changes: plan.changes.filter((c) => known.has(c.id)), skipped });
+      }
+      const changes = applyStatusChanges(updates, "rollback", audit, { rollbackTo });
+      console.log(`[LOG] 管理端回滚房源状态到 ${rollbackTo}：${changes.length} 条变化，跳过 ${skipped.length} 条`);
+      return sendJson(res, { success: true, rollbackTo, changes, skipped });
+    })
+    .catch((e) => sendTaskError(res, e));
+}
+
+/**
+ * 现房小区列表（小区列见 config.json 的 schema.xf.columns.community，未映射时为空）
+ */
 function listXfCommunities() {
-  const key = detectCommunityKey(xianfangRows);
+  const key = SCHEMA.xf.columns.community;
   if (!key) return [];
   const set = new Set();
-  for (const r of xianfangRows) {
+  for (const r of getXianfangRows()) {
     const v = r[key];
     if (v !== null && v !== undefined) {
       const name = String(v).trim();
@@ -322,16 +996,34 @@ const server = http.createServer((req, res) => {
 
   if (req.method === "GET" && pathname === "/admin/data") {
     try {
-      const qifang = loadJson(QIFANG_JSON);
-      const xianfang = loadJson(XIANFANG_JSON);
+      // 每行附带房源编号 id 与房源状态 unitStatus（按编号保存在 data/unit-status.json，到期的保留视为可售）
+      const now = Date.now();
+      const withIds = (rows, source) => {
+        const { ids, duplicates } = rowUnitIds(rows, source);
+        const counts = { held: 0, confirmed: 0, withdrawn: 0 };
+        const out = rows.map((r, i) => {
+          const unitStatus = unitStatusOf(ids[i], now);
+          if (unitStatus.status in counts) counts[unitStatus.status]++;
+          return { ...r, id: ids[i], unitStatus };
+        });
+        return { rows: out, duplicates, counts };
+      };
+      const qf = withIds(loadJson(QIFANG_JSON), "qf");
+      const xf = withIds(loadJson(XIANFANG_JSON), "xf");
       return sendJson(res, {
-        qifang: qifang,
-        xianfang: xianfang,
+        qifang: qf.rows,
+        xianfang: xf.rows,
+        // 列名映射（config.json 的 schema），管理页按此读取面积、类型、小区、门牌号等列
+        schema: { qf: SCHEMA.qf.columns, xf: SCHEMA.xf.columns },
         metadata: {
-          qifangCount: qifang.length,
-          xianfangCount: xianfang.length,
-          qifangExcluded: qifang.filter(r => r.excluded === true).length,
-          xianfangExcluded: xianfang.filter(r => r.excluded === true).length,
+          qifangCount: qf.rows.length,
+          xianfangCount: xf.rows.length,
+          // 各状态的套数：{ held, confirmed, withdrawn }
+          qifangStatus: qf.counts,
+          xianfangStatus: xf.counts,
+          // 出现多次的房源编号（不含 #序号 后缀）
+          qifangDuplicates: qf.duplicates,
+          xianfangDuplicates: xf.duplicates,
         }
       });
     } catch (e) {
@@ -344,40 +1036,41 @@ const server = http.createServer((req, res) => {
     req.on('data', chunk => { body += chunk.toString(); });
     req.on('end', () => {
       try {
-        const updates = JSON.parse(body);
+        // 请求体为修改数组，或 { updates, operator, reason }（操作人与原因记入审计日志）
+        const parsedBody = JSON.parse(body);
+        const updates = Array.isArray(parsedBody) ? parsedBody : parsedBody && parsedBody.updates;
         if (!Array.isArray(updates)) {
           return sendJson(res, { error: 'Invalid request: expected array of updates' }, 400);
         }
+        let audit;
+        try {
+          audit = auditMetaOf(req, Array.isArray(parsedBody) ? {} : parsedBody);
+        } catch (e) {
+          return sendJson(res, { error: e.message }, 400);
+        }
 
+        // 按房源编号更新状态：{ id, status, holder, note, holdHours | expiresAt }（兼容 { id, excluded }）
+        const known = knownUnitIds();
+        const now = Date.now();
         const results = [];
+        const valid = [];
         for (const update of updates) {
-          const { source, index, excluded } = update;
-          if (!source || typeof index !== 'number' || typeof excluded !== 'boolean') {
-            results.push({ success: false, error: 'Invalid update format' });
+          let normalized;
+          try {
+            normalized = normalizeStatusUpdate(update, now);
+          } catch (e) {
+            results.push({ success: false, id: update && update.id, error: e.message });
             continue;
           }
-
-          const filePath = source === 'qf' ? QIFANG_JSON : 
-                          source === 'xf' ? XIANFANG_JSON : null;
-          
-          if (!filePath) {
-            results.push({ success: false, error: 'Invalid source' });
+          if (!known.has(normalized.id)) {
+            results.push({ success: false, id: normalized.id, error: '房源不存在' });
             continue;
           }
-
-          const success = updateExclusionStatus(filePath, index, excluded);
-          results.push({ success, index, source });
+          valid.push(normalized);
+          results.push({ success: true, id: normalized.id, status: normalized.entry ? normalized.entry.status : 'available' });
         }
-
-        // Reload data in memory after updates
-        const qifang = loadJson(QIFANG_JSON);
-        const xianfang = loadJson(XIANFANG_JSON);
-        
-        // Update the in-memory arrays (we need to update the module exports)
-        Object.assign(qifangRows, qifang);
-        qifangRows.length = qifang.length;
-        Object.assign(xianfangRows, xianfang);
-        xianfangRows.length = xianfang.length;
+        const changes = applyStatusChanges(valid, "update", audit);
+        console.log(`[LOG] 管理端更新房源状态：${changes.length} 条变化${audit.operator ? `（操作人 ${audit.operator}）` : ""}`);
 
         return sendJson(res, { 
           success: true, 
@@ -391,6 +1084,55 @@ const server = http.createServer((req, res) => {
     return;
   }
 
+  // 从 Excel 重新加载数据：POST /admin/reload?operator=...&reason=...
+  if (req.method === "POST" && pathname === "/admin/reload") {
+    let audit;
+    try {
+      audit = auditMetaOf(req, Object.fromEntries(urlObj.searchParams));
+    } catch (e) {
+      return sendJson(res, { error: e.message }, 400);
+    }
+    reloadData("管理端", audit)
+      .then((summary) => sendJson(res, { success: true, ...summary }))
+      .catch((e) => {
+        console.warn(`[LOG] 重新加载数据失败，继续使用原数据：${e.message}`);
+        sendJson(res, { error: `重新加载失败，继续使用原数据：${e.message}` }, 500);
+      });
+    return;
+  }
+
+  // 上传替换数据：预览差异 → 确认 / 放弃
+  if (req.method === "POST" && pathname === "/admin/upload") {
+    return handleAdminUpload(req, urlObj, res);
+  }
+
+  if (req.method === "POST" && pathname === "/admin/upload/confirm") {
+    return handleAdminUploadConfirm(req, urlObj, res);
+  }
+
+  if (req.method === "POST" && pathname === "/admin/upload/cancel") {
+    cancelUpload(urlObj.searchParams.get("uploadId") || "");
+    return sendJson(res, { cancelled: true });
+  }
+
+  // 审计日志：查询 / 撤销单条修改 / 回滚到时间点（见 src/audit.js）
+  if (req.method === "GET" && pathname === "/admin/audit") {
+    try {
+      const query = parseAuditQuery(Object.fromEntries(urlObj.searchParams));
+      return sendJson(res, { ...queryAudit(query), actions: AUDIT_ACTIONS });
+    } catch (e) {
+      return sendJson(res, { error: e.message }, 400);
+    }
+  }
+
+  if (req.method === "POST" && pathname === "/admin/audit/revert") {
+    return handleAuditRevert(req, res);
+  }
+
+  if (req.method === "POST" && pathname === "/admin/audit/rollback") {
+    return handleAuditRollback(req, res);
+  }
+
   if (req.method === "GET" && pathname === "/config") {
     const cfg = readConfig();
     return sendJson(res, cfg);
@@ -400,10 +1142,39 @@ const server = http.createServer((req, res) => {
     return handleSolve(urlObj, res);
   }
 
+  if (req.method === "GET" && pathname === "/solve/stream") {
+    return handleSolveStream(urlObj, res);
+  }
+
+  // 结果缓存统计
+  if (req.method === "GET" && pathname === "/cache/stats") {
+    return sendJson(res, { ...RESULT_CACHE.stats(), dataVersion: dataVersion() });
+  }
+
+  // 显式取消：POST /solve/cancel?taskId=...
+  if (req.method === "POST" && pathname === "/solve/cancel") {
+    const taskId = urlObj.searchParams.get("taskId") || "";
+    if (!TASK_ID_RE.test(taskId)) return sendJson(res, { error: "taskId 参数无效" }, 400);
+    const cancelBatch = BATCHES.get(taskId);
+    if (cancelBatch) cancelBatch();
+    else if (!POOL.cancel(taskId)) return sendJson(res, { error: "任务不存在或已结束", taskId }, 404);
+    return sendJson(res, { cancelled: true, taskId });
+  }
+
   if (req.method === "GET" && pathname === "/excel") {
     return handleExcel(urlObj, res);
   }
 
+  // 多户分配：POST /allocate（?format=xlsx 导出 Excel）
+  if (req.method === "POST" && pathname === "/allocate") {
+    return handleAllocate(req, urlObj, res);
+  }
+
+  // 批量求解：POST /batch（?format=xlsx 导出 Excel）
+  if (req.method === "POST" && pathname === "/batch") {
+    return handleBatch(req, urlObj, res);
+  }
+
   // 现房小区列表接口
   if (req.method === "GET" && pathname === "/communities") {
     const type = urlObj.searchParams.get("type");
@@ -418,14 +1189,14 @@ const server = http.createServer((req, res) => {
     const source = (urlObj.searchParams.get("source") || "AB").toUpperCase();
     
     // 计算期房最大面积
-    const qifangMax = qifangRows.reduce((max, row) => {
-      const area = Number(row["建筑面积"]);
+    const qifangMax = getQifangRows().reduce((max, row) => {
+      const area = Number(row[SCHEMA.qf.columns.area]);
       return (Number.isFinite(area) && area > max) ? area : max;
     }, 0);
     
     // 计算现房最大面积
-    const xianfangMax = xianfangRows.reduce((max, row) => {
-      const area = Number(row["建筑面积"]);
+    const xianfangMax = getXianfangRows().reduce((max, row) => {
+      const area = Number(row[SCHEMA.xf.columns.area]);
       return (Number.isFinite(area) && area > max) ? area : max;
     }, 0);
     
@@ -0,0 +1,266 @@
+/**
+ * src/allocate.js
+ * 多户分配：为一批家庭（各自的目标面积与赠送面积）分配互不重复的房源组合，一套房源只能分给一户。
+ *
+ * 做法：
+ *  1) 共用一次求解上下文（数据加载、候选筛选与约束，见 solver.buildSolveContext），
+ *     逐户调用 bestTopKCombos 取前 candidatesPerHousehold 个候选组合；
+ *  2) 面积、类型、来源相同的房源视为可互换（与 TopK 去重口径一致），按“房源池”计数，候选组合占用各池一套；
+ *  3) 分支定界搜索每户选用哪个候选（或不分配），目标依次为：分配户数最多 → 浪费面积总和（total）或最大值（max）最小；
+ *     搜索节点数超过 maxNodes 时返回当前最优解（optimal=false）；
+ *  4) 按搜索结果从各房源池依次取出具体房源，生成每户的方案。
+ *
+ * 候选只取每户前 candidatesPerHousehold 个，若某户的候选全部与其他户冲突，会被报告为未分配，
+ * 可调大 candidatesPerHousehold 后重试。
+ */
+
+const { bestTopKCombos, buildSolveContext, formatCombo } = require("./solver");
+const { itemKey } = require("./topk");
+const { unitId } = require("./unit");
+const { normalizeGiftPolicy, parseGiftArea } = require("./gift");
+
+const MAX_HOUSEHOLDS = 200;
+const DEFAULT_CANDIDATES = 200;
+const MAX_CANDIDATES = 5000;
+const DEFAULT_MAX_NODES = 200000;
+const OBJECTIVES = ["total", "max"];
+
+const REASON_INFEASIBLE = "无可行方案";
+const REASON_CONFLICT = "候选方案的房源已分配给其他家庭";
+
+/**
+ * 校验并规整家庭列表
+ * @param {Array<{name?:string, target:number, giftArea?:number}>} list
+ * @param {object} [giftPolicy] 赠送策略（见 src/gift.js），决定允许的赠送面积
+ * @returns {Array<{name:string, target:number, giftArea:number, effectiveTarget:number}>}
+ * @throws {Error} 列表为空、超过上限或某户参数非法
+ */
+function parseHouseholds(list, giftPolicy = normalizeGiftPolicy()) {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("households 参数无效（需为非空数组）");
+  }
+  if (list.length > MAX_HOUSEHOLDS) {
+    throw new Error(`households 最多 ${MAX_HOUSEHOLDS} 户`);
+  }
+  return list.map((h, i) => {
+    const label = `第 ${i + 1} 户`;
+    if (!h || typeof h !== "object") throw new Error(`${label}参数无效（需为对象）`);
+    const name = h.name !== undefined && h.name !== null && String(h.name).trim() ? String(h.name).trim() : `第${i + 1}户`;
+    const target = Number(h.target);
+    if (!Number.isFinite(target) || target <= 0) {
+      throw new Error(`${label}（${name}）target 无效（需为正数）`);
+    }
+    let giftArea;
+    try {
+      giftArea = parseGiftArea(h.giftArea, giftPolicy);
+    } catch (e) {
+      throw new Error(`${label}（${name}）${e.message}`);
+    }
+    return { name, target, giftArea, effectiveTarget: target + giftArea };
+  });
+}
+
+/**
+ * 校验分配参数
+ * @param {{objective?:string, candidatesPerHousehold?:any, maxNodes?:any}} [opts]
+ * @returns {{objective:string, candidatesPerHousehold:number, maxNodes:number}}
+ * @throws {Error} 参数非法
+ */
+function parseAllocateOptions({ objective, candidatesPerHousehold, maxNodes } = {}) {
+  const obj = objective === undefined || objective === null || objective === "" ? "total" : String(objective).toLowerCase();
+  if (!OBJECTIVES.includes(obj)) {
+    throw new Error(`objective 参数无效（可选 ${OBJECTIVES.join("/")}）`);
+  }
+  const k = candidatesPerHousehold === undefined || candidatesPerHousehold === null || candidatesPerHousehold === ""
+    ? DEFAULT_CANDIDATES
+    : Number(candidatesPerHousehold);
+  if (!Number.isInteger(k) || k < 1 || k > MAX_CANDIDATES) {
+    throw new Error(`candidatesPerHousehold 参数无效（需为 1~${MAX_CANDIDATES} 的整数）`);
+  }
+  const n = maxNodes === undefined || maxNodes === null || maxNodes === "" ? DEFAULT_MAX_NODES : Number(maxNodes);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error("maxNodes 参数无效（需为正整数）");
+  }
+  return { objective: obj, candidatesPerHousehold: k, maxNodes: n };
+}
+
+function round6(x) {
+  return Number(x.toFixed(6));
+}
+
+/**
+ * 为一批家庭分配互不重复的房源组合
+ * @param {Array<{name?:string, target:number, giftArea?:number}>} households
+ * @param {object} [options]
+ *  - objective："total"（浪费面积总和最小，默认）| "max"（最大浪费面积最小）
+ *  - candidatesPerHousehold：每户参与搜索的候选组合数（默认 200）
+ *  - maxNodes：分支定界的节点上限（默认 200000）
+ *  - 其余同 solveTopK 的筛选与约束参数（source / minArea / maxArea / xfCommunities / structure / compositions / sizes / ban 等），对所有家庭生效
+ * @returns {{objective:string, optimal:boolean, nodes:number, summary:object, households:Array<object>}}
+ * @throws {Error} 参数非法
+ */
+function allocateHouseholds(households, options = {}) {
+  // 指定包含对多户无意义（同一房源不能分给多户），此处忽略 pin
+  const ctx = buildSolveContext({ ...options, pin: undefined });
+  const list = parseHouseholds(households, ctx.constraints.gift);
+  const { objective, candidatesPerHousehold, maxNodes } = parseAllocateOptions(options);
+  const __t0 = process.hrtime.bigint();
+  console.log(`[LOG] 开始多户分配：${list.length} 户，目标 ${objective}，每户候选 ${candidatesPerHousehold}`);
+
+  // 房源池：itemKey → 可互换的具体房源（不含指定排除的房源）
+  const banned = new Set(ctx.constraints.banned || []);
+  const pools = new Map();
+  for (const x of ctx.candidates) {
+    if (banned.has(unitId(x))) continue;
+    const k = itemKey(x);
+    if (!pools.has(k)) pools.set(k, []);
+    pools.get(k).push(x);
+  }
+
+  // 逐户取候选组合（按浪费面积升序），记录各自占用的房源池
+  const cands = list.map((h) => {
+    const top = bestTopKCombos(
+      ctx.candidates,
+      h.effectiveTarget,
+      ctx.fileAName,
+      ctx.fileBName,
+      candidatesPerHousehold,
+      ctx.disallowDominant,
+      ctx.dominantMoreThan,
+      ctx.othersLessThan,
+      h.giftArea,
+      { ...ctx.constraints, compositions: ctx.compositionsFor(h.giftArea), diversity: null, onProgress: null, raw: true }
+    );
+    return top.map(({ sum, picked }) => {
+      const uses = new Map();
+      for (const x of picked) {
+        const k = itemKey(x);
+        uses.set(k, (uses.get(k) || 0) + 1);
+      }
+      return { sum, picked, uses, waste: round6(h.effectiveTarget - sum) };
+    });
+  });
+
+  // 搜索顺序：候选少的先定（约束最紧），其次目标面积大的先定
+  const order = list
+    .map((h, i) => i)
+    .filter((i) => cands[i].length > 0)
+    .sort((a, b) => cands[a].length - cands[b].length || list[b].effectiveTarget - list[a].effectiveTarget || a - b);
+  const n = order.length;
+
+  // 剩余家庭全部分配时的浪费面积下界（各户最优候选）
+  const minWaste = order.map((i) => cands[i][0].waste);
+  const sufTotal = new Array(n + 1).fill(0);
+  const sufMax = new Array(n + 1).fill(0);
+  for (let d = n - 1; d >= 0; d--) {
+    sufTotal[d] = sufTotal[d + 1] + minWaste[d];
+    sufMax[d] = Math.max(sufMax[d + 1], minWaste[d]);
+  }
+
+  // 比较键：[-分配户数, 主目标, 次目标]，字典序越小越好
+  function makeKey(assigned, total, max) {
+    return objective === "max" ? [-assigned, round6(max), round6(total)] : [-assigned, round6(total), round6(max)];
+  }
+  function less(a, b) {
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return a[i] < b[i];
+    }
+    return false;
+  }
+
+  const remaining = new Map();
+  for (const [k, units] of pools) remaining.set(k, units.length);
+  const choice = new Array(n).fill(-1);
+  let best = { key: makeKey(0, Infinity, Infinity), choice: choice.slice() };
+  let nodes = 0;
+  let stopped = false;
+
+  function fits(c) {
+    for (const [k, cnt] of c.uses) {
+      if ((remaining.get(k) || 0) < cnt) return false;
+    }
+    return true;
+  }
+  function take(c, sign) {
+    for (const [k, cnt] of c.uses) remaining.set(k, remaining.get(k) - sign * cnt);
+  }
+
+  (function dfs(d, assigned, total, max) {
+    if (stopped) return;
+    if (++nodes > maxNodes) {
+      stopped = true;
+      return;
+    }
+    if (d === n) {
+      const key = makeKey(assigned, total, max);
+      if (less(key, best.key)) best = { key, choice: choice.slice() };
+      return;
+    }
+    // 下界：剩余家庭全部按各自最优候选分配
+    const bound = makeKey(assigned + n - d, total + sufTotal[d], Math.max(max, sufMax[d]));
+    if (!less(bound, best.key)) return;
+
+    const cs = cands[order[d]];
+    for (let j = 0; j < cs.length; j++) {
+      const c = cs[j];
+      if (!fits(c)) continue;
+      take(c, 1);
+      choice[d] = j;
+      dfs(d + 1, assigned + 1, total + c.waste, Math.max(max, c.waste));
+      take(c, -1);
+      if (stopped) return;
+    }
+    choice[d] = -1;
+    dfs(d + 1, assigned, total, max);
+  })(0, 0, 0, 0);
+
+  // 按搜索结果从房源池取出具体房源（按家庭原始顺序）
+  const chosenByHousehold = new Map();
+  order.forEach((i, d) => {
+    if (best.choice[d] >= 0) chosenByHousehold.set(i, cands[i][best.choice[d]]);
+  });
+  const cursor = new Map();
+  let totalWaste = 0;
+  let maxWaste = 0;
+  const out = list.map((h, i) => {
+    const c = chosenByHousehold.get(i);
+    const base = { name: h.name, target: h.target, giftArea: h.giftArea, effectiveTarget: h.effectiveTarget };
+    if (!c) {
+      return { ...base, assigned: false, plan: null, reason: cands[i].length ? REASON_CONFLICT : REASON_INFEASIBLE };
+    }
+    const picked = c.picked.map((x) => {
+      const k = itemKey(x);
+      const at = cursor.get(k) || 0;
+      cursor.set(k, at + 1);
+      return pools.get(k)[at];
+    });
+    totalWaste += c.waste;
+    maxWaste = Math.max(maxWaste, c.waste);
+    return { ...base, assigned: true, plan: formatCombo({ sum: c.sum, picked }, h.effectiveTarget, ctx.fileBName), reason: null };
+  });
+
+  const assignedCount = out.filter((h) => h.assigned).length;
+  const __ms = Number(process.hrtime.bigint() - __t0) / 1e6;
+  console.log(
+    `[METRIC] allocateHouseholds spent ${__ms.toFixed(2)} ms households=${list.length} assigned=${assignedCount} objective=${objective} nodes=${Math.min(nodes, maxNodes)} optimal=${!stopped}`
+  );
+  return {
+    objective,
+    optimal: !stopped,
+    nodes: Math.min(nodes, maxNodes),
+    summary: {
+      households: list.length,
+      assigned: assignedCount,
+      unassigned: list.length - assignedCount,
+      totalWaste: round6(totalWaste),
+      maxWaste: round6(maxWaste),
+    },
+    households: out,
+  };
+}
+
+module.exports = {
+  parseHouseholds,
+  parseAllocateOptions,
+  allocateHouseholds,
+};
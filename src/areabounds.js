@@ -0,0 +1,86 @@
+/**
+ * src/areabounds.js
+ * 分来源 / 分类型的面积区间：在候选筛选（sliceRange）时按期房/现房与类型 A/B/C/D 分别取 [min, max]。
+ *
+ * 参数名（查询参数、CLI 与 config.json 的 areaBounds 相同）：
+ *  - minArea / maxArea：全部房源（原有参数）
+ *  - minAreaA / maxAreaC：某类型（不分来源）
+ *  - qfMinArea / xfMaxArea：某来源（qf = 期房，xf = 现房）
+ *  - qfMinAreaA / xfMaxAreaD：某来源的某类型
+ * 同一桶的最小、最大值各自按“来源+类型 → 类型 → 来源 → 全部”取第一个设置的值；查询参数覆盖 config.json 中同名的值。
+ */
+
+const AREA_SIDES = { qf: "期房", xf: "现房" };
+const AREA_TYPES = ["A", "B", "C", "D"];
+// 细分参数名（不含全局的 minArea / maxArea）
+const AREA_BOUND_KEY_RE = /^(?:(qf|xf)(Min|Max)Area([ABCD])?|(min|max)Area([ABCD]))$/;
+
+function isBlank(v) {
+  return v === undefined || v === null || String(v).trim() === "";
+}
+
+/**
+ * 规整细分面积区间参数：只取匹配的参数名，忽略留空的值
+ * @param {object} [spec] 如查询参数对象、CLI 参数或 config.json 的 areaBounds
+ * @param {string} [label] 出错提示的前缀，如 "config.json 的 areaBounds."
+ * @returns {Record<string, number>|null} 参数名 → 数值（按参数名排序），均未设置时返回 null
+ * @throws {Error} 取值不是 ≥ 0 的数值
+ */
+function normalizeAreaBounds(spec, label = "") {
+  if (!spec || typeof spec !== "object") return null;
+  const out = {};
+  for (const key of Object.keys(spec).filter((k) => AREA_BOUND_KEY_RE.test(k)).sort()) {
+    const v = spec[key];
+    if (isBlank(v)) continue;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0) {
+      throw new Error(`${label}${key} 参数无效（需为 ≥ 0 的数值）`);
+    }
+    out[key] = n;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+/**
+ * 各来源、各类型的面积区间
+ * @param {Record<string, number>|null} bounds normalizeAreaBounds 的返回值
+ * @param {number} [minArea] 全局最小面积
+ * @param {number} [maxArea] 全局最大面积
+ * @returns {{qf:Record<string,{min?:number,max?:number}>, xf:Record<string,{min?:number,max?:number}>}} 未设置的一端为 undefined
+ * @throws {Error} 某个桶的最小面积大于最大面积
+ */
+function areaBoundsTable(bounds, minArea, maxArea) {
+  const b = bounds || {};
+  const pick = (...vals) => vals.find((v) => v !== undefined);
+  const table = {};
+  for (const side of Object.keys(AREA_SIDES)) {
+    table[side] = {};
+    for (const t of AREA_TYPES) {
+      const min = pick(b[`${side}MinArea${t}`], b[`minArea${t}`], b[`${side}MinArea`], minArea);
+      const max = pick(b[`${side}MaxArea${t}`], b[`maxArea${t}`], b[`${side}MaxArea`], maxArea);
+      if (min !== undefined && max !== undefined && min > max) {
+        throw new Error(`${AREA_SIDES[side]} ${t} 类面积区间无效（最小面积 ${min} 大于最大面积 ${max}）`);
+      }
+      table[side][t] = { min, max };
+    }
+  }
+  return table;
+}
+
+/**
+ * 细分区间的摘要（日志与诊断说明用），如 "qfMaxArea=140，xfMinAreaD=60"
+ * @param {Record<string, number>|null} bounds
+ * @returns {string}
+ */
+function describeAreaBounds(bounds) {
+  return Object.entries(bounds || {})
+    .map(([k, v]) => `${k}=${v}`)
+    .join("，");
+}
+
+module.exports = {
+  AREA_BOUND_KEY_RE,
+  normalizeAreaBounds,
+  areaBoundsTable,
+  describeAreaBounds,
+};
@@ -0,0 +1,233 @@
+/**
+ * src/audit.js
+ * 管理端数据修改的审计日志：追加写入 data/audit-log.jsonl（每行一条 JSON 记录，只追加不改写；目录同房源状态，见 src/status.js 的 STATE_DIR），
+ * 支持按房源、操作人、类型与时间查询，以及撤销单条修改、回滚到指定时间点。
+ *
+ * 记录格式：{ seq, at, batch, action, operator, ip, reason, unit?, before?, after?, revertOf?, rollbackTo?, trigger?, summary? }
+ *  - seq：递增序号；batch：同一次请求产生的记录共用的批次号（首条记录的 seq）
+ *  - action：见 AUDIT_ACTIONS；update / revert / rollback / prune 为单套房源的状态变化，
+ *    含 unit（房源编号）与 before / after（状态记录，null 为可售，格式见 src/status.js）
+ *  - reload / upload 为数据重新加载、上传替换事件，含 trigger（触发原因）与 summary（src/data.js 的 reloadFromExcel 摘要），不能撤销
+ * 撤销、回滚本身也记入日志（可再次撤销）；回滚只恢复房源状态，不恢复 Excel 数据。
+ * 只有主线程写入；读取结果按文件版本缓存。末尾不完整的行（如写入中断）读取时跳过。
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { STATE_DIR, unitStatusOf, isHoldExpired, sameStatus, fileVersion, optionalText } = require("./status");
+const { httpError } = require("./httperror");
+
+const AUDIT_LOG = path.join(STATE_DIR, "audit-log.jsonl");
+
+// 记录类型 → 中文名称
+const AUDIT_ACTIONS = {
+  update: "修改状态",
+  revert: "撤销",
+  rollback: "回滚",
+  prune: "房源删除",
+  reload: "重新加载",
+  upload: "上传替换",
+};
+// 单套房源状态变化的类型（可撤销、参与回滚）
+const UNIT_ACTIONS = new Set(["update", "revert", "rollback", "prune"]);
+
+const MAX_OPERATOR_LENGTH = 50;
+const MAX_REASON_LENGTH = 200;
+// 查询每页默认与最多返回的条数
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+let cache = { version: null, entries: [] };
+
+/**
+ * 全部审计记录（按 seq 升序）
+ * @returns {Array<object>} 只读，调用方不得修改
+ */
+function readAuditLog() {
+  const version = fileVersion(AUDIT_LOG);
+  if (cache.version === version) return cache.entries;
+  const entries = [];
+  let skipped = 0;
+  if (version) {
+    for (const line of fs.readFileSync(AUDIT_LOG, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        skipped++;
+      }
+    }
+  }
+  if (skipped) console.warn(`[LOG] 审计日志中有 ${skipped} 行无法解析，已跳过：${path.basename(AUDIT_LOG)}`);
+  cache = { version, entries };
+  return entries;
+}
+
+/**
+ * 规整操作人与修改原因
+ * @param {{operator?:string, reason?:string}} [meta]
+ * @returns {{operator:string, reason:string}}
+ * @throws {Error} 不是字符串或超过长度上限
+ */
+function parseAuditMeta(meta = {}) {
+  return {
+    operator: optionalText(meta.operator, "operator", MAX_OPERATOR_LENGTH),
+    reason: optionalText(meta.reason, "reason", MAX_REASON_LENGTH),
+  };
+}
+
+/**
+ * 追加审计记录（同一次调用的记录共用一个批次号）
+ * @param {Array<object>} records { action, unit?, before?, after?, revertOf?, rollbackTo?, trigger?, summary? }
+ * @param {{operator?:string, reason?:string, ip?:string}} [meta]
+ * @param {number} [now]
+ * @returns {Array<object>} 写入的记录
+ */
+function recordAudit(records, meta = {}, now = Date.now()) {
+  if (!records.length) return [];
+  const entries = readAuditLog();
+  let seq = entries.length ? entries[entries.length - 1].seq + 1 : 1;
+  const at = new Date(now).toISOString();
+  const batch = seq;
+  const written = records.map((r) => ({
+    seq: seq++,
+    at,
+    batch,
+    operator: meta.operator || "",
+    ip: meta.ip || "",
+    reason: meta.reason || "",
+    ...r,
+  }));
+  fs.appendFileSync(AUDIT_LOG, written.map((e) => `${JSON.stringify(e)}\n`).join(""), "utf8");
+  return written;
+}
+
+/**
+ * 将 setUnitStatuses 返回的状态变化记入审计日志
+ * @param {Array<{id:string, before:object|null, after:object|null}>} changes
+ * @param {string} action update / revert / rollback / prune
+ * @param {{operator?:string, reason?:string, ip?:string}} [meta]
+ * @param {object} [extra] 附加到每条记录的字段（如 revertOf、rollbackTo）
+ * @returns {Array<object>}
+ */
+function recordStatusChanges(changes, action, meta, extra = {}) {
+  return recordAudit(
+    changes.map(({ id, before, after }) => ({ action, unit: id, before, after, ...extra })),
+    meta
+  );
+}
+
+function parseTime(v, name) {
+  const t = Date.parse(v);
+  if (!Number.isFinite(t)) throw new Error(`${name} 不是有效的时间`);
+  return t;
+}
+
+/**
+ * 规整查询参数
+ * @param {{unit?:string, operator?:string, action?:string, since?:string, until?:string, limit?:any, offset?:any}} q
+ * @returns {{unit:string, operator:string, action:string, since:number|null, until:number|null, limit:number, offset:number}}
+ * @throws {Error} 类型、时间或分页参数无效
+ */
+function parseAuditQuery(q) {
+  const text = (v) => String(v ?? "").trim();
+  const action = text(q.action);
+  if (action && !AUDIT_ACTIONS[action]) throw new Error(`action 参数无效（可选 ${Object.keys(AUDIT_ACTIONS).join(" / ")}）`);
+  const since = text(q.since) ? parseTime(text(q.since), "since") : null;
+  const until = text(q.until) ? parseTime(text(q.until), "until") : null;
+  const limit = text(q.limit) ? Number(q.limit) : DEFAULT_QUERY_LIMIT;
+  const offset = text(q.offset) ? Number(q.offset) : 0;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) throw new Error(`limit 参数无效（1–${MAX_QUERY_LIMIT}）`);
+  if (!Number.isInteger(offset) || offset < 0) throw new Error("offset 参数无效（需为 ≥ 0 的整数）");
+  return { unit: text(q.unit), operator: text(q.operator), action, since, until, limit, offset };
+}
+
+/**
+ * 查询审计记录（新的在前）；unit / operator 为包含匹配，时间区间含两端
+ * 单套房源的记录附带 revertedBy（撤销它的记录的 seq，未撤销为 null）
+ * @param {object} query parseAuditQuery 的返回值
+ * @returns {{total:number, entries:Array<object>}}
+ */
+function queryAudit(query) {
+  const entries = readAuditLog();
+  const revertedBy = new Map();
+  for (const e of entries) if (e.action === "revert" && e.revertOf) revertedBy.set(e.revertOf, e.seq);
+  const matched = [];
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const e = entries[i];
+    const at = Date.parse(e.at);
+    if (query.action && e.action !== query.action) continue;
+    if (query.unit && !String(e.unit || "").includes(query.unit)) continue;
+    if (query.operator && !String(e.operator || "").includes(query.operator)) continue;
+    if (query.since !== null && at < query.since) continue;
+    if (query.until !== null && at > query.until) continue;
+    matched.push(e);
+  }
+  const page = matched.slice(query.offset, query.offset + query.limit).map((e) =>
+    UNIT_ACTIONS.has(e.action) ? { ...e, revertedBy: revertedBy.get(e.seq) || null } : e
+  );
+  return { total: matched.length, entries: page };
+}
+
+// 恢复日志中的旧状态：已到期的保留恢复为可售，其余沿用原记录并更新 updatedAt
+function restoredEntry(entry, now) {
+  if (!entry || isHoldExpired(entry, now)) return null;
+  return { ...entry, updatedAt: new Date(now).toISOString() };
+}
+
+/**
+ * 撤销单条状态修改：将房源恢复为该记录的修改前状态
+ * @param {number} seq 记录序号
+ * @param {{force?:boolean}} [opts] force：房源状态在该记录之后又被修改过时仍然撤销
+ * @param {number} [now]
+ * @returns {{record:object, update:{id:string, entry:object|null}}}
+ * @throws {Error} 记录不存在（status=404）、不是房源状态修改（status=400）、之后又被修改过（status=409）
+ */
+function planRevert(seq, { force = false } = {}, now = Date.now()) {
+  const record = readAuditLog().find((e) => e.seq === seq);
+  if (!record) throw httpError(`审计记录不存在：${seq}`, 404);
+  if (!UNIT_ACTIONS.has(record.action)) throw httpError(`该记录（${AUDIT_ACTIONS[record.action] || record.action}）不是房源状态修改，无法撤销`, 400);
+  if (!force && !sameStatus(unitStatusOf(record.unit, now), record.after, now)) {
+    throw httpError(`房源 ${record.unit} 的状态在该记录之后已被修改，撤销会覆盖之后的修改（确认覆盖请传 force）`, 409);
+  }
+  return { record, update: { id: record.unit, entry: restoredEntry(record.before, now) } };
+}
+
+/**
+ * 回滚到指定时间点：该时间之后被修改过的房源恢复为该时间点的状态（各房源在该时间之后第一条记录的修改前状态）
+ * @param {number} to 时间戳（毫秒）
+ * @param {number} [now]
+ * @returns {{updates:Array<{id:string, entry:object|null}>, changes:Array<{id:string, before:object, after:object|null}>}}
+ *   changes 为与当前状态不同、需要恢复的房源（before 为当前状态），updates 为对应的状态修改
+ * @throws {Error} 时间晚于当前时间（status=400）
+ */
+function planRollback(to, now = Date.now()) {
+  if (!Number.isFinite(to) || to > now) throw httpError("回滚时间必须为不晚于当前的有效时间", 400);
+  const target = new Map();
+  for (const e of readAuditLog()) {
+    if (!UNIT_ACTIONS.has(e.action) || Date.parse(e.at) <= to || target.has(e.unit)) continue;
+    target.set(e.unit, e.before);
+  }
+  const updates = [];
+  const changes = [];
+  for (const [id, before] of target) {
+    const current = unitStatusOf(id, now);
+    if (sameStatus(current, before, now)) continue;
+    const entry = restoredEntry(before, now);
+    updates.push({ id, entry });
+    changes.push({ id, before: current, after: entry });
+  }
+  return { updates, changes };
+}
+
+module.exports = {
+  AUDIT_LOG,
+  AUDIT_ACTIONS,
+  parseAuditMeta,
+  recordAudit,
+  recordStatusChanges,
+  parseAuditQuery,
+  queryAudit,
+  planRevert,
+  planRollback,
+};
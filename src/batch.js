@@ -0,0 +1,176 @@
+/**
+ * src/batch.js
+ * 批量求解：一次提交多个目标面积（如多户家庭），逐个求解后汇总，可导出为一个多工作表的 Excel。
+ *
+ * 输入：JSON 数组 [{ id, target, giftArea }]，或上传的 xlsx / csv（首个工作表，表头见 COLUMN_ALIASES）。
+ * 各目标互不影响（同一房源可出现在多个目标的结果中）；需要房源互不重复时使用多户分配（src/allocate.js）。
+ */
+
+const XLSX = require("xlsx");
+const { normalizeGiftPolicy, parseGiftArea } = require("./gift");
+
+const MAX_BATCH_TARGETS = 500;
+
+// 上传表格的表头（按顺序匹配第一个存在的列）
+const COLUMN_ALIASES = {
+  id: ["户号", "家庭编号", "编号", "家庭", "姓名", "id", "name"],
+  target: ["目标面积", "target"],
+  giftArea: ["赠送面积", "giftArea"],
+};
+
+function isBlank(v) {
+  return v === undefined || v === null || String(v).trim() === "";
+}
+
+/**
+ * 校验并规整批量目标
+ * @param {Array<{id?:string, target:number, giftArea?:number}>} list
+ * @param {object} [giftPolicy] 赠送策略（见 src/gift.js），决定允许的赠送面积
+ * @returns {Array<{id:string, target:number, giftArea:number, effectiveTarget:number}>}
+ * @throws {Error} 列表为空、超过上限或某项参数非法
+ */
+function parseBatchTargets(list, giftPolicy = normalizeGiftPolicy()) {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("targets 参数无效（需为非空数组）");
+  }
+  if (list.length > MAX_BATCH_TARGETS) {
+    throw new Error(`targets 最多 ${MAX_BATCH_TARGETS} 个`);
+  }
+  return list.map((t, i) => {
+    const label = `第 ${i + 1} 个目标`;
+    if (!t || typeof t !== "object") throw new Error(`${label}参数无效（需为对象）`);
+    const rawId = t.id ?? t.name;
+    const id = isBlank(rawId) ? String(i + 1) : String(rawId).trim();
+    const target = Number(t.target);
+    if (!Number.isFinite(target) || target <= 0) {
+      throw new Error(`${label}（${id}）target 无效（需为正数）`);
+    }
+    let giftArea;
+    try {
+      giftArea = parseGiftArea(t.giftArea, giftPolicy);
+    } catch (e) {
+      throw new Error(`${label}（${id}）${e.message}`);
+    }
+    return { id, target, giftArea, effectiveTarget: target + giftArea };
+  });
+}
+
+/**
+ * 读取上传表格（xlsx / csv）的首个工作表为目标列表（未校验）
+ * @param {Buffer} buf
+ * @param {"xlsx"|"csv"} format
+ * @returns {Array<{id:any, target:any, giftArea:any}>}
+ * @throws {Error} 无法解析或缺少目标面积列
+ */
+function readTargetSheet(buf, format) {
+  let wb;
+  try {
+    // csv 按 UTF-8 解码（去掉 BOM），避免中文表头被按单字节编码读取
+    wb = format === "csv"
+      ? XLSX.read(buf.toString("utf8").replace(/^\uFEFF/, ""), { type: "string", raw: true })
+      : XLSX.read(buf, { type: "buffer" });
+  } catch (e) {
+    throw new Error(`无法解析上传的 ${format} 文件：${e.message}`);
+  }
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  const rows = ws ? XLSX.utils.sheet_to_json(ws, { defval: null, raw: true }) : [];
+  if (rows.length === 0) {
+    throw new Error(`上传的 ${format} 文件无数据`);
+  }
+  const headers = Object.keys(rows[0]).map((h) => [h, String(h).trim()]);
+  const col = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const hit = aliases.map((a) => headers.find(([, name]) => name.toLowerCase() === a.toLowerCase())).find(Boolean);
+    col[field] = hit ? hit[0] : undefined;
+  }
+  if (!col.target) {
+    throw new Error(`上传的 ${format} 文件缺少目标面积列（表头：${COLUMN_ALIASES.target.join(" / ")}）`);
+  }
+  return rows
+    .filter((r) => !isBlank(r[col.target]) || (col.id && !isBlank(r[col.id])))
+    .map((r) => ({
+      id: col.id ? r[col.id] : undefined,
+      target: r[col.target],
+      giftArea: col.giftArea ? r[col.giftArea] : undefined,
+    }));
+}
+
+/**
+ * 解析批量请求体：按内容识别 JSON（数组或 { targets }）、xlsx（zip 文件头）或 csv
+ * @param {Buffer} buf
+ * @param {object} [giftPolicy] 赠送策略（见 src/gift.js）
+ * @returns {Array<{id:string, target:number, giftArea:number, effectiveTarget:number}>}
+ * @throws {Error} 内容无法解析或目标非法
+ */
+function parseBatchBody(buf, giftPolicy) {
+  const text = buf.subarray(0, 8).toString("latin1").trimStart();
+  if (buf.length >= 4 && buf[0] === 0x50 && buf[1] === 0x4b) {
+    return parseBatchTargets(readTargetSheet(buf, "xlsx"), giftPolicy);
+  }
+  if (text.startsWith("[") || text.startsWith("{")) {
+    let data;
+    try {
+      data = JSON.parse(buf.toString("utf8"));
+    } catch {
+      throw new Error("请求体不是合法的 JSON");
+    }
+    return parseBatchTargets(Array.isArray(data) ? data : data && data.targets, giftPolicy);
+  }
+  if (buf.length === 0) {
+    throw new Error("请求体为空（需为 JSON、xlsx 或 csv）");
+  }
+  return parseBatchTargets(readTargetSheet(buf, "csv"), giftPolicy);
+}
+
+/**
+ * 以有限并发逐个求解目标，单个目标失败不影响其余目标
+ * @param {Array<{id:string, target:number, giftArea:number, effectiveTarget:number}>} targets
+ * @param {(t:object, index:number)=>Promise<Array>} solveOne 返回该目标的结果数组
+ * @param {number} concurrency 同时进行的目标数（一般为 WorkerPool 大小）
+ * @returns {Promise<{summary:object, items:Array<object>}>} 任务被取消（status 499）时整体拒绝
+ */
+async function runBatch(targets, solveOne, concurrency) {
+  const __t0 = process.hrtime.bigint();
+  const items = new Array(targets.length);
+  let next = 0;
+  let cancelled = null;
+
+  async function lane() {
+    while (!cancelled && next < targets.length) {
+      const i = next++;
+      const t = targets[i];
+      try {
+        const results = await solveOne(t, i);
+        items[i] = { ...t, results, error: null };
+      } catch (e) {
+        if (e && e.status === 499) {
+          cancelled = e;
+          return;
+        }
+        items[i] = { ...t, results: [], error: (e && e.message) ? e.message : String(e) };
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, targets.length)) }, lane));
+  if (cancelled) throw cancelled;
+
+  const failed = items.filter((it) => it.error).length;
+  const __ms = Number(process.hrtime.bigint() - __t0) / 1e6;
+  console.log(`[METRIC] runBatch spent ${__ms.toFixed(2)} ms targets=${targets.length} failed=${failed} concurrency=${concurrency}`);
+  return {
+    summary: {
+      targets: items.length,
+      succeeded: items.length - failed,
+      failed,
+      empty: items.filter((it) => !it.error && it.results.length === 0).length,
+    },
+    items,
+  };
+}
+
+module.exports = {
+  MAX_BATCH_TARGETS,
+  parseBatchTargets,
+  parseBatchBody,
+  runBatch,
+};
@@ -7,11 +7,12 @@
  * 在按 area 升序的数组中，找到第一个 area > maxArea 的位置（bisect_right）。
  * @param {Array<{area:number}>} arr 按面积升序排序的数组
  * @param {number} maxArea 最大面积阈值
+ * @param {number} [end] 仅在 [0, end) 范围内查找（默认整个数组）
  * @returns {number} 索引位置
  */
-function bisectRightByArea(arr, maxArea) {
+function bisectRightByArea(arr, maxArea, end = arr.length) {
   let lo = 0;
-  let hi = arr.length;
+  let hi = Math.min(end, arr.length);
   while (lo < hi) {
     const mid = (lo + hi) >> 1;
     if (arr[mid].area <= maxArea) lo = mid + 1;
@@ -20,18 +21,37 @@ function bisectRightByArea(arr, maxArea) {
   return lo;
 }
 
+/**
+ * 在按 sum 升序的数组中，找到第一个 sum > maxSum 的位置（用于配对和索引）。
+ * @param {Array<{sum:number}>} arr 按 sum 升序排序的数组
+ * @param {number} maxSum 最大和阈值
+ * @returns {number} 索引位置
+ */
+function bisectRightBySum(arr, maxSum) {
+  let lo = 0;
+  let hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (arr[mid].sum <= maxSum) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
 /**
  * 在数组中选出 area ≤ maxArea 的最大元素；不存在则返回 null。
  * @param {Array<{area:number}>} arr 按面积升序排序的数组
  * @param {number} maxArea 最大面积阈值
+ * @param {number} [end] 仅在 [0, end) 范围内选取（默认整个数组）
  * @returns {{area:number,type:string,srcFile:string}|null} 选中的元素或 null
  */
-function pickBestUnderOrEqual(arr, maxArea) {
-  const idx = bisectRightByArea(arr, maxArea) - 1;
+function pickBestUnderOrEqual(arr, maxArea, end = arr.length) {
+  const idx = bisectRightByArea(arr, maxArea, end) - 1;
   return idx >= 0 ? arr[idx] : null;
 }
 
 module.exports = {
   bisectRightByArea,
+  bisectRightBySum,
   pickBestUnderOrEqual,
 };
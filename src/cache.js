@@ -0,0 +1,142 @@
+/**
+ * src/cache.js
+ * 求解结果缓存：基于 Map 插入顺序的 LRU，附命中统计；以及缓存键的规范化。
+ *
+ * 缓存键 = 规范化后的 solveTopK 参数 + 数据版本（数据集文件版本、管理端保存次数、配置版本），
+ * 任一数据或配置变化后旧键不再命中，随 LRU 淘汰。
+ */
+
+const { compositionKey, parseCompositionList, parseSizes } = require("./composition");
+const { normalizeLocationFilters } = require("./location");
+const { normalizeAreaBounds } = require("./areabounds");
+const { normalizeCountConstraints } = require("./counts");
+
+class LRUCache {
+  /**
+   * @param {number} maxEntries 最多缓存条数（≤ 0 表示禁用缓存）
+   */
+  constructor(maxEntries = 20) {
+    this.map = new Map();
+    this.maxEntries = Math.max(0, Math.floor(Number(maxEntries) || 0));
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * 读取并将该键标记为最近使用；未命中返回 undefined
+   * @param {string} key
+   */
+  get(key) {
+    if (!this.map.has(key)) {
+      this.misses++;
+      return undefined;
+    }
+    const value = this.map.get(key);
+    this.map.delete(key);
+    this.map.set(key, value);
+    this.hits++;
+    return value;
+  }
+
+  /**
+   * 写入；超出上限时淘汰最久未使用的条目
+   * @param {string} key
+   * @param {any} value
+   */
+  set(key, value) {
+    if (this.maxEntries <= 0) return;
+    if (this.map.has(key)) this.map.delete(key);
+    this.map.set(key, value);
+    this._trim();
+  }
+
+  /**
+   * 调整容量（配置热加载时调用）
+   * @param {number} maxEntries
+   */
+  setMaxEntries(maxEntries) {
+    const n = Math.max(0, Math.floor(Number(maxEntries) || 0));
+    if (n === this.maxEntries) return;
+    this.maxEntries = n;
+    this._trim();
+  }
+
+  clear() {
+    this.map.clear();
+  }
+
+  _trim() {
+    while (this.map.size > this.maxEntries) {
+      this.map.delete(this.map.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /** 命中统计 */
+  stats() {
+    const total = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: total ? Number((this.hits / total).toFixed(4)) : 0,
+      size: this.map.size,
+      maxEntries: this.maxEntries,
+      evictions: this.evictions,
+    };
+  }
+}
+
+function numOrNull(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * 构建求解结果的缓存键：参数规范化后与数据版本拼接
+ * - 数值统一为 Number，未设置记为 null
+ * - 小区列表去重排序；构成/套数解析为规范形式（如 "aabc" → "AABC"）；楼层/幢号/门牌号筛选规整为升序列表
+ * @param {number} target 最终计算面积（已含赠送面积）
+ * @param {object} options 传给 solveTopK 的参数
+ * @param {string} version 数据版本
+ * @returns {string}
+ */
+function solveCacheKey(target, options = {}, version = "") {
+  const compositions = parseCompositionList(options.compositions);
+  const sizes = parseSizes(options.sizes);
+  const normalized = {
+    target: numOrNull(target),
+    topK: numOrNull(options.topK),
+    source: options.source ? String(options.source).toUpperCase() : null,
+    minArea: numOrNull(options.minArea),
+    maxArea: numOrNull(options.maxArea),
+    areaBounds: normalizeAreaBounds(options.areaBounds),
+    xfCommunities: [...new Set((options.xfCommunities || []).map((s) => String(s).trim()).filter(Boolean))].sort(),
+    giftArea: numOrNull(options.giftArea) || 0,
+    structure: options.structure || null,
+    largeMoreThan: numOrNull(options.largeMoreThan),
+    smallLessThan: numOrNull(options.smallLessThan),
+    compositions: compositions ? compositions.map(compositionKey) : null,
+    sizes: sizes ? [...new Set(sizes)].sort((a, b) => a - b) : null,
+    maxPerUnit: numOrNull(options.maxPerUnit),
+    maxOverlap: numOrNull(options.maxOverlap),
+    pin: [...new Set(options.pin || [])].sort(),
+    ban: [...new Set(options.ban || [])].sort(),
+    rank: options.rank && options.rank !== "waste" ? String(options.rank) : null,
+    maxWaste: numOrNull(options.maxWaste),
+    wasteCost: options.rank === "score" ? numOrNull(options.wasteCost) : null,
+    pareto: options.pareto ? String(options.pareto) : null,
+    preferFloor: options.pareto ? numOrNull(options.preferFloor) : null,
+    location: normalizeLocationFilters(options.location),
+    counts: normalizeCountConstraints(options.counts),
+    holder: options.holder ? String(options.holder).trim() : null,
+    explain: Boolean(options.explain),
+  };
+  return `${version}::${JSON.stringify(normalized)}`;
+}
+
+module.exports = {
+  LRUCache,
+  solveCacheKey,
+};
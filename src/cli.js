@@ -5,11 +5,25 @@
 const path = require("path");
 const fs = require("fs");
 const { solveTopK } = require("./solver");
-const { exportToExcel } = require("./export");
+const { exportToExcel, exportBatchToExcel } = require("./export");
+const { normalizeStructure } = require("./structure");
+const { parseCompositionList, parseSizes } = require("./composition");
+const { normalizeDiversity } = require("./diversity");
+const { normalizeRanking } = require("./ranking");
+const { normalizePareto } = require("./pareto");
+const { normalizeLocationFilters } = require("./location");
+const { normalizeCountConstraints } = require("./counts");
+const { AREA_BOUND_KEY_RE, normalizeAreaBounds, areaBoundsTable } = require("./areabounds");
+const { normalizeGiftPolicy } = require("./gift");
+const { parseUnitSelection } = require("./unit");
+const { parseHolder } = require("./status");
+const { parseBatchBody, runBatch } = require("./batch");
+const { WorkerPool } = require("./pool");
+const os = require("os");
 
 /**
  * 解析命令行参数（内部开发用）
- * 示例：node -e "require('./src/cli').run(process.argv)" --target 318.64 --topK 10 [--source AB] [--minArea 60] [--maxArea 140]
+ * 示例：node -e "require('./src/cli').run(process.argv)" --target 318.64 --topK 10 [--source AB] [--minArea 60] [--maxArea 140] [--structure LLS]
  * @param {string[]} argv
  * @returns {Record<string, string|boolean>}
  */
@@ -37,9 +51,69 @@ function parseArgs(argv) {
 function run(argv = process.argv) {
   const args = parseArgs(argv);
 
+  // 批量模式：--batch targets.json|xlsx|csv，不需要 --target
+  const batchFile = typeof args.batch === "string" ? args.batch : null;
   const target = Number(args.target ?? args.t);
-  if (!Number.isFinite(target) || target <= 0) {
-    console.error("用法：--target 318.64 --topK 10 [--source AB] [--minArea 60] [--maxArea 140]");
+  if (!batchFile && (!Number.isFinite(target) || target <= 0)) {
+    console.error("用法：--target 318.64 | --batch targets.xlsx（json/xlsx/csv），--topK 10 [--source AB] [--minArea 60] [--maxArea 140] [--qfMaxArea 140] [--xfMinArea 60] [--maxAreaD 120] [--qfMinAreaA 80] [--structure LMM|LLS|MMMS|MMSS] [--largeMoreThan 100] [--smallLessThan 70] [--compositions ABC,AABC] [--sizes 3,4] [--maxPerUnit 2] [--maxOverlap 1] [--rank waste|wastePrice|price|score] [--maxWaste 1] [--wasteCost 5000] [--pareto price,xf,units,floor] [--preferFloor 6] [--qfFloor 3-8] [--xfFloor 3-8] [--qfBuilding 2,5] [--xfBuilding 9] [--qfDoor 12,13] [--xfDoor 26] [--qfDoorMode any|all] [--qfMaxCount 1] [--xfCount 2] [--maxPerCommunity 1] [--explain] [--pin 房源编号,...] [--ban 房源编号,...] [--holder 保留人]");
+    process.exit(1);
+  }
+
+  // 套型组合：LMM/LLS/MMMS/MMSS，未传入表示不限
+  let structure;
+  try {
+    structure = normalizeStructure(args.structure === true ? undefined : args.structure);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  const largeMoreThan = args.largeMoreThan !== undefined ? Number(args.largeMoreThan) : undefined;
+  const smallLessThan = args.smallLessThan !== undefined ? Number(args.smallLessThan) : undefined;
+
+  // 组合构成：--compositions ABC,AABC 或 --sizes 2,3
+  const compositions = typeof args.compositions === "string" ? args.compositions : undefined;
+  const sizes = typeof args.sizes === "string" ? args.sizes : undefined;
+  // 多样性上限：--maxPerUnit 同一套房源最多出现次数，--maxOverlap 两个结果最多共用房源数
+  const maxPerUnit = typeof args.maxPerUnit === "string" ? args.maxPerUnit : undefined;
+  const maxOverlap = typeof args.maxOverlap === "string" ? args.maxOverlap : undefined;
+  // 排序方式：--rank（waste/wastePrice/price/score），--maxWaste 浪费面积上限，--wasteCost 每平浪费折算金额
+  const rank = typeof args.rank === "string" ? args.rank : undefined;
+  const maxWaste = typeof args.maxWaste === "string" ? args.maxWaste : undefined;
+  const wasteCost = typeof args.wasteCost === "string" ? args.wasteCost : undefined;
+  // 帕累托模式：--pareto 逗号分隔的指标（price/xf/units/floor），含 floor 时 --preferFloor 期望楼层
+  const pareto = typeof args.pareto === "string" ? args.pareto : undefined;
+  const preferFloor = typeof args.preferFloor === "string" ? args.preferFloor : undefined;
+  // 楼层/幢号/门牌号筛选：--qfFloor / --xfFloor / --qfBuilding / --xfBuilding / --qfDoor / --xfDoor（如 3,5-8），
+  // --<参数名>Mode any|all 指定匹配方式（见 src/location.js）
+  const locationSpec = {};
+  for (const [k, v] of Object.entries(args)) {
+    if (/^(qf|xf)(Floor|Building|Door)(Mode)?$/.test(k) && typeof v === "string") locationSpec[k] = v;
+  }
+  // 按来源/小区的套数约束：--qfCount / --xfCount（恰好）、--qfMinCount / --qfMaxCount / --xfMinCount / --xfMaxCount、--maxPerCommunity
+  const countSpec = {};
+  for (const k of ["qfCount", "qfMinCount", "qfMaxCount", "xfCount", "xfMinCount", "xfMaxCount", "maxPerCommunity"]) {
+    if (typeof args[k] === "string") countSpec[k] = args[k];
+  }
+  // 指定包含/排除的房源：--pin / --ban，逗号分隔的房源编号（见结果中的“房源编号”）
+  // 保留人：--holder，该保留人保留的房源可用（见 src/status.js）
+  let pin, ban, location, counts, holder;
+  try {
+    parseCompositionList(compositions);
+    parseSizes(sizes);
+    normalizeDiversity({ maxPerUnit, maxOverlap });
+    const ranking = normalizeRanking({ rank, maxWaste, wasteCost });
+    if (normalizePareto({ pareto, preferFloor }) && ranking && ranking.mode !== "waste") {
+      throw new Error("pareto 与 rank 不能同时使用（可用 maxWaste 限制浪费面积）");
+    }
+    location = normalizeLocationFilters(locationSpec) || undefined;
+    counts = normalizeCountConstraints(countSpec) || undefined;
+    ({ pin, ban } = parseUnitSelection(
+      typeof args.pin === "string" ? args.pin : undefined,
+      typeof args.ban === "string" ? args.ban : undefined
+    ));
+    holder = parseHolder(typeof args.holder === "string" ? args.holder : undefined);
+  } catch (e) {
+    console.error(e.message);
     process.exit(1);
   }
 
@@ -70,8 +144,36 @@ function run(argv = process.argv) {
   const minArea = args.minArea !== undefined ? Number(args.minArea) : (cfg.minArea !== undefined ? Number(cfg.minArea) : undefined);
   const maxArea = args.maxArea !== undefined ? Number(args.maxArea) : (cfg.maxArea !== undefined ? Number(cfg.maxArea) : undefined);
 
-  const results = solveTopK(target, { topK, source, minArea, maxArea });
-  console.log(JSON.stringify(results, null, 2));
+  // 分来源/类型的面积区间：--qfMinArea / --xfMaxArea / --minAreaA / --qfMaxAreaD 等（见 src/areabounds.js）
+  let areaBounds;
+  try {
+    const spec = Object.fromEntries(Object.entries(args).filter(([k, v]) => AREA_BOUND_KEY_RE.test(k) && typeof v === "string"));
+    areaBounds = normalizeAreaBounds(spec) || undefined;
+    areaBoundsTable({ ...normalizeAreaBounds(cfg.areaBounds, "config.json 的 areaBounds."), ...areaBounds }, minArea, maxArea);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  const options = { topK, source, minArea, maxArea, areaBounds, structure, largeMoreThan, smallLessThan, compositions, sizes, maxPerUnit, maxOverlap, pin, ban, rank, maxWaste, wasteCost, pareto, preferFloor, location, counts, holder };
+  if (batchFile) return runBatchFile(batchFile, options, excelPath, cfg);
+
+  // 诊断模式：--explain 时输出 { results, explain }，并在 stderr 打印说明
+  const explain = args.explain === true || args.explain === "1";
+  let output;
+  try {
+    output = solveTopK(target, { ...options, explain });
+  } catch (e) {
+    // 如指定包含的房源不存在
+    console.error(e.message);
+    process.exit(1);
+  }
+  console.log(JSON.stringify(output, null, 2));
+  const results = explain ? output.results : output;
+  if (explain) {
+    console.error("诊断说明：");
+    for (const h of output.explain.hints) console.error(`  - ${h}`);
+  }
 
   if (excelPath) {
     try {
@@ -84,6 +186,45 @@ function run(argv = process.argv) {
   }
 }
 
+/**
+ * 批量模式：读取目标列表（json / xlsx / csv），在 WorkerPool 中并发求解，输出 JSON，可选导出多工作表 Excel。
+ * 结束后主动退出（solver 监听 config.json、worker 线程会保持事件循环）；文件或参数非法时以状态码 1 退出。
+ * @param {string} file
+ * @param {object} options 对所有目标生效的求解参数
+ * @param {string|null} excelPath
+ * @param {object} cfg config.json 内容（赠送策略见 src/gift.js）
+ * @returns {Promise<void>}
+ */
+async function runBatchFile(file, options, excelPath, cfg) {
+  let targets;
+  try {
+    targets = parseBatchBody(fs.readFileSync(path.resolve(file)), normalizeGiftPolicy(cfg));
+  } catch (e) {
+    console.error(`读取目标列表失败：${e.message}`);
+    process.exit(1);
+  }
+
+  // 并发数：CPU 核数 - 1（至少 1）
+  const pool = new WorkerPool(path.resolve(__dirname, "solve-worker.js"), Math.max(1, (os.cpus()?.length || 2) - 1));
+  const batch = await runBatch(
+    targets,
+    (t) => pool.runTask({ target: t.effectiveTarget, options: { ...options, giftArea: t.giftArea } }),
+    pool.size
+  );
+  console.log(JSON.stringify(batch, null, 2));
+
+  if (excelPath) {
+    try {
+      exportBatchToExcel(batch, excelPath);
+      console.error(`Excel 已导出: ${excelPath}`);
+    } catch (e) {
+      console.error(`导出 Excel 失败: ${e.message}`);
+      process.exit(1);
+    }
+  }
+  process.exit(batch.summary.failed > 0 ? 1 : 0);
+}
+
 module.exports = {
   parseArgs,
   run,
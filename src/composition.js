@@ -0,0 +1,199 @@
+/**
+ * src/composition.js
+ * 组合构成（每种类型的条目数量）的生成、解析与赠送替换。
+ *
+ * 一个“构成”记为按类型排序的字符串，例如：
+ *  - "ABC"  ：A、B、C 各 1 套
+ *  - "AABC" ：A 2 套，B、C 各 1 套
+ *
+ * 构成来源（优先级从高到低）：
+ *  1) 显式列表（查询参数 compositions 或 config.json 的 composition.list）
+ *  2) 按 composition 规则生成：sizes（套数）、types（可用类型）、required（必须出现的类型）、
+ *     maxPerType（同一类型最多套数）、maxRepeatedTypes（最多几种类型可重复）
+ * 启用赠送面积时，按赠送策略的 substitute（见 src/gift.js）将 from 类型整体替换为 to 类型（如 C → D）。
+ */
+
+const TYPE_ORDER = ["A", "B", "C", "D"];
+const MIN_SIZE = 2;
+const MAX_SIZE = 5;
+
+// 与原有规则等价的默认配置：3 套 A+B+C，或 4 套时某一类重复一次；赠送时 D 替代 C 且 C 不可重复
+const DEFAULT_COMPOSITION = {
+  sizes: [3, 4],
+  types: ["A", "B", "C"],
+  required: ["A", "B", "C"],
+  maxPerType: 2,
+  maxRepeatedTypes: 1,
+  giftSubstitute: { from: "C", to: "D", allowRepeat: false },
+};
+
+/**
+ * 将构成对象转换为规范字符串（按 A/B/C/D 排序）
+ * @param {Record<string, number>} counts
+ * @returns {string}
+ */
+function compositionKey(counts) {
+  return TYPE_ORDER.map((t) => t.repeat(counts[t] || 0)).join("");
+}
+
+/**
+ * 解析构成字符串，例如 "AABC" → { A: 2, B: 1, C: 1 }
+ * @param {string} text
+ * @returns {Record<string, number>}
+ * @throws 字符串含未知类型或套数不在 2~5 范围内时抛出错误
+ */
+function parseComposition(text) {
+  const s = String(text || "").trim().toUpperCase();
+  if (!/^[ABCD]+$/.test(s)) {
+    throw new Error(`组合构成无效：“${text}”（仅允许 A/B/C/D，例如 AABC）`);
+  }
+  if (s.length < MIN_SIZE || s.length > MAX_SIZE) {
+    throw new Error(`组合构成无效：“${text}”（套数需在 ${MIN_SIZE}~${MAX_SIZE} 之间）`);
+  }
+  const counts = {};
+  for (const ch of s) counts[ch] = (counts[ch] || 0) + 1;
+  return counts;
+}
+
+/**
+ * 解析构成列表：支持数组或逗号分隔字符串；空值返回 null
+ * @param {string|string[]} value
+ * @returns {Array<Record<string, number>>|null}
+ */
+function parseCompositionList(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const parts = (Array.isArray(value) ? value : String(value).split(","))
+    .map((x) => String(x).trim())
+    .filter(Boolean);
+  if (!parts.length) return null;
+  return parts.map(parseComposition);
+}
+
+/**
+ * 解析套数列表：支持数组或逗号分隔字符串；空值返回 null
+ * @param {string|number[]} value
+ * @returns {number[]|null}
+ * @throws 套数不是 2~5 的整数时抛出错误
+ */
+function parseSizes(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const parts = (Array.isArray(value) ? value : String(value).split(","))
+    .map((x) => String(x).trim())
+    .filter(Boolean);
+  if (!parts.length) return null;
+  return parts.map((p) => {
+    const n = Number(p);
+    if (!Number.isInteger(n) || n < MIN_SIZE || n > MAX_SIZE) {
+      throw new Error(`套数 sizes 无效：“${p}”（需为 ${MIN_SIZE}~${MAX_SIZE} 的整数）`);
+    }
+    return n;
+  });
+}
+
+/**
+ * 按规则生成全部构成
+ * @param {{sizes:number[], types:string[], required:string[], maxPerType:number, maxRepeatedTypes:number}} spec
+ * @returns {Array<Record<string, number>>}
+ */
+function generateCompositions(spec) {
+  const types = TYPE_ORDER.filter((t) => spec.types.includes(t));
+  const required = new Set(spec.required);
+  const out = [];
+  for (const size of spec.sizes) {
+    const counts = {};
+    (function dfs(i, remain, repeated) {
+      if (i === types.length) {
+        if (remain === 0) out.push({ ...counts });
+        return;
+      }
+      const t = types[i];
+      const lo = required.has(t) ? 1 : 0;
+      // 从多到少枚举，使 A 重复的构成排在前面（与原有枚举顺序一致）
+      for (let c = Math.min(spec.maxPerType, remain); c >= lo; c--) {
+        const rep = repeated + (c > 1 ? 1 : 0);
+        if (rep > spec.maxRepeatedTypes) continue;
+        if (c > 0) counts[t] = c;
+        else delete counts[t];
+        dfs(i + 1, remain - c, rep);
+      }
+      delete counts[t];
+    })(0, size, 0);
+  }
+  return out;
+}
+
+/**
+ * 赠送模式替换：将 from 类型整体替换为 to 类型；allowRepeat=false 时丢弃 from 类型重复的构成
+ * @param {Array<Record<string, number>>} list
+ * @param {{from:string, to:string, allowRepeat?:boolean}} substitute
+ * @returns {Array<Record<string, number>>}
+ */
+function applyGiftSubstitute(list, substitute) {
+  if (!substitute || !substitute.from || !substitute.to) return list;
+  const from = String(substitute.from).toUpperCase();
+  const to = String(substitute.to).toUpperCase();
+  const out = [];
+  for (const counts of list) {
+    const n = counts[from] || 0;
+    if (n === 0) {
+      out.push(counts);
+      continue;
+    }
+    if (n > 1 && !substitute.allowRepeat) continue;
+    const next = { ...counts };
+    delete next[from];
+    next[to] = (next[to] || 0) + n;
+    out.push(next);
+  }
+  return out;
+}
+
+/**
+ * 解析最终生效的构成列表（去重，保持顺序）
+ * @param {object} params
+ * @param {Array<Record<string, number>>|null} [params.compositions] 显式构成（优先）
+ * @param {number[]|null} [params.sizes] 仅保留这些套数
+ * @param {object} [params.spec] config.json 的 composition 节点
+ * @param {number} [params.giftArea] 赠送面积，> 0 时启用赠送替换
+ * @param {{from:string, to:string, allowRepeat?:boolean}|null} [params.giftSubstitute] 赠送替换规则，未传入时取 spec.giftSubstitute
+ * @returns {Array<Record<string, number>>}
+ */
+function resolveCompositions({ compositions, sizes, spec, giftArea, giftSubstitute } = {}) {
+  const cfg = { ...DEFAULT_COMPOSITION, ...(spec || {}) };
+  let list;
+  if (Array.isArray(compositions) && compositions.length) {
+    list = compositions;
+  } else if (Array.isArray(cfg.list) && cfg.list.length) {
+    list = cfg.list.map(parseComposition);
+  } else {
+    list = generateCompositions({
+      sizes: parseSizes(cfg.sizes) || DEFAULT_COMPOSITION.sizes,
+      types: (cfg.types || []).map((t) => String(t).toUpperCase()),
+      required: (cfg.required || cfg.types || []).map((t) => String(t).toUpperCase()),
+      maxPerType: Number(cfg.maxPerType) || 1,
+      maxRepeatedTypes: Number(cfg.maxRepeatedTypes) || 0,
+    });
+  }
+  if (Number(giftArea) > 0) list = applyGiftSubstitute(list, giftSubstitute !== undefined ? giftSubstitute : cfg.giftSubstitute);
+  if (Array.isArray(sizes) && sizes.length) {
+    list = list.filter((c) => sizes.includes(compositionKey(c).length));
+  }
+  const seen = new Set();
+  return list.filter((c) => {
+    const k = compositionKey(c);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+module.exports = {
+  DEFAULT_COMPOSITION,
+  compositionKey,
+  parseComposition,
+  parseCompositionList,
+  parseSizes,
+  generateCompositions,
+  applyGiftSubstitute,
+  resolveCompositions,
+};
@@ -0,0 +1,101 @@
+/**
+ * src/counts.js
+ * 按来源、按小区的套数约束（本次查询）：在收集组合时校验，使 TopK 直接满足这些条件。
+ *
+ * 参数：
+ *  - qfCount / xfCount：期房 / 现房恰好 N 套
+ *  - qfMinCount / qfMaxCount / xfMinCount / xfMaxCount：期房 / 现房至少、至多 N 套
+ *  - maxPerCommunity：同一小区最多 N 套（按 config.json 的 schema 中映射的小区列分组，默认仅现房有小区列；无小区名的房源不计）
+ * 约束转换为组合规则（src/rules.js 的 count / perGroup），追加在 config.json 的 rules 之后，诊断模式按规则名计数；
+ * 与 config.json 中的规则（如“至少包含1套现房”）同时生效。
+ */
+
+const COUNT_SIDES = { qf: "期房", xf: "现房" };
+
+function isBlank(v) {
+  return v === undefined || v === null || String(v).trim() === "";
+}
+
+function parseCount(v, name, min = 0) {
+  if (isBlank(v)) return undefined;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min) {
+    throw new Error(`${name} 参数无效（需为 ≥ ${min} 的整数）`);
+  }
+  return n;
+}
+
+/**
+ * 规整套数约束；均未指定时返回 null
+ * @param {object} [spec] { qfCount, qfMinCount, qfMaxCount, xfCount, xfMinCount, xfMaxCount, maxPerCommunity }，
+ *   或本函数的返回值（可再次传入）
+ * @returns {{qf?:{min?:number,max?:number}, xf?:{min?:number,max?:number}, maxPerCommunity?:number}|null}
+ * @throws {Error} 取值不是非负整数、恰好与至少/至多同时指定，或至少大于至多
+ */
+function normalizeCountConstraints(spec) {
+  if (!spec) return null;
+  const out = {};
+  for (const side of Object.keys(COUNT_SIDES)) {
+    const given = spec[side];
+    let min = parseCount(given ? given.min : spec[`${side}MinCount`], `${side}MinCount`);
+    let max = parseCount(given ? given.max : spec[`${side}MaxCount`], `${side}MaxCount`);
+    const exact = given ? undefined : parseCount(spec[`${side}Count`], `${side}Count`);
+    if (exact !== undefined) {
+      if (min !== undefined || max !== undefined) {
+        throw new Error(`${side}Count 不能与 ${side}MinCount / ${side}MaxCount 同时使用`);
+      }
+      min = exact;
+      max = exact;
+    }
+    if (min !== undefined && max !== undefined && min > max) {
+      throw new Error(`${side}MinCount 不能大于 ${side}MaxCount`);
+    }
+    if (min !== undefined || max !== undefined) {
+      out[side] = {};
+      if (min !== undefined) out[side].min = min;
+      if (max !== undefined) out[side].max = max;
+    }
+  }
+  const maxPerCommunity = parseCount(spec.maxPerCommunity, "maxPerCommunity", 1);
+  if (maxPerCommunity !== undefined) out.maxPerCommunity = maxPerCommunity;
+  return Object.keys(out).length ? out : null;
+}
+
+/**
+ * 套数约束对应的组合规则
+ * @param {object|null} counts normalizeCountConstraints 的返回值
+ * @param {string} fileAName 期房来源名
+ * @param {string} fileBName 现房来源名
+ * @returns {Array<object>}
+ */
+function countRules(counts, fileAName, fileBName) {
+  if (!counts) return [];
+  const sources = { qf: fileAName, xf: fileBName };
+  const rules = [];
+  for (const [side, label] of Object.entries(COUNT_SIDES)) {
+    const c = counts[side];
+    if (!c) continue;
+    const match = { source: sources[side] };
+    if (c.min !== undefined && c.min === c.max) {
+      rules.push({ name: `${label}恰好${c.min}套`, kind: "count", match, op: "=", value: c.min });
+      continue;
+    }
+    if (c.min !== undefined) rules.push({ name: `${label}至少${c.min}套`, kind: "count", match, op: ">=", value: c.min });
+    if (c.max !== undefined) rules.push({ name: `${label}不超过${c.max}套`, kind: "count", match, op: "<=", value: c.max });
+  }
+  if (counts.maxPerCommunity !== undefined) {
+    rules.push({
+      name: `同一小区不超过${counts.maxPerCommunity}套`,
+      kind: "perGroup",
+      by: "community",
+      op: "<=",
+      value: counts.maxPerCommunity,
+    });
+  }
+  return rules;
+}
+
+module.exports = {
+  normalizeCountConstraints,
+  countRules,
+};
@@ -0,0 +1,16 @@
+/**
+ * src/data-worker.js
+ * 数据热重载的解析 Worker：解析并校验期房/现房工作簿，将行数组回传主线程（见 src/data.js 的 reloadFromExcel）。
+ */
+const { parentPort } = require("worker_threads");
+const { parseDataset } = require("./data");
+
+if (!parentPort) {
+  throw new Error("This module must be run as a worker thread");
+}
+
+try {
+  parentPort.postMessage({ ok: true, datasets: { qf: parseDataset("qf"), xf: parseDataset("xf") } });
+} catch (e) {
+  parentPort.postMessage({ ok: false, error: e && e.message ? e.message : String(e) });
+}
@@ -1,34 +1,51 @@
 /**
  * src/data.js
- * 一次性加载 Excel 数据（服务启动时加载到内存）
+ * 加载 Excel 数据（服务启动时加载到内存，运行中可热重载）
+ * 文件、工作表与列名取自 config.json 的 schema（见 src/schema.js），默认：
  * - 期房：data/期房-汇总.xlsx 工作表 "期房汇总"
  * - 现房：data/现房-汇总.xlsx 工作表 "现房汇总"
  *
  * 要求：
  * 1) 直接读取 Excel，不再读取 txt
  * 2) 不丢弃任何列（第一行是表头）；使用 XLSX.utils.sheet_to_json(defval) 保留空值
- * 3) 面积列为「建筑面积」，类型列：
+ * 3) 面积列默认为「建筑面积」，类型列默认：
  *    - 期房使用「类别」
  *    - 现房使用「类型」
- * 4) 仍然使用「建筑面积」做求和，其他列保留在内存中以备后用
+ * 4) 使用面积列做求和，其他列保留在内存中以备后用
+ * 5) schema 中映射的列（面积、类型及小区/幢号/门牌号/室号/单价中未设为 null 的列）缺失时报错
+ *
+ * 房源编号（rowUnitIds）：来源 + 小区/幢号/门牌号/室号（格式同 src/unit.js 的 unitId），与行在表中的位置无关；
+ * 同一编号出现多次时，这些行的编号均追加 "#序号"（schema 的 serial 列）并记录日志；仍无法区分时加载（及热重载、上传校验）报错并列出行号。
+ * 房源状态（保留/已确认/已撤回）按编号单独保存（见 src/status.js）。
+ *
+ * 热重载（reloadFromExcel）：在独立的 Worker 线程中重新解析并校验两个工作簿，校验通过后
+ * 原子写回 JSON 缓存（临时文件 + rename），再整体替换内存中的行数组，并移除已删除房源的状态
+ * （重载事件与移除的状态记入审计日志，见 src/audit.js）；
+ * 进行中的求解继续使用旧数组，之后的求解使用新数组。校验失败时保留原数据。
+ * 求解 Worker 收到通知后调用 reloadFromJson 从 JSON 缓存替换各自的行数组。
  */
 const path = require("path");
+const { Worker, isMainThread } = require("worker_threads");
 const XLSX = require("xlsx");
 const fs = require("fs");
+const { loadSchema, missingColumnError, cellText } = require("./schema");
+const { normalizeType } = require("./normalize");
+const { unitId } = require("./unit");
+const { statusExists, getUnitStatuses, isHoldExpired, saveUnitStatuses, migrateLegacyExclusions } = require("./status");
+const { recordAudit } = require("./audit");
 
 // 常量：来源名称（用于结果标注与“至少包含现房”规则）
 const FILE_A_NAME = "期房";
 const FILE_B_NAME = "现房";
 
-// 文件与工作表
-const QIFANG_XLSX = path.resolve(__dirname, "../data/期房-汇总.xlsx");
-const XIANFANG_XLSX = path.resolve(__dirname, "../data/现房-汇总.xlsx");
-const QIFANG_SHEET = "期房汇总";
-const XIANFANG_SHEET = "现房汇总";
+// 表结构：文件、工作表与列名映射（启动时读取一次）
+const SCHEMA = loadSchema();
 
-// JSON 缓存路径（与同名 xlsx 同目录）
-const QIFANG_JSON = path.resolve(__dirname, "../data/期房-汇总.json");
-const XIANFANG_JSON = path.resolve(__dirname, "../data/现房-汇总.json");
+// 文件路径；JSON 缓存与同名 xlsx 同目录
+const QIFANG_XLSX = SCHEMA.qf.file;
+const XIANFANG_XLSX = SCHEMA.xf.file;
+const QIFANG_JSON = SCHEMA.qf.json;
+const XIANFANG_JSON = SCHEMA.xf.json;
 
 /**
  * 读取指定 Excel 工作表为对象数组（保留所有列）
@@ -38,41 +55,54 @@ const XIANFANG_JSON = path.resolve(__dirname, "../data/现房-汇总.json");
  */
 function readSheet(filePath, sheetName) {
   console.log(`[LOG] 解析 Excel: ${path.basename(filePath)} -> ${sheetName}`);
-  const wb = XLSX.readFile(filePath);
+  return sheetRows(XLSX.readFile(filePath), sheetName, path.basename(filePath));
+}
+
+/**
+ * 读取工作簿中的指定工作表为对象数组（保留所有列）
+ * @param {object} wb XLSX 工作簿
+ * @param {string} sheetName
+ * @param {string} fileLabel 文件名（日志与出错提示用）
+ * @returns {Array<Record<string, any>>}
+ */
+function sheetRows(wb, sheetName, fileLabel) {
   const ws = wb.Sheets[sheetName];
   if (!ws) {
-    throw new Error(`Excel 工作表不存在：${path.basename(filePath)} -> ${sheetName}`);
+    throw new Error(`Excel 工作表不存在：${fileLabel} -> ${sheetName}`);
   }
   // defval: 保留空单元格，确保不丢列；raw: 保留原始值（数值/字符串）
   const rows = XLSX.utils.sheet_to_json(ws, { defval: null, raw: true });
-  console.log(`[LOG] 解析完成: ${path.basename(filePath)} -> ${sheetName}, 行数=${rows.length}`);
+  console.log(`[LOG] 解析完成: ${fileLabel} -> ${sheetName}, 行数=${rows.length}`);
   return rows;
 }
 
 /**
- * 校验必须列是否存在
+ * 校验 schema 中映射的列是否存在，以及房源编号能否区分每一行
  * @param {Array<Record<string, any>>} rows
- * @param {string[]} requiredCols
+ * @param {"qf"|"xf"} source
  * @param {string} label 出错提示（例如：文件名 -> 工作表名）
  */
-function validateColumns(rows, requiredCols, label) {
+function validateColumns(rows, source, label) {
   if (!Array.isArray(rows) || rows.length === 0) {
     throw new Error(`Excel 工作表无数据：${label}`);
   }
-  const first = rows[0] || {};
-  for (const col of requiredCols) {
-    if (!(col in first)) {
-      throw new Error(`Excel 缺少必需列“${col}”：${label}`);
-    }
+  const missing = missingColumnError(source, SCHEMA[source].columns, rows[0] || {});
+  if (missing) {
+    throw new Error(`Excel ${missing}：${label}`);
+  }
+  const conflict = unitIdsOf(rows, source).conflict;
+  if (conflict) {
+    throw new Error(`${conflict}：${label}`);
   }
 }
 
 /** 模块初始化时一次性加载（服务/CLI 启动即加载） */
 // 支持 --refresh 或 --refresh-data 标志：若传入则跳过 JSON 缓存，强制重新从 Excel 解析并覆盖 JSON
-const REFRESH = Array.isArray(process.argv) && (process.argv.includes("--refresh") || process.argv.includes("--refresh-data"));
+// 仅主线程处理（Worker 线程继承同样的 argv，不应再次重建 JSON）
+const REFRESH = isMainThread && Array.isArray(process.argv) && (process.argv.includes("--refresh") || process.argv.includes("--refresh-data"));
 
 if (REFRESH) {
-  console.log("[LOG] 使用 --refresh-data 标志启动，将从 Excel 重新加载数据并重置所有排除标记");
+  console.log("[LOG] 使用 --refresh-data 标志启动，将从 Excel 重新加载数据（房源状态按房源编号保留）");
 }
 
 /**
@@ -84,6 +114,17 @@ function saveJson(filePath, rows) {
   fs.writeFileSync(filePath, JSON.stringify(rows, null, 2), "utf8");
 }
 
+/**
+ * 原子写入 JSON：先写临时文件再 rename，读取方不会读到写了一半的文件
+ * @param {string} filePath
+ * @param {Array<any>} rows
+ */
+function saveJsonAtomic(filePath, rows) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(rows, null, 2), "utf8");
+  fs.renameSync(tmp, filePath);
+}
+
 /**
  * 从 JSON 读取数组
  * @param {string} filePath
@@ -96,36 +137,31 @@ function loadJson(filePath) {
 }
 
 /**
- * 更新 JSON 文件中指定记录的 excluded 状态
+ * 数据集版本：JSON 文件的修改时间 + 大小；文件不存在时返回空串。
+ * 数据重新加载写回 JSON 后版本随之变化，求解侧据此失效派生缓存。
  * @param {string} filePath
- * @param {number} index
- * @param {boolean} excluded
- */
-function updateExclusionStatus(filePath, index, excluded) {
-  const rows = loadJson(filePath);
-  if (index >= 0 && index < rows.length) {
-    rows[index].excluded = !!excluded;
-    saveJson(filePath, rows);
-    return true;
+ * @returns {string}
+ */
+function getDatasetVersion(filePath) {
+  try {
+    const st = fs.statSync(filePath);
+    return `${st.mtimeMs}-${st.size}`;
+  } catch {
+    return "";
   }
-  return false;
 }
 
 /**
  * 按需从缓存或 Excel 加载数据
- * @param {string} xlsxPath
- * @param {string} sheetName
- * @param {string} jsonPath
- * @param {string} typeCol "类别"（期房）或 "类型"（现房）
+ * @param {"qf"|"xf"} source
  */
-function loadDataset(xlsxPath, sheetName, jsonPath, typeCol) {
+function loadDataset(source) {
+  const { file: xlsxPath, sheet: sheetName, json: jsonPath } = SCHEMA[source];
   let rows;
   const needBuild = REFRESH || !fs.existsSync(jsonPath);
   if (needBuild) {
     rows = readSheet(xlsxPath, sheetName);
-    validateColumns(rows, ["建筑面积", typeCol], `${path.basename(xlsxPath)} -> ${sheetName}`);
-    // 刷新时，重置所有 excluded 标志为 false
-    rows.forEach(row => { row.excluded = false; });
+    validateColumns(rows, source, `${path.basename(xlsxPath)} -> ${sheetName}`);
     // 首次/刷新时，刷新缓存
     try {
       saveJson(jsonPath, rows);
@@ -136,26 +172,355 @@ function loadDataset(xlsxPath, sheetName, jsonPath, typeCol) {
   } else {
     rows = loadJson(jsonPath);
     // 基本校验（缓存文件）
-    validateColumns(rows, ["建筑面积", typeCol], `${path.basename(jsonPath)} (缓存)`);
-    // 确保所有行都有 excluded 字段（向后兼容）
-    rows.forEach(row => {
-      if (row.excluded === undefined) row.excluded = false;
+    validateColumns(rows, source, `${path.basename(jsonPath)} (缓存)`);
+  }
+  logDuplicateIds(rows, source);
+  return rows;
+}
+
+// 来源 → 房源编号前缀（结果中的来源名）
+const SOURCE_LABELS = { qf: FILE_A_NAME, xf: FILE_B_NAME };
+// 行数组 → 房源编号（行数组整体替换，不原地修改，可按引用缓存）
+const idCache = new WeakMap();
+
+// 出错提示中最多列出的重复编号个数
+const MAX_CONFLICTS_SHOWN = 10;
+
+// 计算各行的房源编号（按行数组缓存）；conflict 为仍无法区分的重复编号说明（无则为 null）
+function unitIdsOf(rows, source) {
+  const hit = idCache.get(rows);
+  if (hit && hit.source === source) return hit.result;
+  const cols = SCHEMA[source].columns;
+  const srcFile = SOURCE_LABELS[source];
+  const bases = rows.map((r) =>
+    unitId({
+      area: Number(r[cols.area]),
+      type: normalizeType(r[cols.type]),
+      srcFile,
+      community: cellText(r, cols.community),
+      buildingNo: cellText(r, cols.building),
+      doorNo: cellText(r, cols.door),
+      roomNo: cellText(r, cols.room),
+    })
+  );
+  const seen = new Map();
+  for (const base of bases) seen.set(base, (seen.get(base) || 0) + 1);
+  // 重复编号的各行均追加序号（只给第 2 行起追加会随行的先后顺序变化）；序号为空时不追加，由下方报错
+  const ids = bases.map((base, i) => {
+    const serial = seen.get(base) > 1 ? cellText(rows[i], cols.serial) : "";
+    return serial ? `${base}#${serial}` : base;
+  });
+  const lines = new Map(); // 编号 → Excel 行号（第 1 行为表头）
+  ids.forEach((id, i) => {
+    if (!lines.has(id)) lines.set(id, []);
+    lines.get(id).push(i + 2);
+  });
+  const conflicts = [...lines].filter(([, at]) => at.length > 1);
+  let conflict = null;
+  if (conflicts.length) {
+    const sample = conflicts.slice(0, MAX_CONFLICTS_SHOWN).map(([id, at]) => `${id}（第 ${at.join("、")} 行）`);
+    const fix = cols.serial
+      ? `这些行的序号列“${cols.serial}”为空或相同，请补全序号`
+      : `请修正数据，或在 config.json 的 schema.${source}.columns.serial 中指定可区分这些行的列（如“序号”）`;
+    conflict = `${SOURCE_LABELS[source]}存在无法区分的重复房源编号 ${conflicts.length} 个：${sample.join("、")}${
+      conflicts.length > MAX_CONFLICTS_SHOWN ? " 等" : ""
+    }；${fix}`;
+  }
+  const duplicates = [...seen].filter(([, n]) => n > 1).map(([id]) => id);
+  const result = { ids, duplicates, conflict };
+  idCache.set(rows, { source, result });
+  return result;
+}
+
+/**
+ * 各行的房源编号：来源 + 小区/幢号/门牌号/室号（列名见 schema），格式同 src/unit.js 的 unitId，
+ * 如 "期房:1幢29号101室"；幢号/门牌号/室号均缺失时退化为 来源:面积-类型-来源。
+ * 同一编号出现多次时，这些行均追加 "#序号"（schema 的 serial 列，如 "期房:2幢28号1001室#301"），与行的先后顺序无关
+ * @param {Array<Record<string, any>>} rows
+ * @param {"qf"|"xf"} source
+ * @returns {{ids:string[], duplicates:string[]}} ids 与 rows 一一对应；duplicates 为出现多次的编号（不含后缀）
+ * @throws {Error} 重复编号的序号为空或相同（加载时已由 validateColumns 校验）
+ */
+function rowUnitIds(rows, source) {
+  const { ids, duplicates, conflict } = unitIdsOf(rows, source);
+  if (conflict) throw new Error(conflict);
+  return { ids, duplicates };
+}
+
+// 记录重复的房源编号（仅主线程；管理端同样列出，见 GET /admin/data）
+function logDuplicateIds(rows, source) {
+  if (!isMainThread) return;
+  const { duplicates } = rowUnitIds(rows, source);
+  if (!duplicates.length) return;
+  const sample = duplicates.slice(0, 10).join("、");
+  console.warn(
+    `[LOG] ${SOURCE_LABELS[source]}存在重复的房源编号 ${duplicates.length} 个（按序号列“${SCHEMA[source].columns.serial}”追加 #序号）：${sample}${duplicates.length > 10 ? " 等" : ""}`
+  );
+}
+
+/**
+ * 旧版排除标记迁移（仅主线程，data/unit-status.json 不存在时执行一次）：
+ * JSON 缓存中 excluded=true 的行与 data/exclusions.json 中的房源转为“已撤回”状态，并从 JSON 缓存中移除 excluded 字段
+ */
+function migrateExclusions() {
+  if (!isMainThread || statusExists()) return;
+  const ids = [];
+  for (const [source, { json }] of Object.entries(SCHEMA)) {
+    if (!fs.existsSync(json)) continue;
+    const rows = loadJson(json);
+    const rowIds = rowUnitIds(rows, source).ids;
+    rows.forEach((r, i) => {
+      if (r.excluded === true) ids.push(rowIds[i]);
     });
+    if (rows.some((r) => "excluded" in r)) {
+      saveJsonAtomic(json, rows.map(({ excluded, ...rest }) => rest));
+    }
   }
+  const n = migrateLegacyExclusions(ids);
+  console.log(`[LOG] 已将 ${n} 条排除标记迁移为“已撤回”状态（data/unit-status.json，按房源编号保存）`);
+}
+migrateExclusions();
+
+// 数据集描述：来源 → Excel / 工作表 / JSON 缓存 / 列名映射
+const DATASETS = {
+  qf: { label: FILE_A_NAME, xlsx: QIFANG_XLSX, sheet: SCHEMA.qf.sheet, json: QIFANG_JSON, columns: SCHEMA.qf.columns },
+  xf: { label: FILE_B_NAME, xlsx: XIANFANG_XLSX, sheet: SCHEMA.xf.sheet, json: XIANFANG_JSON, columns: SCHEMA.xf.columns },
+};
+
+// 当前的行数组：重载时整体替换（不原地修改），持有旧数组的求解不受影响
+const current = {
+  qf: loadDataset("qf"),
+  xf: loadDataset("xf"),
+};
+// 每次替换行数组后递增（内存行数组的派生缓存键）
+let generation = 0;
+
+function getQifangRows() {
+  return current.qf;
+}
+
+function getXianfangRows() {
+  return current.xf;
+}
+
+function getDataGeneration() {
+  return generation;
+}
+
+/**
+ * 替换内存中的行数组
+ * @param {{qf?:Array, xf?:Array}} next
+ */
+function swapRows(next) {
+  if (next.qf) current.qf = next.qf;
+  if (next.xf) current.xf = next.xf;
+  generation++;
+}
+
+/**
+ * 解析并校验指定来源的工作簿（供解析 Worker 调用）
+ * @param {"qf"|"xf"} source
+ * @returns {Array<Record<string, any>>}
+ * @throws {Error} 文件/工作表不存在或缺少必需列
+ */
+function parseDataset(source) {
+  const d = DATASETS[source];
+  const rows = readSheet(d.xlsx, d.sheet);
+  validateColumns(rows, source, `${path.basename(d.xlsx)} -> ${d.sheet}`);
   return rows;
 }
 
-const qifangRows = loadDataset(QIFANG_XLSX, QIFANG_SHEET, QIFANG_JSON, "类别");
-const xianfangRows = loadDataset(XIANFANG_XLSX, XIANFANG_SHEET, XIANFANG_JSON, "类型");
+/**
+ * 解析并校验上传的工作簿内容（与 parseDataset 相同的工作表与必需列要求）
+ * @param {"qf"|"xf"} source
+ * @param {Buffer} buf xlsx 文件内容
+ * @param {string} [fileName] 上传的文件名（出错提示用）
+ * @returns {Array<Record<string, any>>}
+ * @throws {Error} 不是 xlsx 文件、工作表不存在或缺少必需列
+ */
+function parseDatasetBuffer(source, buf, fileName = "上传的文件") {
+  const d = DATASETS[source];
+  // xlsx 为 zip 格式，以 "PK" 开头
+  if (!Buffer.isBuffer(buf) || buf.length < 4 || buf[0] !== 0x50 || buf[1] !== 0x4b) {
+    throw new Error(`${fileName} 不是 xlsx 文件`);
+  }
+  let wb;
+  try {
+    wb = XLSX.read(buf, { type: "buffer" });
+  } catch (e) {
+    throw new Error(`无法解析 ${fileName}：${e.message}`);
+  }
+  const rows = sheetRows(wb, d.sheet, fileName);
+  validateColumns(rows, source, `${fileName} -> ${d.sheet}`);
+  return rows;
+}
+
+/**
+ * 用上传的内容替换数据目录中的工作簿（临时文件 + rename）；内存数据需随后调用 reloadFromExcel 更新
+ * @param {"qf"|"xf"} source
+ * @param {Buffer} buf
+ */
+function replaceExcel(source, buf) {
+  const file = DATASETS[source].xlsx;
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, buf);
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * 移除已不在数据中的房源的状态（保留/已确认/已撤回）
+ * @param {{qf:Array, xf:Array}} rowsBySource 新的行
+ * @returns {{counts:{qf:{kept:number, dropped:number}, xf:object}, removed:Array<{id:string, before:object}>}}
+ *   counts 为各来源保留、丢弃的状态数（不含已到期的保留），removed 为移除的状态
+ */
+function pruneUnitStatuses(rowsBySource) {
+  const present = new Set();
+  for (const [source, rows] of Object.entries(rowsBySource)) {
+    for (const id of rowUnitIds(rows, source).ids) present.add(id);
+  }
+  const now = Date.now();
+  const units = getUnitStatuses();
+  const counts = {};
+  for (const source of Object.keys(rowsBySource)) counts[source] = { kept: 0, dropped: 0 };
+  const kept = new Map();
+  const removed = [];
+  for (const [id, entry] of units) {
+    if (isHoldExpired(entry, now)) continue;
+    const source = Object.keys(counts).find((s) => id.startsWith(`${SOURCE_LABELS[s]}:`));
+    const hit = present.has(id);
+    if (hit) kept.set(id, entry);
+    else removed.push({ id, before: entry });
+    if (source) counts[source][hit ? "kept" : "dropped"]++;
+  }
+  if (kept.size !== units.size) saveUnitStatuses(kept, now);
+  return { counts, removed };
+}
+
+/**
+ * 在独立的 Worker 线程中解析两个工作簿，避免阻塞主线程
+ * @returns {Promise<{qf:Array, xf:Array}>}
+ */
+function parseDatasetsInWorker() {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.resolve(__dirname, "data-worker.js"));
+    worker.once("message", (msg) => {
+      if (msg && msg.ok) resolve(msg.datasets);
+      else reject(new Error((msg && msg.error) || "解析 Excel 失败"));
+      worker.terminate();
+    });
+    worker.once("error", reject);
+  });
+}
+
+// 内存数据对应的 Excel 修改时间：据此判断文件变更通知是否已被处理（如上传后已重载）
+const excelMtimes = {};
+
+function statMtime(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
+function recordExcelMtimes() {
+  for (const [source, d] of Object.entries(DATASETS)) excelMtimes[source] = statMtime(d.xlsx);
+}
+recordExcelMtimes();
+
+/**
+ * Excel 是否在内存数据加载后被修改过
+ * @returns {boolean}
+ */
+function excelChanged() {
+  return Object.entries(DATASETS).some(([source, d]) => statMtime(d.xlsx) !== excelMtimes[source]);
+}
+
+let reloading = null;
+let queued = null;
+
+/**
+ * 从 Excel 热重载数据（主线程）：后台解析校验 → 原子写回 JSON → 替换内存行数组 → 移除已删除房源的状态
+ * 重载进行中再次调用时，在其结束后再重载一次（期间的多次调用合并为一次，审计信息取第一次合并的调用），保证读取到调用时的文件。
+ * 成功后将重载事件（含摘要）与移除的状态作为同一批次记入审计日志。
+ * @param {{action?:string, trigger?:string, operator?:string, reason?:string, ip?:string}} [audit]
+ *   action 为 reload（默认）或 upload，trigger 为触发原因（如 "文件变更：期房-汇总.xlsx"）
+ * @returns {Promise<{qf:{rows:number, statusKept:number, statusDropped:number}, xf:object}>}
+ * @throws {Error} 解析或校验失败（原数据保持不变）
+ */
+function reloadFromExcel(audit = {}) {
+  if (reloading) {
+    if (!queued) {
+      queued = reloading
+        .catch(() => {})
+        .then(() => {
+          queued = null;
+          return reloadFromExcel(audit);
+        });
+    }
+    return queued;
+  }
+  reloading = (async () => {
+    const mtimes = Object.fromEntries(Object.entries(DATASETS).map(([source, d]) => [source, statMtime(d.xlsx)]));
+    const parsed = await parseDatasetsInWorker();
+    // 两个 JSON 均写入成功后再替换内存，避免只更新一半
+    for (const source of Object.keys(DATASETS)) saveJsonAtomic(DATASETS[source].json, parsed[source]);
+    swapRows(parsed);
+    Object.assign(excelMtimes, mtimes);
+    const { counts, removed } = pruneUnitStatuses(parsed);
+    const summary = {};
+    for (const source of Object.keys(DATASETS)) {
+      logDuplicateIds(parsed[source], source);
+      const { kept, dropped } = counts[source];
+      summary[source] = { rows: parsed[source].length, statusKept: kept, statusDropped: dropped };
+    }
+    recordAudit(
+      [
+        { action: audit.action || "reload", trigger: audit.trigger || "", summary },
+        ...removed.map(({ id, before }) => ({ action: "prune", unit: id, before, after: null })),
+      ],
+      audit
+    );
+    return summary;
+  })().finally(() => {
+    reloading = null;
+  });
+  return reloading;
+}
+
+/**
+ * 从 JSON 缓存重新读取并替换内存行数组（求解 Worker 收到重载通知时调用）
+ */
+function reloadFromJson() {
+  const next = {};
+  for (const [source, d] of Object.entries(DATASETS)) {
+    const rows = loadJson(d.json);
+    validateColumns(rows, source, `${path.basename(d.json)} (缓存)`);
+    next[source] = rows;
+  }
+  swapRows(next);
+}
 
 module.exports = {
   FILE_A_NAME,
   FILE_B_NAME,
-  qifangRows,
-  xianfangRows,
+  SCHEMA,
+  QIFANG_XLSX,
+  XIANFANG_XLSX,
   QIFANG_JSON,
   XIANFANG_JSON,
-  updateExclusionStatus,
+  getQifangRows,
+  getXianfangRows,
+  getDataGeneration,
+  DATASETS,
+  rowUnitIds,
+  parseDataset,
+  parseDatasetBuffer,
+  replaceExcel,
+  excelChanged,
+  reloadFromExcel,
+  reloadFromJson,
   loadJson,
   saveJson,
-};
\ No newline at end of file
+  getDatasetVersion,
+};
@@ -0,0 +1,117 @@
+/**
+ * src/diversity.js
+ * 多样性约束：限制同一套房源在结果中出现的次数，以及任意两个结果之间共用的房源数。
+ *
+ * 房源标识见 src/unit.js（来源 + 小区 + 幢号/门牌号/室号）。
+ * 做法：求解器先收集一个更大的候选池（按 sum 降序），再按顺序贪心挑选满足上限的组合。
+ * 面积、类型、来源相同的房源在 TopK 中视为等价（见 src/topk.js），挑选时可在等价房源间替换，
+ * 因此某套房源用满次数后，同面积的另一套仍可让同一面积组合入选。
+ */
+
+const { itemKey } = require("./topk");
+const { unitId } = require("./unit");
+
+function parseNonNegativeInt(v, name, min) {
+  // Infinity 表示不限（normalizeDiversity 的输出可再次传入）
+  if (v === undefined || v === null || v === "" || v === Infinity) return undefined;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min) {
+    throw new Error(`${name} 参数无效（需为 ≥ ${min} 的整数）`);
+  }
+  return n;
+}
+
+/**
+ * 规整多样性参数；两项均未设置时返回 null（不启用多样性模式）
+ * @param {{maxPerUnit?:any, maxOverlap?:any}} [spec]
+ * @returns {{maxPerUnit:number, maxOverlap:number}|null}
+ * @throws {Error} 参数非法
+ */
+function normalizeDiversity(spec) {
+  if (!spec) return null;
+  const maxPerUnit = parseNonNegativeInt(spec.maxPerUnit, "maxPerUnit", 1);
+  const maxOverlap = parseNonNegativeInt(spec.maxOverlap, "maxOverlap", 0);
+  if (maxPerUnit === undefined && maxOverlap === undefined) return null;
+  return {
+    maxPerUnit: maxPerUnit ?? Infinity,
+    maxOverlap: maxOverlap ?? Infinity,
+  };
+}
+
+/**
+ * 按顺序贪心挑选满足多样性上限的组合
+ * - 每个条目在等价房源（itemKey 相同）中选当前使用次数最少者；无可用房源时跳过该组合
+ * - 与已选组合共用房源数超过 maxOverlap 时跳过该组合
+ * - fixed 中的房源（查询指定包含，每个组合都有）不替换，也不计入上述两项上限
+ * @param {Array<{sum:number,picked:Array}>} pool 按 sum 降序
+ * @param {number} topK 最多挑选条数
+ * @param {{maxPerUnit:number, maxOverlap:number}} diversity
+ * @param {Map<string, Array>} [equivalents] itemKey → 等价房源列表（未提供时不替换）
+ * @param {Set<object>} [fixed] 固定房源
+ * @returns {Array<{sum:number,picked:Array}>} 按 sum 降序，picked 为替换后的房源
+ */
+function selectDiverse(pool, topK, diversity, equivalents, fixed) {
+  const { maxPerUnit, maxOverlap } = diversity;
+  const usage = new Map(); // unitId → 已选组合中出现次数
+  const holders = new Map(); // unitId → 含该房源的已选组合序号
+  const out = [];
+
+  for (const entry of pool) {
+    if (out.length >= topK) break;
+
+    const chosen = [];
+    const chosenKeys = new Set();
+    for (const x of entry.picked) {
+      if (fixed && fixed.has(x)) {
+        chosen.push(x);
+        continue;
+      }
+      const options = (equivalents && equivalents.get(itemKey(x))) || [x];
+      let best = null;
+      let bestKey = null;
+      let bestUse = Infinity;
+      for (const u of options) {
+        const k = unitId(u);
+        if (chosenKeys.has(k)) continue;
+        const use = usage.get(k) || 0;
+        if (use >= maxPerUnit || use >= bestUse) continue;
+        best = u;
+        bestKey = k;
+        bestUse = use;
+        if (use === 0) break;
+      }
+      if (!best) break;
+      chosen.push(best);
+      chosenKeys.add(bestKey);
+    }
+    if (chosen.length !== entry.picked.length) continue;
+
+    if (Number.isFinite(maxOverlap)) {
+      const overlaps = new Map(); // 已选组合序号 → 共用房源数
+      let violated = false;
+      for (const k of chosenKeys) {
+        for (const idx of holders.get(k) || []) {
+          const c = (overlaps.get(idx) || 0) + 1;
+          overlaps.set(idx, c);
+          if (c > maxOverlap) violated = true;
+        }
+        if (violated) break;
+      }
+      if (violated) continue;
+    }
+
+    const idx = out.length;
+    for (const k of chosenKeys) {
+      usage.set(k, (usage.get(k) || 0) + 1);
+      if (!holders.has(k)) holders.set(k, []);
+      holders.get(k).push(idx);
+    }
+    out.push({ sum: entry.sum, picked: chosen });
+  }
+  return out;
+}
+
+module.exports = {
+  normalizeDiversity,
+  selectDiverse,
+};
@@ -0,0 +1,103 @@
+/**
+ * src/explain.js
+ * 诊断模式（explain=1）：统计各筛选阶段的候选房源数与各原因剔除的组合数，说明结果为空或偏少的原因。
+ *
+ * 统计对象由 solveTopK 创建并随结果返回：
+ *  - candidates：候选房源各阶段数量（buildSolveContext 填写）：数据行 → 管理端排除 → 面积区间 → 现房小区 → 来源 →
+ *    楼层/幢号/门牌号（all 方式剔除的数量；any 方式的命中条件计入 combos.rules）
+ *  - search：进入搜索的房源（bestTopKCombos 填写）：因类型、套型组合、pin/ban、单套超过目标面积而未参与的数量，各类型可用数量，
+ *    可行/不可行的组合构成
+ *  - combos：候选组合的剔除原因（bestTopKCombos 填写）：超过目标面积、不符合套型组合、各规则（按第一条违反的规则计），
+ *    未进入 TopK（已收集的结果更优）、赠送面积过滤、浪费面积上限；启用候选池时为最后一轮搜索的统计
+ *  - hints：按上述统计生成的中文说明
+ * 搜索带剪枝，combos 只统计实际校验过的组合，不是全部组合数。
+ */
+
+const { describeAreaBounds } = require("./areabounds");
+
+/**
+ * 创建空的统计对象
+ * @returns {object}
+ */
+function createExplain() {
+  return {
+    candidates: null,
+    search: {
+      input: 0,
+      dropped: { type: 0, structure: 0, selection: 0, overTarget: 0 },
+      byType: {},
+      compositions: { feasible: [], infeasible: [] },
+    },
+    combos: newComboStats(),
+    hints: [],
+  };
+}
+
+function newComboStats() {
+  return { checked: 0, overTarget: 0, notInTopK: 0, structure: 0, rules: {}, collected: 0, giftWaste: 0, maxWaste: 0, returned: 0 };
+}
+
+const SOURCE_LABELS = { A: "仅期房", B: "仅现房" };
+
+/**
+ * 按统计生成中文说明（按筛选顺序，只列出有剔除的阶段）
+ * @param {object} explain createExplain 的返回值（已填写）
+ * @param {{topK:number, giftArea:number, structure?:string|null, maxWaste?:number}} params
+ * @returns {string[]}
+ */
+function explainHints(explain, { topK, giftArea, structure, maxWaste }) {
+  const hints = [];
+  const { candidates: c, search: s, combos } = explain;
+
+  if (c) {
+    const { qifang: qf, xianfang: xf } = c;
+    if (qf.excluded || xf.excluded) {
+      hints.push(`不可用（已确认、已撤回或他人保留）：期房 ${qf.excluded} 套、现房 ${xf.excluded} 套`);
+    }
+    const outA = qf.valid - qf.inRange;
+    const outB = xf.inCommunity - xf.inRange;
+    if (outA || outB) {
+      const extra = c.areaBounds ? `，${describeAreaBounds(c.areaBounds)}` : "";
+      hints.push(`面积区间（minArea=${c.minArea ?? "不限"}，maxArea=${c.maxArea ?? "不限"}${extra}）剔除：期房 ${outA} 套、现房 ${outB} 套`);
+    }
+    if (xf.valid > xf.inCommunity) {
+      hints.push(`现房小区筛选剔除现房 ${xf.valid - xf.inCommunity} 套，剩余 ${xf.inCommunity} 套`);
+    }
+    if (SOURCE_LABELS[c.source]) {
+      hints.push(`来源限定为${SOURCE_LABELS[c.source]}，候选 ${c.selected} 套${c.source === "A" ? "（“至少 1 套现房”规则将无法满足）" : ""}`);
+    }
+    if (c.location && (c.location.qifang || c.location.xianfang)) {
+      hints.push(`楼层/幢号/门牌号筛选剔除：期房 ${c.location.qifang} 套、现房 ${c.location.xianfang} 套`);
+    }
+    if (c.selected === 0) hints.push("筛选后没有可用房源");
+  }
+
+  if (s.dropped.type) hints.push(`类型不在组合构成中的房源 ${s.dropped.type} 套未参与搜索`);
+  if (s.dropped.structure) hints.push(`不属于套型组合 ${structure} 任一类别的房源 ${s.dropped.structure} 套未参与搜索`);
+  if (s.dropped.selection) hints.push(`pin / ban 指定的房源 ${s.dropped.selection} 套不作为候选条目`);
+  if (s.dropped.overTarget) hints.push(`单套面积超过（剩余）目标面积的房源 ${s.dropped.overTarget} 套未参与搜索`);
+  for (const { key, missing } of s.compositions.infeasible) {
+    hints.push(`构成 ${key} 无解：${missing.map((m) => `${m.type} 类需 ${m.need} 套、可用 ${m.have} 套`).join("，")}`);
+  }
+  if (!s.compositions.feasible.length) hints.push("没有可行的组合构成");
+
+  if (combos.overTarget) hints.push(`面积和超过目标面积的组合 ${combos.overTarget} 个`);
+  if (combos.structure) hints.push(`不符合套型组合 ${structure} 的组合 ${combos.structure} 个`);
+  const rules = Object.entries(combos.rules).sort((a, b) => b[1] - a[1]);
+  for (const [name, n] of rules) hints.push(`规则“${name}”剔除组合 ${n} 个`);
+  if (combos.giftWaste) hints.push(`赠送面积过滤（浪费面积 ≥ ${giftArea}）剔除组合 ${combos.giftWaste} 个`);
+  if (combos.maxWaste) hints.push(`浪费面积上限（maxWaste=${maxWaste}）剔除组合 ${combos.maxWaste} 个`);
+  if (s.compositions.feasible.length && combos.checked === 0) {
+    hints.push("没有面积和不超过目标面积的组合（目标面积过小或可用房源面积过大）");
+  }
+  if (combos.returned < topK) {
+    hints.push(combos.returned ? `仅找到 ${combos.returned} 个方案（topK=${topK}）` : "没有满足全部条件的方案");
+  }
+  return hints;
+}
+
+module.exports = {
+  createExplain,
+  newComboStats,
+  explainHints,
+};
@@ -5,11 +5,11 @@
 const XLSX = require("xlsx");
 
 /**
- * 导出结果到 Excel
- * @param {Array<{result:Array<[number,string]>, "兑换面积":number, "目标面积":number, "浪费面积":number}>} results
- * @param {string} filePath 输出文件路径（.xlsx）
+ * 将 TopK 结果转为工作表（每个组合一行，最多 4 个条目）
+ * @param {Array<{result:Array<[number,string]>, "兑换面积":number, "目标面积":number, "浪费面积":number, "总价":number|null}>} results
+ * @returns {object} XLSX 工作表
  */
-function exportToExcel(results, filePath) {
+function resultsToSheet(results) {
   const headers = [
     "条目1面积",
     "条目1类型",
@@ -22,6 +22,7 @@ function exportToExcel(results, filePath) {
     "兑换面积",
     "目标面积",
     "浪费面积",
+    "总价",
   ];
 
   const rows = results.map((r) => {
@@ -35,15 +36,128 @@ function exportToExcel(results, filePath) {
     row["兑换面积"] = r["兑换面积"];
     row["目标面积"] = r["目标面积"];
     row["浪费面积"] = r["浪费面积"];
+    row["总价"] = r["总价"] ?? "";
+    return row;
+  });
+
+  return XLSX.utils.json_to_sheet(rows, { header: headers });
+}
+
+/**
+ * 导出结果到 Excel
+ * @param {Array<{result:Array<[number,string]>, "兑换面积":number, "目标面积":number, "浪费面积":number}>} results
+ * @param {string} filePath 输出文件路径（.xlsx）
+ */
+function exportToExcel(results, filePath) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, resultsToSheet(results), "TopK结果");
+  XLSX.writeFile(wb, filePath);
+}
+
+// 工作表名不能含 \ / ? * [ ] :，最长 31 个字符，且在工作簿内唯一
+function uniqueSheetName(name, used) {
+  const base = String(name).replace(/[\\/?*[\]:]/g, "_").slice(0, 31) || "Sheet";
+  let out = base;
+  for (let n = 2; used.has(out.toLowerCase()); n++) {
+    const suffix = `(${n})`;
+    out = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(out.toLowerCase());
+  return out;
+}
+
+/**
+ * 导出批量求解结果到 Excel
+ * - 工作表“汇总”：每个目标一行（结果数、首条结果的兑换/浪费面积与总价、对应工作表，失败原因或“无可行方案”记入“说明”）
+ * - 其后每个目标一个工作表（以编号命名，格式同单次导出）
+ * @param {{summary:object, items:Array<{id:string, target:number, giftArea:number, effectiveTarget:number, results:Array, error:string|null}>}} batch runBatch 的返回值
+ * @param {string} filePath 输出文件路径（.xlsx）
+ */
+function exportBatchToExcel(batch, filePath) {
+  const items = batch.items || [];
+  const used = new Set(["汇总"]);
+  const sheets = items.map((it) => (it.error ? null : uniqueSheetName(it.id, used)));
+
+  const headers = ["编号", "目标面积", "赠送面积", "计算面积", "结果数", "最优兑换面积", "最优浪费面积", "最优总价", "工作表", "说明"];
+  const rows = items.map((it, i) => {
+    const best = it.results && it.results[0];
+    return {
+      "编号": it.id,
+      "目标面积": it.target,
+      "赠送面积": it.giftArea,
+      "计算面积": it.effectiveTarget,
+      "结果数": it.error ? "" : it.results.length,
+      "最优兑换面积": best ? best["兑换面积"] : "",
+      "最优浪费面积": best ? best["浪费面积"] : "",
+      "最优总价": best ? best["总价"] ?? "" : "",
+      "工作表": sheets[i] || "",
+      "说明": it.error || (it.results.length === 0 ? "无可行方案" : ""),
+    };
+  });
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows, { header: headers }), "汇总");
+  items.forEach((it, i) => {
+    if (sheets[i]) XLSX.utils.book_append_sheet(wb, resultsToSheet(it.results), sheets[i]);
+  });
+  XLSX.writeFile(wb, filePath);
+}
+
+/**
+ * 导出多户分配结果到 Excel
+ * - 工作表“分配结果”：每户一行（未分配的家庭给出原因）
+ * - 工作表“汇总”：分配户数、浪费面积合计/最大值、搜索是否完成
+ * @param {{objective:string, optimal:boolean, summary:object, households:Array<object>}} allocation allocateHouseholds 的返回值
+ * @param {string} filePath 输出文件路径（.xlsx）
+ */
+function exportAllocationToExcel(allocation, filePath) {
+  const households = allocation.households || [];
+  const slots = Math.max(4, ...households.map((h) => (h.plan && h.plan.result ? h.plan.result.length : 0)));
+  const headers = ["家庭", "目标面积", "赠送面积", "计算面积", "是否分配"];
+  for (let i = 0; i < slots; i++) headers.push(`条目${i + 1}面积`, `条目${i + 1}类型`);
+  headers.push("兑换面积", "浪费面积", "总价", "房源编号", "原因");
+
+  const rows = households.map((h) => {
+    const items = (h.plan && h.plan.result) || [];
+    const row = {
+      "家庭": h.name,
+      "目标面积": h.target,
+      "赠送面积": h.giftArea,
+      "计算面积": h.effectiveTarget,
+      "是否分配": h.assigned ? "是" : "否",
+    };
+    for (let i = 0; i < slots; i++) {
+      const item = items[i];
+      row[`条目${i + 1}面积`] = item ? item[0] : "";
+      row[`条目${i + 1}类型`] = item ? item[1] : "";
+    }
+    row["兑换面积"] = h.plan ? h.plan["兑换面积"] : "";
+    row["浪费面积"] = h.plan ? h.plan["浪费面积"] : "";
+    row["总价"] = h.plan ? h.plan["总价"] ?? "" : "";
+    row["房源编号"] = h.plan ? (h.plan["房源编号"] || []).join("；") : "";
+    row["原因"] = h.reason || "";
     return row;
   });
 
-  const ws = XLSX.utils.json_to_sheet(rows, { header: headers });
+  const s = allocation.summary || {};
+  const summaryRows = [
+    { "项目": "家庭数", "值": s.households },
+    { "项目": "已分配", "值": s.assigned },
+    { "项目": "未分配", "值": s.unassigned },
+    { "项目": "浪费面积合计", "值": s.totalWaste },
+    { "项目": "最大浪费面积", "值": s.maxWaste },
+    { "项目": "优化目标", "值": allocation.objective === "max" ? "最大浪费面积最小" : "浪费面积合计最小" },
+    { "项目": "搜索完成（最优）", "值": allocation.optimal ? "是" : "否（达到节点上限，为当前最优）" },
+  ];
+
   const wb = XLSX.utils.book_new();
-  XLSX.utils.book_append_sheet(wb, ws, "TopK结果");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows, { header: headers }), "分配结果");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summaryRows, { header: ["项目", "值"] }), "汇总");
   XLSX.writeFile(wb, filePath);
 }
 
 module.exports = {
   exportToExcel,
+  exportAllocationToExcel,
+  exportBatchToExcel,
 };
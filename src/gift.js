@@ -0,0 +1,88 @@
+/**
+ * src/gift.js
+ * 赠送面积策略（config.json 的 gift 节点）：允许的赠送面积取值与赠送时的组合行为。
+ *
+ *  - allowed：允许的赠送面积，数值数组（如 [0, 15, 30]）或 "any"（任意 ≥ 0 的数值）；0（不启用赠送）始终允许
+ *  - substitute：启用赠送时的类型替换 { from, to, allowRepeat }（如 C → D，见 src/composition.js），null 表示不替换；
+ *    未配置时沿用旧版 composition.giftSubstitute
+ *  - wasteBelowGift：启用赠送时是否只保留浪费面积 < 赠送面积的组合（默认 true）
+ * 请求中的赠送面积不在允许范围内时报错（接口返回 400），不再静默按 0 处理。
+ */
+
+const DEFAULT_GIFT = {
+  allowed: [0, 15, 30],
+  substitute: { from: "C", to: "D", allowRepeat: false },
+  wasteBelowGift: true,
+};
+
+const GIFT_TYPES = ["A", "B", "C", "D"];
+
+function isBlank(v) {
+  return v === undefined || v === null || String(v).trim() === "";
+}
+
+/**
+ * 规整赠送策略
+ * @param {object} [cfg] 完整的 config.json 内容
+ * @returns {{allowed:number[]|null, substitute:{from:string, to:string, allowRepeat:boolean}|null, wasteBelowGift:boolean}}
+ *   allowed 为 null 表示任意 ≥ 0 的数值
+ * @throws {Error} gift 节点配置非法
+ */
+function normalizeGiftPolicy(cfg = {}) {
+  const spec = (cfg && cfg.gift) || {};
+
+  let allowed;
+  if (spec.allowed === undefined || spec.allowed === null) {
+    allowed = DEFAULT_GIFT.allowed;
+  } else if (spec.allowed === "any") {
+    allowed = null;
+  } else if (Array.isArray(spec.allowed) && spec.allowed.every((v) => !isBlank(v) && Number.isFinite(Number(v)) && Number(v) >= 0)) {
+    allowed = [...new Set([0, ...spec.allowed.map(Number)])].sort((a, b) => a - b);
+  } else {
+    throw new Error('config.json 的 gift.allowed 无效（需为 ≥ 0 的数值数组或 "any"）');
+  }
+
+  // 类型替换：gift.substitute 优先，其次旧版 composition.giftSubstitute
+  const legacy = cfg && cfg.composition ? cfg.composition.giftSubstitute : undefined;
+  const rawSub = spec.substitute !== undefined ? spec.substitute : legacy !== undefined ? legacy : DEFAULT_GIFT.substitute;
+  let substitute = null;
+  if (rawSub) {
+    const from = String(rawSub.from || "").toUpperCase();
+    const to = String(rawSub.to || "").toUpperCase();
+    if (!GIFT_TYPES.includes(from) || !GIFT_TYPES.includes(to) || from === to) {
+      throw new Error(`config.json 的 gift.substitute 无效（from / to 需为不同的 ${GIFT_TYPES.join("/")} 类型）`);
+    }
+    substitute = { from, to, allowRepeat: Boolean(rawSub.allowRepeat) };
+  }
+
+  const wasteBelowGift = spec.wasteBelowGift ?? DEFAULT_GIFT.wasteBelowGift;
+  if (typeof wasteBelowGift !== "boolean") {
+    throw new Error("config.json 的 gift.wasteBelowGift 无效（需为 true / false）");
+  }
+  return { allowed, substitute, wasteBelowGift };
+}
+
+/**
+ * 校验赠送面积；未传入时为 0
+ * @param {any} value
+ * @param {{allowed:number[]|null}} [policy] normalizeGiftPolicy 的返回值
+ * @returns {number}
+ * @throws {Error} 非数值、为负数或不在允许范围内
+ */
+function parseGiftArea(value, policy = normalizeGiftPolicy()) {
+  if (isBlank(value)) return 0;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) {
+    throw new Error("giftArea 无效（需为 ≥ 0 的数值）");
+  }
+  if (policy.allowed && !policy.allowed.includes(n)) {
+    throw new Error(`giftArea 无效（可选 ${policy.allowed.join("/")}）`);
+  }
+  return n;
+}
+
+module.exports = {
+  DEFAULT_GIFT,
+  normalizeGiftPolicy,
+  parseGiftArea,
+};
@@ -0,0 +1,20 @@
+/**
+ * src/httperror.js
+ * 带 HTTP 状态码的错误：server.js 按 err.status 返回对应状态码（未设置时为 500），err.extra 附加到响应体
+ */
+
+/**
+ * 创建带 HTTP 状态码的错误
+ * @param {string} message
+ * @param {number} status
+ * @param {object} [extra] 附加到响应体的字段
+ * @returns {Error}
+ */
+function httpError(message, status, extra) {
+  const err = new Error(message);
+  err.status = status;
+  if (extra) err.extra = extra;
+  return err;
+}
+
+module.exports = { httpError };
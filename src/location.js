@@ -0,0 +1,154 @@
+/**
+ * src/location.js
+ * 楼层 / 幢号 / 门牌号筛选：在搜索前按来源过滤候选房源，使 TopK 直接反映这些筛选条件。
+ *
+ * 参数（按来源分别指定，qf = 期房，xf = 现房）：
+ *  - qfFloor / xfFloor：楼层（室号 ÷ 100 取整）
+ *  - qfBuilding / xfBuilding：幢号
+ *  - qfDoor / xfDoor：门牌号
+ * 取值为逗号分隔的整数或范围，如 "3,5-8"；可追加 <参数名>Mode=any|all 指定匹配方式：
+ *  - any（任一命中）：组合中至少 1 套该来源的房源取值在列表内
+ *  - all（全部命中）：该来源中取值不在列表内的房源不参与搜索，且组合中至少 1 套该来源的房源取值在列表内
+ * 两种方式下缺少该字段（如无室号）的房源都不计入“命中”，也不会因 all 被剔除。
+ * 默认方式与前端结果筛选一致：期房门牌号为 all，其余为 any。
+ * 命中条件作为 count 规则（src/rules.js 的 match.floor / building / door）追加到组合规则，诊断模式按规则名计数。
+ */
+
+const { unitFloor, unitBuilding, unitDoor } = require("./unit");
+
+const LOCATION_SIDES = { qf: "期房", xf: "现房" };
+const LOCATION_FIELDS = {
+  floor: { param: "Floor", label: "楼层", getter: unitFloor },
+  building: { param: "Building", label: "幢号", getter: unitBuilding },
+  door: { param: "Door", label: "门牌号", getter: unitDoor },
+};
+const LOCATION_MODES = ["any", "all"];
+const DEFAULT_MODES = { qf: { door: "all" }, xf: {} };
+// 单个参数最多展开的取值个数（范围按整数展开）
+const MAX_LOCATION_VALUES = 1000;
+
+/**
+ * 解析整数列表：支持数组（重复的查询参数）、逗号分隔字符串与范围 "3-8"，去重并升序
+ * @param {string|number|Array|undefined|null} input
+ * @param {string} name 参数名（用于错误提示）
+ * @returns {number[]|null} 未指定时返回 null
+ * @throws {Error} 取值不是整数或范围，或展开后超过上限
+ */
+function parseIntList(input, name) {
+  const raw = Array.isArray(input) ? input : input == null ? [] : [input];
+  const parts = raw
+    .flatMap((v) => String(v).split(/[,，]/))
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (!parts.length) return null;
+  const values = new Set();
+  for (const part of parts) {
+    const m = part.match(/^(\d+)(?:\s*[-~～]\s*(\d+))?$/);
+    if (!m) throw new Error(`${name} 参数无效：“${part}”（需为整数或范围，如 3,5-8）`);
+    const from = Number(m[1]);
+    const to = m[2] === undefined ? from : Number(m[2]);
+    if (to < from) throw new Error(`${name} 参数无效：“${part}”（范围起点大于终点）`);
+    if (to - from + 1 > MAX_LOCATION_VALUES) throw new Error(`${name} 最多指定 ${MAX_LOCATION_VALUES} 个取值`);
+    for (let v = from; v <= to; v++) values.add(v);
+    if (values.size > MAX_LOCATION_VALUES) throw new Error(`${name} 最多指定 ${MAX_LOCATION_VALUES} 个取值`);
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * 规整楼层 / 幢号 / 门牌号筛选；均未指定时返回 null
+ * @param {object} [spec] 平铺参数 { qfFloor, qfFloorMode, xfDoor, ... }，或本函数的返回值（可再次传入）
+ * @returns {{qf?:object, xf?:object}|null} 形如 { qf: { door: { values:[12,13], mode:"all" } } }
+ * @throws {Error} 取值或匹配方式非法
+ */
+function normalizeLocationFilters(spec) {
+  if (!spec) return null;
+  const out = {};
+  for (const side of Object.keys(LOCATION_SIDES)) {
+    for (const [field, { param }] of Object.entries(LOCATION_FIELDS)) {
+      const name = `${side}${param}`;
+      const given = spec[side] && spec[side][field];
+      const values = parseIntList(given ? given.values : spec[name], name);
+      if (!values) continue;
+      const rawMode = given ? given.mode : spec[`${name}Mode`];
+      const mode =
+        rawMode === undefined || rawMode === null || rawMode === ""
+          ? DEFAULT_MODES[side][field] || "any"
+          : LOCATION_MODES.find((m) => m === String(rawMode).trim().toLowerCase());
+      if (!mode) throw new Error(`${name}Mode 参数无效（可选 ${LOCATION_MODES.join("/")}）`);
+      out[side] = out[side] || {};
+      out[side][field] = { values, mode };
+    }
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// 取值列表的紧凑写法：连续整数合并为范围，如 [3,4,5,8] → "3-5,8"
+function formatValues(values) {
+  const parts = [];
+  for (let i = 0; i < values.length; i++) {
+    let j = i;
+    while (j + 1 < values.length && values[j + 1] === values[j] + 1) j++;
+    parts.push(j > i ? `${values[i]}-${values[j]}` : String(values[i]));
+    i = j;
+  }
+  return parts.join(",");
+}
+
+/**
+ * 生成筛选对应的候选过滤函数与组合规则
+ * @param {{qf?:object, xf?:object}} filters normalizeLocationFilters 的返回值
+ * @param {string} fileAName 期房来源名
+ * @param {string} fileBName 现房来源名
+ * @returns {{keep:(x:object)=>boolean, rules:Array<object>}}
+ */
+function locationConstraints(filters, fileAName, fileBName) {
+  const sources = { qf: fileAName, xf: fileBName };
+  const strict = [];
+  const rules = [];
+  for (const [side, fields] of Object.entries(filters || {})) {
+    for (const [field, { values, mode }] of Object.entries(fields)) {
+      const { label, getter } = LOCATION_FIELDS[field];
+      const text = formatValues(values);
+      rules.push({
+        name: mode === "all" ? `${LOCATION_SIDES[side]}${label}均为 ${text}` : `至少1套${LOCATION_SIDES[side]}${label}为 ${text}`,
+        kind: "count",
+        match: { source: sources[side], [field]: values },
+        op: ">=",
+        value: 1,
+      });
+      if (mode === "all") strict.push({ source: sources[side], getter, set: new Set(values) });
+    }
+  }
+  const keep = (x) => {
+    for (const { source, getter, set } of strict) {
+      if (x.srcFile !== source) continue;
+      const v = getter(x);
+      if (v !== null && !set.has(v)) return false;
+    }
+    return true;
+  };
+  return { keep, rules };
+}
+
+/**
+ * 筛选条件的中文摘要（日志用），如 "期房门牌号 12-13（all）；现房楼层 3-8（any）"
+ * @param {{qf?:object, xf?:object}|null} filters
+ * @returns {string}
+ */
+function describeLocationFilters(filters) {
+  const parts = [];
+  for (const [side, fields] of Object.entries(filters || {})) {
+    for (const [field, { values, mode }] of Object.entries(fields)) {
+      parts.push(`${LOCATION_SIDES[side]}${LOCATION_FIELDS[field].label} ${formatValues(values)}（${mode}）`);
+    }
+  }
+  return parts.join("；");
+}
+
+module.exports = {
+  LOCATION_MODES,
+  normalizeLocationFilters,
+  locationConstraints,
+  describeLocationFilters,
+};
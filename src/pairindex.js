@@ -0,0 +1,72 @@
+/**
+ * src/pairindex.js
+ * 配对和索引：将两个类型桶中的条目两两配对，按面积和升序排列，供 4 套组合的双向搜索使用。
+ *
+ * 去重：面积、类型、来源相同的条目（itemKey 相同）在 TopK 中视为等价，
+ * 因此每个 itemKey 只保留代表条目参与配对，索引规模由“不同面积”决定而非房源套数。
+ * 组合规则按具体位置判定时（见 src/rules.js 的 rulesUseLocation），调用方传入包含小区、楼层、幢号、门牌号的去重 key，
+ * 位置不同的房源各自参与配对。
+ */
+
+const { itemKey } = require("./topk");
+
+/**
+ * 每个去重 key 最多保留前 perKey 个条目（保持原有顺序）
+ * @param {Array<{area:number,type:string,srcFile:string}>} list
+ * @param {number} perKey
+ * @param {(x:object) => string} [keyOf] 去重 key，默认 itemKey
+ * @returns {Array}
+ */
+function distinctByKey(list, perKey, keyOf = itemKey) {
+  const out = [];
+  const counts = new Map();
+  for (const x of list) {
+    const k = keyOf(x);
+    const c = counts.get(k) || 0;
+    if (c >= perKey) continue;
+    counts.set(k, c + 1);
+    out.push(x);
+  }
+  return out;
+}
+
+/**
+ * 构建配对和索引
+ * - 同类型（sameType=true）：从同一列表中取两条不同条目；同面积两套需要两个代表条目，故每个 key 保留 2 条
+ * - 不同类型：两列表的笛卡尔积
+ * 每个配对记为 { sum, a, b }：同类型时 a 为面积较大者，与逐位枚举时的累加顺序一致。
+ * @param {Array<{area:number,type:string,srcFile:string}>} listX 按面积升序
+ * @param {Array<{area:number,type:string,srcFile:string}>} listY 按面积升序（sameType 时忽略）
+ * @param {boolean} sameType
+ * @param {(x:object) => string} [keyOf] 去重 key，默认 itemKey
+ * @returns {Array<{sum:number,a:object,b:object}>} 按 sum 升序
+ */
+function buildPairIndex(listX, listY, sameType, keyOf = itemKey) {
+  const pairs = [];
+  if (sameType) {
+    const u = distinctByKey(listX, 2, keyOf);
+    const keys = u.map(keyOf);
+    const seen = new Set();
+    for (let j = 1; j < u.length; j++) {
+      for (let i = 0; i < j; i++) {
+        const pk = keys[i] < keys[j] ? `${keys[i]}|${keys[j]}` : `${keys[j]}|${keys[i]}`;
+        if (seen.has(pk)) continue;
+        seen.add(pk);
+        pairs.push({ sum: u[j].area + u[i].area, a: u[j], b: u[i] });
+      }
+    }
+  } else {
+    const ux = distinctByKey(listX, 1, keyOf);
+    const uy = distinctByKey(listY, 1, keyOf);
+    for (const a of ux) {
+      for (const b of uy) pairs.push({ sum: a.area + b.area, a, b });
+    }
+  }
+  pairs.sort((p, q) => p.sum - q.sum);
+  return pairs;
+}
+
+module.exports = {
+  distinctByKey,
+  buildPairIndex,
+};
@@ -0,0 +1,187 @@
+/**
+ * src/pareto.js
+ * 帕累托模式：在浪费面积与其他指标之间权衡，只返回不被其他组合支配的组合（帕累托前沿）。
+ *
+ * 指标（均为越小越优，xf 取负数比较）：
+ *  - waste：浪费面积（始终参与）
+ *  - price：总价（Σ 建筑面积 × 单价，见 src/ranking.js；缺少单价视为无穷大）
+ *  - xf：现房套数（越多越好）
+ *  - units：套数（越少越好）
+ *  - floor：楼层偏差，各套房源楼层与 preferFloor 之差的绝对值的平均（楼层 = 室号 ÷ 100 取整，无室号的房源不计）
+ * 组合 a 支配 b：a 的所有指标都不差于 b，且至少一项更优。
+ *
+ * 前沿在候选池（按浪费面积最小收集的若干组合）内计算，见 solver 的候选池说明。
+ * 面积、类型、来源相同的房源视为等价：含 price / floor 指标时，每个条目替换为等价房源中
+ * 按（总价、楼层偏差）依次最优的一套。
+ */
+
+const { itemKey } = require("./topk");
+const { comboPrice } = require("./ranking");
+const { unitFloor: floorOf } = require("./unit");
+
+const PARETO_OBJECTIVES = ["waste", "price", "xf", "units", "floor"];
+// 结果中“评价指标”的字段名
+const OBJECTIVE_LABELS = { waste: "浪费面积", price: "总价", xf: "现房套数", units: "套数", floor: "楼层偏差" };
+
+/**
+ * 规整帕累托参数；未指定 pareto 时返回 null
+ * @param {{pareto?:string|string[], preferFloor?:any}} [spec] pareto 为逗号分隔的指标列表，如 "price,xf"
+ * @returns {{objectives:string[], preferFloor:number|null}|null} objectives 按 PARETO_OBJECTIVES 顺序，含 waste
+ * @throws {Error} 指标未知、仅有 waste，或含 floor 时未给出 preferFloor
+ */
+function normalizePareto(spec) {
+  if (!spec) return null;
+  const raw = spec.pareto ?? spec.objectives;
+  if (raw === undefined || raw === null || raw === "" || (Array.isArray(raw) && raw.length === 0)) return null;
+  const names = (Array.isArray(raw) ? raw : String(raw).split(/[,，]/))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+  const chosen = new Set(["waste"]);
+  for (const name of names) {
+    const hit = PARETO_OBJECTIVES.find((o) => o.toLowerCase() === name.toLowerCase());
+    if (!hit) {
+      throw new Error(`pareto 指标无效：${name}（可选 ${PARETO_OBJECTIVES.join("/")}）`);
+    }
+    chosen.add(hit);
+  }
+  if (chosen.size < 2) {
+    throw new Error("pareto 至少需要 waste 以外的一个指标");
+  }
+  let preferFloor = null;
+  if (chosen.has("floor")) {
+    const n = Number(spec.preferFloor);
+    if (spec.preferFloor === undefined || spec.preferFloor === null || spec.preferFloor === "" || !Number.isFinite(n)) {
+      throw new Error("pareto 含 floor 时需指定 preferFloor（期望楼层）");
+    }
+    preferFloor = n;
+  }
+  return { objectives: PARETO_OBJECTIVES.filter((o) => chosen.has(o)), preferFloor };
+}
+
+function floorDeviation(picked, preferFloor) {
+  let total = 0;
+  let n = 0;
+  for (const x of picked) {
+    const f = floorOf(x);
+    if (f === null) continue;
+    total += Math.abs(f - preferFloor);
+    n++;
+  }
+  return n ? Number((total / n).toFixed(2)) : 0;
+}
+
+/**
+ * 组合的各项指标（结果中的“评价指标”）
+ * @param {{sum:number, picked:Array}} entry
+ * @param {number} targetNum
+ * @param {{objectives:string[], preferFloor:number|null}} pareto
+ * @param {string} fileBName 现房来源名
+ * @returns {Record<string, number|null>}
+ */
+function comboObjectives({ sum, picked }, targetNum, pareto, fileBName) {
+  const out = {};
+  for (const o of pareto.objectives) {
+    if (o === "waste") out.waste = Number((targetNum - Number(sum.toFixed(6))).toFixed(6));
+    else if (o === "price") out.price = comboPrice(picked);
+    else if (o === "xf") out.xf = picked.filter((x) => x.srcFile === fileBName).length;
+    else if (o === "units") out.units = picked.length;
+    else if (o === "floor") out.floor = floorDeviation(picked, pareto.preferFloor);
+  }
+  return out;
+}
+
+// 转为越小越优的比较向量
+function toVector(values, objectives) {
+  return objectives.map((o) => {
+    const v = values[o];
+    if (v === null || v === undefined) return Infinity;
+    return o === "xf" ? -v : v;
+  });
+}
+
+function dominates(a, b) {
+  let better = false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] > b[i]) return false;
+    if (a[i] < b[i]) better = true;
+  }
+  return better;
+}
+
+/**
+ * 在候选池中计算帕累托前沿
+ * - 含 price / floor 指标时先在等价房源间替换（fixed 中的房源不替换）
+ * - 指标向量相同的组合都保留；输出按浪费面积升序，其次按其余指标依次升序
+ * @param {Array<{sum:number, picked:Array}>} pool
+ * @param {number} targetNum
+ * @param {{objectives:string[], preferFloor:number|null}} pareto
+ * @param {string} fileBName
+ * @param {Map<string, Array>} [equivalents] itemKey → 等价房源
+ * @param {Set<object>} [fixed] 固定房源（指定包含）
+ * @returns {Array<{sum:number, picked:Array, objectives:object}>}
+ */
+function paretoFront(pool, targetNum, pareto, fileBName, equivalents, fixed) {
+  const { objectives, preferFloor } = pareto;
+  const byUnit = objectives.includes("price") || objectives.includes("floor");
+  // 单套房源的替换优先级：单价（缺失在后）→ 楼层偏差（无室号在后）
+  const unitKey = (u) => [
+    objectives.includes("price") ? (Number.isFinite(u.price) ? u.price : Infinity) : 0,
+    objectives.includes("floor") ? (floorOf(u) === null ? Infinity : Math.abs(floorOf(u) - preferFloor)) : 0,
+  ];
+  const unitLess = (a, b) => {
+    const ka = unitKey(a);
+    const kb = unitKey(b);
+    return ka[0] < kb[0] || (ka[0] === kb[0] && ka[1] < kb[1]);
+  };
+
+  const scored = pool.map((entry) => {
+    let picked = entry.picked;
+    if (byUnit && equivalents) {
+      const used = new Set();
+      picked = entry.picked.map((x) => {
+        if (fixed && fixed.has(x)) return x;
+        let best = null;
+        for (const u of equivalents.get(itemKey(x)) || [x]) {
+          if (used.has(u) || (fixed && fixed.has(u))) continue;
+          if (!best || unitLess(u, best)) best = u;
+        }
+        best = best || x;
+        used.add(best);
+        return best;
+      });
+    }
+    const values = comboObjectives({ sum: entry.sum, picked }, targetNum, pareto, fileBName);
+    return { sum: entry.sum, picked, objectives: values, vec: toVector(values, objectives) };
+  });
+
+  // 按向量字典序排序后扫描：排在后面的组合不可能支配前面的组合，只需与已入选者比较
+  scored.sort((a, b) => {
+    for (let i = 0; i < a.vec.length; i++) if (a.vec[i] !== b.vec[i]) return a.vec[i] - b.vec[i];
+    return 0;
+  });
+  const front = [];
+  for (const s of scored) {
+    if (front.some((f) => dominates(f.vec, s.vec))) continue;
+    front.push(s);
+  }
+  return front.map(({ sum, picked, objectives: values }) => ({ sum, picked, objectives: values }));
+}
+
+/**
+ * 指标转为结果中的“评价指标”（中文字段名）
+ * @param {Record<string, number|null>} values comboObjectives 的返回值
+ * @returns {Record<string, number|null>}
+ */
+function labelObjectives(values) {
+  const out = {};
+  for (const [k, v] of Object.entries(values)) out[OBJECTIVE_LABELS[k]] = v;
+  return out;
+}
+
+module.exports = {
+  PARETO_OBJECTIVES,
+  normalizePareto,
+  comboObjectives,
+  paretoFront,
+  labelObjectives,
+};
@@ -0,0 +1,172 @@
+/**
+ * src/pool.js
+ * Worker 线程池：在 worker_threads 中并发运行求解任务（server.js 与批量求解命令行共用）
+ */
+const { Worker } = require("worker_threads");
+const { httpError } = require("./httperror");
+
+// Worker pool for concurrent solveTopK to support multiple users
+// - 每个任务有 taskId，可通过 cancel(taskId) 取消：排队中直接移出队列，运行中终止并重建 worker
+// - timeoutMs：任务开始运行后的超时时间，超时终止并重建 worker
+// - maxQueue：排队上限，队列已满时立即拒绝（status 503）
+class WorkerPool {
+  constructor(workerPath, size) {
+    this.workerPath = workerPath;
+    this.size = Math.max(1, Number(size) || 1);
+    this.idle = [];
+    this.queue = [];
+    this.currentTasks = new Map(); // worker -> task
+    this.tasksById = new Map(); // taskId -> task（排队中或运行中）
+    this.terminating = new WeakSet(); // 已主动终止、不再接收结果的 worker
+    this.replaced = new WeakSet(); // 已被替换的 worker（error 与 exit 可能先后触发）
+    this.seq = 0;
+    for (let i = 0; i < this.size; i++) this._spawn();
+  }
+  _spawn() {
+    const worker = new Worker(this.workerPath);
+    worker.on("message", (msg) => {
+      if (this.terminating.has(worker)) return;
+      const task = this.currentTasks.get(worker);
+      // 进度消息：转发给任务的 onProgress，任务仍在进行
+      if (msg && msg.type === "progress") {
+        if (task && task.onProgress) task.onProgress(msg.progress);
+        return;
+      }
+      if (task) {
+        this._finish(worker, task);
+        if (msg && msg.ok) task.resolve(msg.results);
+        else task.reject(httpError((msg && msg.error) || "Worker failed", (msg && msg.status) || 500));
+      }
+      this.idle.push(worker);
+      this._dequeue();
+    });
+    worker.on("error", (err) => {
+      const task = this.currentTasks.get(worker);
+      if (task) {
+        this._finish(worker, task);
+        task.reject(err);
+      }
+      this._replace(worker);
+    });
+    worker.on("exit", (code) => {
+      const task = this.currentTasks.get(worker);
+      if (task) {
+        this._finish(worker, task);
+        task.reject(new Error(`Worker exited with code ${code}`));
+      }
+      this._replace(worker);
+    });
+    this.idle.push(worker);
+  }
+  _replace(oldWorker) {
+    if (this.replaced.has(oldWorker)) return;
+    this.replaced.add(oldWorker);
+    const i = this.idle.indexOf(oldWorker);
+    if (i >= 0) this.idle.splice(i, 1);
+    this._spawn();
+    this._dequeue();
+  }
+  _finish(worker, task) {
+    this.currentTasks.delete(worker);
+    this.tasksById.delete(task.id);
+    if (task.timer) clearTimeout(task.timer);
+  }
+  // 终止运行中的任务：先拒绝任务，再终止 worker（exit 事件中重建）
+  _abort(worker, err) {
+    const task = this.currentTasks.get(worker);
+    if (!task) return;
+    this._finish(worker, task);
+    this.terminating.add(worker);
+    task.reject(err);
+    worker.terminate();
+  }
+  _run(worker, task) {
+    task.worker = worker;
+    this.currentTasks.set(worker, task);
+    if (task.timeoutMs > 0) {
+      task.timer = setTimeout(() => {
+        console.log(`[LOG] 任务超时已终止：${task.id}（${task.timeoutMs} ms）`);
+        this._abort(worker, httpError(`计算超时（超过 ${task.timeoutMs / 1000} 秒），已终止`, 504));
+      }, task.timeoutMs);
+    }
+    worker.postMessage(task.payload);
+  }
+  _dequeue() {
+    while (this.queue.length && this.idle.length) {
+      this._run(this.idle.pop(), this.queue.shift());
+    }
+  }
+  /**
+   * 提交任务
+   * @param {object} payload 发送给 worker 的消息
+   * @param {object} [opts]
+   * @param {string} [opts.taskId] 任务 ID（用于取消），默认自动生成
+   * @param {(progress:object)=>void} [opts.onProgress] 接收 worker 回传的进度（payload.progress=true 时）
+   * @param {number} [opts.timeoutMs] 运行超时（毫秒），≤ 0 表示不限
+   * @param {number} [opts.maxQueue] 排队上限，超出时以 503 拒绝
+   * @returns {Promise<any>}
+   */
+  runTask(payload, { taskId, onProgress, timeoutMs = 0, maxQueue = Infinity } = {}) {
+    return new Promise((resolve, reject) => {
+      const id = taskId || `task-${Date.now()}-${++this.seq}`;
+      if (this.tasksById.has(id)) {
+        return reject(httpError(`任务 ID 已存在：${id}`, 400));
+      }
+      const task = { id, payload, resolve, reject, onProgress, timeoutMs: Number(timeoutMs) || 0 };
+      const worker = this.idle.pop();
+      if (worker) {
+        this.tasksById.set(id, task);
+        return this._run(worker, task);
+      }
+      if (this.queue.length >= maxQueue) {
+        return reject(
+          httpError("计算繁忙，排队人数已满，请稍后重试", 503, { queuePosition: this.queue.length + 1, maxQueue })
+        );
+      }
+      this.tasksById.set(id, task);
+      this.queue.push(task);
+    });
+  }
+  /**
+   * 向所有 worker 发送通知（不占用任务、不等待回复），如数据热重载
+   * 运行中的 worker 在当前任务结束后处理；之后新建的 worker 启动时即加载最新数据
+   * @param {object} message worker 不得对该消息回复（否则会被当作任务结果）
+   */
+  broadcast(message) {
+    for (const worker of [...this.idle, ...this.currentTasks.keys()]) {
+      if (!this.terminating.has(worker)) worker.postMessage(message);
+    }
+  }
+  /**
+   * 任务在队列中的位置（从 1 开始）；运行中或不存在返回 0
+   * @param {string} taskId
+   * @returns {number}
+   */
+  queuePosition(taskId) {
+    return this.queue.findIndex((t) => t.id === taskId) + 1;
+  }
+  /**
+   * 取消任务：排队中直接移出；运行中终止并重建 worker
+   * @param {string} taskId
+   * @returns {boolean} 是否找到并取消
+   */
+  cancel(taskId) {
+    const task = this.tasksById.get(taskId);
+    if (!task) return false;
+    const err = httpError("计算已取消", 499);
+    const qi = this.queue.indexOf(task);
+    if (qi >= 0) {
+      this.queue.splice(qi, 1);
+      this.tasksById.delete(taskId);
+      task.reject(err);
+    } else if (task.worker) {
+      this._abort(task.worker, err);
+    }
+    console.log(`[LOG] 任务已取消：${taskId}`);
+    return true;
+  }
+}
+
+module.exports = {
+  WorkerPool,
+};
@@ -0,0 +1,165 @@
+/**
+ * src/ranking.js
+ * 按价格排序：结果的总价（Σ 建筑面积 × 单价）与排序方式。
+ *
+ * 排序方式（rank）：
+ *  - waste：浪费面积最小（默认，与不带价格时一致）
+ *  - wastePrice：浪费面积最小，浪费面积相同时总价最低
+ *  - price：浪费面积 ≤ maxWaste 的组合中总价最低（须指定 maxWaste）
+ *  - score：综合得分 = 总价 + wasteCost × 浪费面积 最低（wasteCost 为每浪费 1 平折算的金额，元/平）
+ * maxWaste 对所有方式生效（浪费面积上限）。
+ *
+ * 面积、类型、来源相同的房源在搜索中视为等价（见 src/topk.js），但单价可能不同：
+ * 按价格排序时每个条目替换为等价房源中单价最低者，再计算总价。
+ * 单价缺失的房源总价记为 null，按价格排序时排在最后。
+ */
+
+const { itemKey } = require("./topk");
+
+const RANK_MODES = ["waste", "wastePrice", "price", "score"];
+// 综合得分默认每浪费 1 平折算 5000 元
+const DEFAULT_WASTE_COST = 5000;
+
+function parseNonNegative(v, name) {
+  // Infinity 表示不限（normalizeRanking 的输出可再次传入）
+  if (v === undefined || v === null || v === "" || v === Infinity) return undefined;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) {
+    throw new Error(`${name} 参数无效（需为 ≥ 0 的数值）`);
+  }
+  return n;
+}
+
+/**
+ * 规整排序参数；按浪费面积排序且未设置 maxWaste 时返回 null（与不带价格时的行为一致）
+ * @param {{rank?:string, mode?:string, maxWaste?:any, wasteCost?:any}} [spec]
+ * @returns {{mode:string, maxWaste:number, wasteCost:number}|null}
+ * @throws {Error} 参数非法
+ */
+function normalizeRanking(spec) {
+  if (!spec) return null;
+  // mode：normalizeRanking 的输出可再次传入
+  const given = spec.rank ?? spec.mode;
+  const raw = given === undefined || given === null || given === "" ? "waste" : String(given);
+  const mode = RANK_MODES.find((m) => m.toLowerCase() === raw.toLowerCase());
+  if (!mode) {
+    throw new Error(`rank 参数无效（可选 ${RANK_MODES.join("/")}）`);
+  }
+  const maxWaste = parseNonNegative(spec.maxWaste, "maxWaste");
+  const wasteCost = parseNonNegative(spec.wasteCost, "wasteCost");
+  if (mode === "price" && maxWaste === undefined) {
+    throw new Error("rank=price 需同时指定 maxWaste（浪费面积上限）");
+  }
+  if (mode === "waste" && maxWaste === undefined) return null;
+  return {
+    mode,
+    maxWaste: maxWaste ?? Infinity,
+    wasteCost: wasteCost ?? DEFAULT_WASTE_COST,
+  };
+}
+
+/**
+ * 组合总价：Σ 建筑面积 × 单价（保留 2 位小数）；任一房源缺少单价时返回 null
+ * @param {Array<{area:number, price?:number|null}>} picked
+ * @returns {number|null}
+ */
+function comboPrice(picked) {
+  let total = 0;
+  for (const x of picked) {
+    if (!Number.isFinite(x.price)) return null;
+    total += x.area * x.price;
+  }
+  return Number(total.toFixed(2));
+}
+
+function wasteOf(sum, targetNum) {
+  return Number((targetNum - Number(sum.toFixed(6))).toFixed(6));
+}
+
+// 排序比较：越小越优；浪费面积按 6 位小数比较（与结果中的“浪费面积”一致），总价缺失视为无穷大
+function comparator(mode, targetNum, wasteCost) {
+  const price = (e) => (e.price === null ? Infinity : e.price);
+  const waste = (e) => wasteOf(e.sum, targetNum);
+  if (mode === "wastePrice") return (a, b) => waste(a) - waste(b) || price(a) - price(b);
+  if (mode === "price") return (a, b) => price(a) - price(b) || waste(a) - waste(b);
+  if (mode === "score") {
+    const score = (e) => price(e) + wasteCost * waste(e);
+    return (a, b) => score(a) - score(b) || waste(a) - waste(b);
+  }
+  return (a, b) => waste(a) - waste(b);
+}
+
+/**
+ * 对候选池按排序方式重排
+ * - 按价格排序时，每个条目替换为等价房源中单价最低且未在本组合中使用者（fixed 中的房源不替换）
+ * - 过滤浪费面积超过 maxWaste 的组合；排序稳定（同分时保持候选池顺序）
+ * @param {Array<{sum:number, picked:Array}>} pool 按 sum 降序
+ * @param {number} targetNum 目标面积（已含赠送面积）
+ * @param {{mode:string, maxWaste:number, wasteCost:number}} ranking
+ * @param {Map<string, Array>} [equivalents] itemKey → 等价房源（按单价升序）
+ * @param {Set<object>} [fixed] 固定房源（指定包含）
+ * @returns {Array<{sum:number, picked:Array, price:number|null}>}
+ */
+function rankCombos(pool, targetNum, ranking, equivalents, fixed) {
+  const { mode, maxWaste, wasteCost } = ranking;
+  const byPrice = mode !== "waste";
+  const out = [];
+  for (const entry of pool) {
+    if (wasteOf(entry.sum, targetNum) > maxWaste) continue;
+    let picked = entry.picked;
+    if (byPrice && equivalents) {
+      const used = new Set();
+      picked = entry.picked.map((x) => {
+        if (fixed && fixed.has(x)) return x;
+        const options = equivalents.get(itemKey(x)) || [x];
+        const best = options.find((u) => !used.has(u) && !(fixed && fixed.has(u))) || x;
+        used.add(best);
+        return best;
+      });
+    }
+    out.push({ sum: entry.sum, picked, price: comboPrice(picked) });
+  }
+  return out.sort(comparator(mode, targetNum, wasteCost));
+}
+
+/**
+ * 候选池是否已足以确定排序后的前 topK 条（否则求解器扩大候选池重新搜索）
+ * 候选池按 sum 降序收集，池外组合的 sum ≤ poolMinSum：
+ *  - 池外组合的浪费面积均超过 maxWaste 时，池内已包含全部合法组合
+ *  - waste / wastePrice：第 topK 条的浪费面积小于池外组合
+ *  - score：第 topK 条的得分不高于池外组合得分的下界
+ *    （总价 ≥ 面积和 × 最低单价，得分 ≥ wasteCost × 浪费 + (目标 − 浪费) × 最低单价）
+ *  - price：只能依靠 maxWaste 判断（maxWaste 为必填）
+ * @param {Array<{sum:number, price:number|null}>} selected 排序（及多样性挑选）后的前 topK 条
+ * @param {number} topK
+ * @param {number} poolMinSum 候选池中最小的 sum
+ * @param {number} targetNum
+ * @param {{mode:string, maxWaste:number, wasteCost:number}} ranking
+ * @param {number} minUnitPrice 候选房源的最低单价（缺失单价按 0 计）
+ * @returns {boolean}
+ */
+function isRankingComplete(selected, topK, poolMinSum, targetNum, ranking, minUnitPrice) {
+  const { mode, maxWaste, wasteCost } = ranking;
+  const outsideWaste = wasteOf(poolMinSum, targetNum);
+  if (outsideWaste > maxWaste) return true;
+  if (selected.length < topK) return false;
+  const last = selected[selected.length - 1];
+  if (mode === "waste" || mode === "wastePrice") return wasteOf(last.sum, targetNum) < outsideWaste;
+  if (mode === "score") {
+    if (last.price === null) return false;
+    // 下界对浪费面积是线性的，取池外浪费面积区间 [outsideWaste, min(maxWaste, 目标)] 两端的较小值
+    const bound = (w) => wasteCost * w + (targetNum - w) * minUnitPrice;
+    const lower = Math.min(bound(outsideWaste), bound(Math.min(maxWaste, targetNum)));
+    return last.price + wasteCost * wasteOf(last.sum, targetNum) <= lower;
+  }
+  return false;
+}
+
+module.exports = {
+  RANK_MODES,
+  DEFAULT_WASTE_COST,
+  normalizeRanking,
+  comboPrice,
+  rankCombos,
+  isRankingComplete,
+};
@@ -0,0 +1,238 @@
+/**
+ * src/rules.js
+ * 组合约束规则引擎：将 config.json 中的声明式规则编译为判定函数，求解时逐个候选组合校验。
+ *
+ * 规则格式（rules 数组中的每一项）：
+ *  - count   ：满足 match 的条目数量需满足比较条件
+ *      { "name": "至少一套现房", "kind": "count", "match": { "source": "现房" }, "op": ">=", "value": 1 }
+ *  - sumArea ：满足 match 的条目面积之和需满足比较条件
+ *      { "kind": "sumArea", "match": { "source": "现房" }, "op": ">=", "value": 120 }
+ *  - perGroup：满足 match 的条目按 by 分组（community / building / door / floor，缺少该字段的条目不计），
+ *             每组的数量都需满足比较条件
+ *      { "name": "同一小区不超过1套", "kind": "perGroup", "by": "community", "op": "<=", "value": 1 }
+ *  - forbid  ：all 中的条件（count/sumArea/perGroup 形式）同时成立时，组合被剔除（用于描述禁止的形态）
+ *      { "kind": "forbid", "all": [
+ *          { "kind": "count", "match": { "area": { "gt": 135 } }, "op": "=", "value": 1 },
+ *          { "kind": "count", "match": { "area": { "gte": 60, "lte": 135 } }, "op": "=", "value": 0 } ] }
+ *
+ * match 字段（均可省略，省略表示不限）：
+ *  - source：来源名称或数组（"期房" / "现房"）
+ *  - type  ：类型或数组（"A" / "B" / "C" / "D"）
+ *  - area  ：面积区间 { gt, gte, lt, lte }
+ *  - floor / building / door：楼层 / 幢号 / 门牌号，整数或数组（楼层 = 室号 ÷ 100 取整，见 src/unit.js）；
+ *    缺少该字段的条目不匹配
+ */
+
+const { normalizeType } = require("./normalize");
+const { unitFloor, unitBuilding, unitDoor } = require("./unit");
+
+// match 中可按数值列表匹配的位置字段
+const LOCATION_GETTERS = { floor: unitFloor, building: unitBuilding, door: unitDoor };
+// perGroup 的分组字段
+const GROUP_GETTERS = {
+  community: (x) => (x.community ? String(x.community).trim() || null : null),
+  ...LOCATION_GETTERS,
+};
+
+const OPS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  "=": (a, b) => a === b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  ">=": (a, b) => a >= b,
+  ">": (a, b) => a > b,
+};
+
+// 面积求和比较时的浮点容差
+const AREA_EPS = 1e-6;
+
+/**
+ * 内置默认规则（config.json 未配置 rules 时使用）
+ * @param {string} fileAName 期房来源名
+ * @param {string} fileBName 现房来源名
+ * @returns {Array<object>}
+ */
+function defaultRules(fileAName, fileBName) {
+  return [
+    { name: "至少包含1套现房", kind: "count", match: { source: fileBName }, op: ">=", value: 1 },
+    { name: "期房大面积(>100)不超过1套", kind: "count", match: { source: fileAName, area: { gt: 100 } }, op: "<=", value: 1 },
+  ];
+}
+
+/**
+ * 将旧版 policy（disallowDominantWithSmallOthers）转换为等价的 forbid 规则
+ * 规则含义：不允许“恰好 1 条面积 > dominantMoreThan，且其余所有条目面积 < othersLessThan”
+ * @param {boolean} disallowDominant
+ * @param {number} dominantMoreThan
+ * @param {number} othersLessThan
+ * @returns {Array<object>}
+ */
+function rulesFromPolicy(disallowDominant, dominantMoreThan, othersLessThan) {
+  if (!disallowDominant || !Number.isFinite(dominantMoreThan) || !Number.isFinite(othersLessThan)) return [];
+  return [
+    {
+      name: `禁止单套>${dominantMoreThan}且其余<${othersLessThan}`,
+      kind: "forbid",
+      all: [
+        { kind: "count", match: { area: { gt: dominantMoreThan } }, op: "=", value: 1 },
+        { kind: "count", match: { area: { gte: othersLessThan, lte: dominantMoreThan } }, op: "=", value: 0 },
+      ],
+    },
+  ];
+}
+
+function toList(v) {
+  if (v === undefined || v === null) return null;
+  return (Array.isArray(v) ? v : [v]).map((x) => String(x).trim());
+}
+
+/**
+ * 编译 match 为条目判定函数
+ * @param {object} match
+ * @param {string} label 出错提示
+ * @returns {(x:{area:number,type:string,srcFile:string}) => boolean}
+ */
+function compileMatch(match, label) {
+  if (match === undefined || match === null) return () => true;
+  if (typeof match !== "object" || Array.isArray(match)) {
+    throw new Error(`规则配置无效：${label}.match 必须为对象`);
+  }
+  const sources = toList(match.source);
+  const types = toList(match.type);
+  if (types) {
+    for (const t of types) {
+      if (!normalizeType(t)) throw new Error(`规则配置无效：${label}.match.type 取值“${t}”无法识别`);
+    }
+  }
+  const typeSet = types ? new Set(types.map(normalizeType)) : null;
+  const area = match.area || {};
+  const bounds = {};
+  for (const k of ["gt", "gte", "lt", "lte"]) {
+    if (area[k] === undefined || area[k] === null) continue;
+    const n = Number(area[k]);
+    if (!Number.isFinite(n)) throw new Error(`规则配置无效：${label}.match.area.${k} 必须为数值`);
+    bounds[k] = n;
+  }
+  const locations = [];
+  for (const [field, getter] of Object.entries(LOCATION_GETTERS)) {
+    if (match[field] === undefined || match[field] === null) continue;
+    const values = (Array.isArray(match[field]) ? match[field] : [match[field]]).map(Number);
+    if (!values.every(Number.isInteger)) throw new Error(`规则配置无效：${label}.match.${field} 必须为整数或整数数组`);
+    locations.push({ getter, set: new Set(values) });
+  }
+  return (x) => {
+    if (sources && !sources.includes(x.srcFile)) return false;
+    if (typeSet && !typeSet.has(x.type)) return false;
+    for (const { getter, set } of locations) if (!set.has(getter(x))) return false;
+    if (bounds.gt !== undefined && !(x.area > bounds.gt)) return false;
+    if (bounds.gte !== undefined && !(x.area >= bounds.gte)) return false;
+    if (bounds.lt !== undefined && !(x.area < bounds.lt)) return false;
+    if (bounds.lte !== undefined && !(x.area <= bounds.lte)) return false;
+    return true;
+  };
+}
+
+/**
+ * 编译单个比较条件（count / sumArea / perGroup）为组合判定函数
+ * @param {object} cond
+ * @param {string} label
+ * @returns {(picked:Array) => boolean}
+ */
+function compileCondition(cond, label) {
+  const kind = cond.kind || "count";
+  const cmp = OPS[cond.op];
+  if (!cmp) throw new Error(`规则配置无效：${label}.op 取值“${cond.op}”无法识别（可选：${Object.keys(OPS).join(" ")}）`);
+  const value = Number(cond.value);
+  if (!Number.isFinite(value)) throw new Error(`规则配置无效：${label}.value 必须为数值`);
+  const matches = compileMatch(cond.match, label);
+
+  if (kind === "count") {
+    return (picked) => {
+      let n = 0;
+      for (const x of picked) if (matches(x)) n++;
+      return cmp(n, value);
+    };
+  }
+  if (kind === "sumArea") {
+    return (picked) => {
+      let s = 0;
+      for (const x of picked) if (matches(x)) s += x.area;
+      // 规整浮点误差，避免 99.99999999 与 100 比较出错
+      const rounded = Math.abs(s - value) < AREA_EPS ? value : s;
+      return cmp(rounded, value);
+    };
+  }
+  if (kind === "perGroup") {
+    const groupOf = GROUP_GETTERS[cond.by];
+    if (!groupOf) {
+      throw new Error(`规则配置无效：${label}.by 取值“${cond.by}”无法识别（可选：${Object.keys(GROUP_GETTERS).join(" / ")}）`);
+    }
+    return (picked) => {
+      const counts = new Map();
+      for (const x of picked) {
+        if (!matches(x)) continue;
+        const g = groupOf(x);
+        if (g !== null) counts.set(g, (counts.get(g) || 0) + 1);
+      }
+      for (const n of counts.values()) if (!cmp(n, value)) return false;
+      return true;
+    };
+  }
+  throw new Error(`规则配置无效：${label}.kind 取值“${kind}”无法识别（可选：count / sumArea / perGroup / forbid）`);
+}
+
+/**
+ * 规则是否按具体位置判定（perGroup 分组，或 match 中含楼层/幢号/门牌号）：此时面积、类型、来源相同
+ * 但小区、楼层、幢号、门牌号不同的房源判定结果可能不同，求解时不能只取其中一套作为代表
+ * @param {Array<object>} rules 规则数组（未编译）
+ * @returns {boolean}
+ */
+function rulesUseLocation(rules) {
+  const usesLocation = (cond) =>
+    Boolean(cond) &&
+    (cond.kind === "perGroup" ||
+      (Boolean(cond.match) && Object.keys(LOCATION_GETTERS).some((f) => cond.match[f] !== undefined && cond.match[f] !== null)));
+  return (rules || []).some((r) => (r && r.kind === "forbid" ? Array.isArray(r.all) && r.all.some(usesLocation) : usesLocation(r)));
+}
+
+/**
+ * 编译规则列表
+ * @param {Array<object>} rules
+ * @returns {{rules:Array<{name:string,test:(picked:Array)=>boolean}>, check:(picked:Array)=>({name:string}|null)}}
+ * @throws 规则配置非法时抛出错误
+ */
+function compileRules(rules) {
+  if (!Array.isArray(rules)) throw new Error("规则配置无效：rules 必须为数组");
+  const compiled = rules.map((rule, i) => {
+    const label = `rules[${i}]`;
+    if (!rule || typeof rule !== "object") throw new Error(`规则配置无效：${label} 必须为对象`);
+    const name = rule.name ? String(rule.name) : `${label}(${rule.kind || "count"})`;
+    if (rule.kind === "forbid") {
+      if (!Array.isArray(rule.all) || rule.all.length === 0) {
+        throw new Error(`规则配置无效：${label}.all 必须为非空数组`);
+      }
+      const conds = rule.all.map((c, j) => compileCondition(c || {}, `${label}.all[${j}]`));
+      return { name, test: (picked) => !conds.every((f) => f(picked)) };
+    }
+    return { name, test: compileCondition(rule, label) };
+  });
+
+  return {
+    rules: compiled,
+    // 返回第一条被违反的规则；全部满足时返回 null
+    check(picked) {
+      for (const r of compiled) {
+        if (!r.test(picked)) return r;
+      }
+      return null;
+    },
+  };
+}
+
+module.exports = {
+  defaultRules,
+  rulesFromPolicy,
+  compileRules,
+  rulesUseLocation,
+};
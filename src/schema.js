@@ -0,0 +1,148 @@
+/**
+ * src/schema.js
+ * 数据表结构（config.json 的 schema）：各来源的 Excel 文件、工作表与列名映射，
+ * 供数据加载（src/data.js）、求解（src/solver.js）、/communities 与管理页统一使用。
+ *
+ * 配置示例（均可省略，未指定的项取默认值，即下方 DEFAULT_SCHEMA）：
+ *   "schema": {
+ *     "xf": { "file": "./data/现房-汇总.xlsx", "sheet": "现房汇总", "columns": { "community": "项目名称", "building": "楼号" } }
+ *   }
+ * - file：Excel 路径（相对项目根目录），JSON 缓存为同目录同名的 .json
+ * - columns：area（面积）、type（类型）必填；community（小区）、building（幢号）、door（门牌号）、room（室号）、price（单价）、
+ *   serial（序号）可设为 null 表示该来源没有此列
+ * - serial：区分房源编号相同的行（见 src/data.js 的 rowUnitIds），这些行的编号追加 "#序号"；
+ *   为 null 时房源编号重复即报错
+ * 映射的列在表头中不存在时，启动（及热重载、上传校验）报错并指出对应的配置项。
+ * 结构在进程启动时读取一次，修改后需重启服务。
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const CONFIG_PATH = path.resolve(ROOT_DIR, "config.json");
+
+const SCHEMA_SOURCES = { qf: "期房", xf: "现房" };
+// 列映射项 → 中文说明；REQUIRED_COLUMNS 不可为 null
+const SCHEMA_COLUMNS = {
+  area: "面积",
+  type: "类型",
+  community: "小区",
+  building: "幢号",
+  door: "门牌号",
+  room: "室号",
+  price: "单价",
+  serial: "序号",
+};
+const REQUIRED_COLUMNS = ["area", "type"];
+
+const DEFAULT_SCHEMA = {
+  qf: {
+    file: "./data/期房-汇总.xlsx",
+    sheet: "期房汇总",
+    columns: { area: "建筑面积", type: "类别", community: null, building: "幢号", door: "门牌号", room: "室号", price: "单价", serial: "序号" },
+  },
+  xf: {
+    file: "./data/现房-汇总.xlsx",
+    sheet: "现房汇总",
+    columns: { area: "建筑面积", type: "类型", community: "小区名称", building: null, door: "门牌号", room: "室号", price: "单价", serial: "序号" },
+  },
+};
+
+function nonEmptyString(v) {
+  return typeof v === "string" && v.trim() !== "";
+}
+
+/**
+ * 规整表结构配置（与默认值合并）
+ * @param {object} [spec] config.json 的 schema
+ * @returns {{qf:{label:string, file:string, json:string, sheet:string, columns:Record<string, string|null>}, xf:object}}
+ *   file / json 为绝对路径
+ * @throws {Error} 配置项类型错误或必填列为空
+ */
+function normalizeSchema(spec) {
+  if (spec !== undefined && spec !== null && (typeof spec !== "object" || Array.isArray(spec))) {
+    throw new Error("config.json 的 schema 必须为对象");
+  }
+  const out = {};
+  for (const [source, label] of Object.entries(SCHEMA_SOURCES)) {
+    const given = (spec && spec[source]) || {};
+    const def = DEFAULT_SCHEMA[source];
+    const at = `config.json 的 schema.${source}`;
+    for (const key of ["file", "sheet"]) {
+      if (given[key] !== undefined && !nonEmptyString(given[key])) throw new Error(`${at}.${key} 必须为非空字符串`);
+    }
+    const file = path.resolve(ROOT_DIR, given.file || def.file);
+    if (path.extname(file).toLowerCase() !== ".xlsx") throw new Error(`${at}.file 必须为 .xlsx 文件`);
+    const columns = {};
+    for (const key of Object.keys(SCHEMA_COLUMNS)) {
+      const v = given.columns && key in given.columns ? given.columns[key] : def.columns[key];
+      if (v === null && !REQUIRED_COLUMNS.includes(key)) {
+        columns[key] = null;
+        continue;
+      }
+      if (!nonEmptyString(v)) {
+        throw new Error(`${at}.columns.${key}（${SCHEMA_COLUMNS[key]}列）必须为列名${REQUIRED_COLUMNS.includes(key) ? "" : "或 null"}`);
+      }
+      columns[key] = v.trim();
+    }
+    out[source] = {
+      label,
+      file,
+      json: file.replace(/\.xlsx$/i, ".json"),
+      sheet: (given.sheet || def.sheet).trim(),
+      columns,
+    };
+  }
+  return out;
+}
+
+/**
+ * 读取 config.json 的 schema；config.json 不存在或无法解析时使用默认结构（与读取其他配置项一致）
+ * @returns {ReturnType<typeof normalizeSchema>}
+ * @throws {Error} schema 配置非法
+ */
+function loadSchema() {
+  let cfg = {};
+  try {
+    cfg = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+  } catch {
+    cfg = {};
+  }
+  return normalizeSchema(cfg.schema);
+}
+
+/**
+ * 表头缺少映射列时的错误（指出对应的配置项）；全部存在时返回 null
+ * @param {string} source qf / xf
+ * @param {Record<string, string|null>} columns
+ * @param {Record<string, any>} firstRow
+ * @returns {string|null}
+ */
+function missingColumnError(source, columns, firstRow) {
+  for (const [key, col] of Object.entries(columns)) {
+    if (col !== null && !(col in firstRow)) {
+      return `缺少列“${col}”（config.json 的 schema.${source}.columns.${key}，${SCHEMA_COLUMNS[key]}列）`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 读取映射列的文本（去首尾空白）；未映射或为空时返回 ""
+ * @param {Record<string, any>} row
+ * @param {string|null} col
+ * @returns {string}
+ */
+function cellText(row, col) {
+  return col && row[col] != null ? String(row[col]).trim() : "";
+}
+
+module.exports = {
+  SCHEMA_COLUMNS,
+  DEFAULT_SCHEMA,
+  normalizeSchema,
+  loadSchema,
+  missingColumnError,
+  cellText,
+};
@@ -1,18 +1,46 @@
 const { parentPort } = require("worker_threads");
 const { solveTopK } = require("./solver");
+const { allocateHouseholds } = require("./allocate");
+const { reloadFromJson } = require("./data");
+const { invalidateUnitStatuses } = require("./status");
 
 if (!parentPort) {
   throw new Error("This module must be run as a worker thread");
 }
 
 parentPort.on("message", (msg) => {
+  // kind="reload-data"：数据已热重载（WorkerPool.broadcast），从 JSON 缓存替换内存行数组；不回复
+  if (msg && msg.kind === "reload-data") {
+    try {
+      reloadFromJson();
+    } catch (e) {
+      console.warn(`[LOG] Worker 重新加载数据失败：${e.message}`);
+    }
+    return;
+  }
+  // kind="status-changed"：主线程写入了房源状态（server.js 的 notifyStatusChanged），丢弃读取缓存；不回复
+  if (msg && msg.kind === "status-changed") {
+    invalidateUnitStatuses();
+    return;
+  }
   (async () => {
     try {
-      const { target, options } = msg || {};
-      const results = solveTopK(target, options);
+      // kind="allocate"：多户分配（见 src/allocate.js），其余为单次求解
+      if (msg && msg.kind === "allocate") {
+        const results = allocateHouseholds(msg.households, msg.options);
+        parentPort.postMessage({ ok: true, results });
+        return;
+      }
+      const { target, options, progress } = msg || {};
+      // progress=true 时将求解进度逐条回传（{ type: "progress" }），最终结果消息格式不变
+      const finalOptions = progress
+        ? { ...options, onProgress: (p) => parentPort.postMessage({ type: "progress", progress: p }) }
+        : options;
+      const results = solveTopK(target, finalOptions);
       parentPort.postMessage({ ok: true, results });
     } catch (e) {
-      parentPort.postMessage({ ok: false, error: e && e.message ? e.message : String(e) });
+      // status：求解器标记的 HTTP 状态码（如指定房源不存在为 400），未标记时由主线程按 500 处理
+      parentPort.postMessage({ ok: false, error: e && e.message ? e.message : String(e), status: e && e.status });
     }
   })();
 });
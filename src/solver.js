@@ -6,26 +6,51 @@
 const path = require("path");
 const fs = require("fs");
 const { normalizeType } = require("./normalize");
-const { pickBestUnderOrEqual } = require("./bisect");
-const { pushTopK } = require("./topk");
-const { qifangRows, xianfangRows, FILE_A_NAME, FILE_B_NAME } = require("./data");
+const { bisectRightByArea, bisectRightBySum } = require("./bisect");
+const { itemKey, TopKHeap } = require("./topk");
+const {
+  DEFAULT_LARGE_MORE_THAN,
+  DEFAULT_SMALL_LESS_THAN,
+  STRUCTURE_PATTERNS,
+  categorizeArea,
+  normalizeStructure,
+  structureSize,
+  matchesStructurePattern,
+} = require("./structure");
+const { defaultRules, rulesFromPolicy, compileRules, rulesUseLocation } = require("./rules");
+const { compositionKey, parseCompositionList, parseSizes, resolveCompositions } = require("./composition");
+const { buildPairIndex } = require("./pairindex");
+const { normalizeDiversity, selectDiverse } = require("./diversity");
+const { normalizeRanking, comboPrice, rankCombos, isRankingComplete } = require("./ranking");
+const { normalizePareto, paretoFront, labelObjectives } = require("./pareto");
+const { normalizeGiftPolicy, parseGiftArea } = require("./gift");
+const { createExplain, newComboStats, explainHints } = require("./explain");
+const { unitId, unitFloor, unitBuilding, unitDoor, parseUnitSelection } = require("./unit");
+const { normalizeLocationFilters, locationConstraints, describeLocationFilters } = require("./location");
+const { normalizeAreaBounds, areaBoundsTable, describeAreaBounds } = require("./areabounds");
+const { normalizeCountConstraints, countRules } = require("./counts");
+const { getQifangRows, getXianfangRows, getDataGeneration, FILE_A_NAME, FILE_B_NAME, SCHEMA, getDatasetVersion, rowUnitIds } = require("./data");
+const { unavailableIds, availabilityVersion, parseHolder } = require("./status");
+const { cellText } = require("./schema");
 
 // 缓存 JSON 行，避免每次请求重复读取与解析
 const jsonRowCache = new Map();
 const REFRESH_JSON = Array.isArray(process.argv) && process.argv.includes("--refresh");
 /**
  * 读取并缓存 JSON 行数据
- * - 若未设置 --refresh，则优先返回缓存
+ * - 若未设置 --refresh 且数据集版本（修改时间+大小）未变，则返回缓存
  * - 解析失败时返回空数组
  */
 function readJsonRowsCached(filePath) {
   try {
     const abs = path.resolve(filePath);
-    if (!REFRESH_JSON && jsonRowCache.has(abs)) return jsonRowCache.get(abs);
+    const version = getDatasetVersion(abs);
+    const hit = jsonRowCache.get(abs);
+    if (!REFRESH_JSON && hit && hit.version === version) return hit.rows;
     const txt = fs.readFileSync(abs, "utf8");
     const arr = JSON.parse(txt);
     const rows = Array.isArray(arr) ? arr : [];
-    jsonRowCache.set(abs, rows);
+    jsonRowCache.set(abs, { version, rows });
     return rows;
   } catch {
     return [];
@@ -54,46 +79,41 @@ function readJsonRowsCached(filePath) {
     return CFG_CACHE;
   }
   
-  // 数据派生缓存：缓存 toAreaTypeRows + 按类型分组并按面积排序的结果
+  // 数据派生缓存：缓存 extractAreaTypeRows + 按类型分组并按面积排序的结果
   const derivedCache = new Map();
+  const DERIVED_CACHE_MAX = 16;
+  // 单价（元/平）：未映射单价列、缺失或非正数记为 null（总价随之为 null）
+  function unitPriceOf(r, priceCol) {
+    if (!priceCol) return null;
+    const n = Number(r[priceCol]);
+    return r[priceCol] != null && r[priceCol] !== "" && Number.isFinite(n) && n > 0 ? n : null;
+  }
   /**
-   * 从原始行提取 {area, type}
+   * 从原始行提取 {id, area, type, buildingNo, roomNo, doorNo, price}，映射了小区列时附带 community
+   * 列名取自 config.json 的 schema（见 src/schema.js），id 为房源编号（见 src/data.js 的 rowUnitIds）
    * 注意：现在始终包含 D 类型，以支持赠送面积功能
+   * @param {Set<string>} unavailable 不可用的房源编号（src/status.js 的 unavailableIds）
    */
-  function extractAreaTypeRows(rows, typeKey) {
-    const out = [];
-    for (const r of rows || []) {
-      // Skip excluded records
-      if (r.excluded === true) continue;
-      
-      const area = Number(r["建筑面积"]);
-      const type = normalizeType(r[typeKey]);
-      if (!Number.isFinite(area) || area <= 0) continue;
-      if (!type || !["A", "B", "C", "D"].includes(type)) continue;
-      const buildingNo = r["幢号"] != null ? String(r["幢号"]).trim() : '';
-      const doorNo = r["门牌号"] != null ? String(r["门牌号"]).trim() : '';
-      const roomNo = r["室号"] != null ? String(r["室号"]).trim() : '';
-      out.push({ area, type, buildingNo, roomNo, doorNo });
-    }
-    return out;
-  }
-  function extractAreaTypeRowsWithCommunity(rows, typeKey, communityKey) {
+  function extractAreaTypeRows(rows, source, unavailable) {
+    const cols = SCHEMA[source].columns;
+    const { ids } = rowUnitIds(rows || [], source);
     const out = [];
-    for (const r of rows || []) {
-      // Skip excluded records
-      if (r.excluded === true) continue;
-      
-      const area = Number(r["建筑面积"]);
-      const type = normalizeType(r[typeKey]);
-      if (!Number.isFinite(area) || area <= 0) continue;
-      if (!type || !["A", "B", "C", "D"].includes(type)) continue;
-      const community = communityKey ? (r[communityKey] != null ? String(r[communityKey]).trim() : '') : undefined;
-      const buildingNo = r["幢号"] != null ? String(r["幢号"]).trim() : '';
-      const doorNo = r["门牌号"] != null ? String(r["门牌号"]).trim() : '';
-      const roomNo = r["室号"] != null ? String(r["室号"]).trim() : '';
-      if (communityKey) out.push({ area, type, community, buildingNo, roomNo, doorNo });
-      else out.push({ area, type, buildingNo, roomNo, doorNo });
-    }
+    (rows || []).forEach((r, i) => {
+      const id = ids[i];
+      // 跳过不可用的房源（已确认、已撤回、他人保留）
+      if (unavailable.has(id)) return;
+
+      const area = Number(r[cols.area]);
+      const type = normalizeType(r[cols.type]);
+      if (!Number.isFinite(area) || area <= 0) return;
+      if (!type || !["A", "B", "C", "D"].includes(type)) return;
+      const buildingNo = cellText(r, cols.building);
+      const doorNo = cellText(r, cols.door);
+      const roomNo = cellText(r, cols.room);
+      const price = unitPriceOf(r, cols.price);
+      if (cols.community) out.push({ id, area, type, community: cellText(r, cols.community), buildingNo, roomNo, doorNo, price });
+      else out.push({ id, area, type, buildingNo, roomNo, doorNo, price });
+    });
     return out;
   }
   function groupAndSortByType(areaTypeRows) {
@@ -102,14 +122,33 @@ function readJsonRowsCached(filePath) {
     for (const t of ["A", "B", "C", "D"]) byType[t].sort((p, q) => p.area - q.area);
     return byType;
   }
-  function getDerivedGroupedSorted(key, rows, typeKey) {
-    const k = String(key) + "::" + String(typeKey || "");
-    if (!REFRESH_JSON && derivedCache.has(k)) return derivedCache.get(k);
-    const areaTypeRows = extractAreaTypeRows(rows, typeKey);
+  function getDerivedGroupedSorted(key, rows, source, holder) {
+    const k = String(key) + "::" + source + "::" + (holder || "");
+    const hit = derivedCache.get(k);
+    // 行数组随数据集版本重新读取，引用变化或房源状态变化（含保留到期）即视为失效
+    const avail = availabilityVersion();
+    if (!REFRESH_JSON && hit && hit.rows === rows && hit.avail === avail) return hit.grouped;
+    const areaTypeRows = extractAreaTypeRows(rows, source, unavailableIds(holder));
     const grouped = groupAndSortByType(areaTypeRows);
-    derivedCache.set(k, grouped);
+    // 每个保留人一项，超出上限时淘汰最早加入的条目
+    if (!hit && derivedCache.size >= DERIVED_CACHE_MAX) derivedCache.delete(derivedCache.keys().next().value);
+    derivedCache.set(k, { rows, avail, grouped });
     return grouped;
   }
+
+  // 配对和索引缓存：键为 数据集版本 + 候选筛选条件 + 类型对，值为按和升序的两两配对
+  const pairIndexCache = new Map();
+  const PAIR_INDEX_CACHE_MAX = 32;
+  function getPairIndex(cacheKey, listX, listY, sameType, keyOf) {
+    if (cacheKey && !REFRESH_JSON && pairIndexCache.has(cacheKey)) return pairIndexCache.get(cacheKey);
+    const pairs = buildPairIndex(listX, listY, sameType, keyOf);
+    if (cacheKey) {
+      // 超出上限时淘汰最早加入的条目（数据集版本变化后旧条目不会再被命中）
+      if (pairIndexCache.size >= PAIR_INDEX_CACHE_MAX) pairIndexCache.delete(pairIndexCache.keys().next().value);
+      pairIndexCache.set(cacheKey, pairs);
+    }
+    return pairs;
+  }
   // 二分辅助：在按面积升序数组上取 [min,max] 闭区间
   function lowerBound(arr, min) {
     if (min === undefined) return 0;
@@ -137,6 +176,22 @@ function readJsonRowsCached(filePath) {
     if (end <= start) return [];
     return arr.slice(start, end);
   }
+  // 面积和比较的浮点容差：逐位累加与配对和累加的顺序不同，恰好等于 target 的组合不应因舍入误差被排除
+  const SUM_EPS = 1e-9;
+  // 进度上报的最小间隔与附带的最优结果条数
+  const PROGRESS_INTERVAL_MS = 250;
+  const PROGRESS_PARTIAL_SIZE = 10;
+  // 多样性模式 / 按价格排序：候选池初始为 topK 的若干倍，不足以确定前 topK 条且候选池已满时按倍数扩大，直至上限
+  const DIVERSITY_POOL_FACTOR = 4;
+  const DIVERSITY_POOL_MAX = 200000;
+  // 帕累托模式：候选池至少收集浪费面积最小的 2000 个组合，在其中计算前沿
+  const PARETO_POOL_MIN = 2000;
+  // 数值参数归一化：仅当为有限数值时采用，否则使用默认值
+  function finiteOr(v, fallback) {
+    if (v === undefined || v === null || v === "") return fallback;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : fallback;
+  }
   
   /**
  * 计算满足约束条件的 TopK 最优组合。
@@ -144,33 +199,127 @@ function readJsonRowsCached(filePath) {
  * srcFileName: 通常为 "A.txt" 或 "B.txt"
  *
  * 约束回顾：
- *  - 只能选 3 或 4 条
- *  - 必须覆盖 A/B/C（各至少 1 条）或启用赠送时 A/B 及 C或D
- *  - 4 条时，仅允许某一类重复一次（两条同类 + 另外两类各一条）
+ *  - 组合构成由 constraints.compositions 决定（见 src/composition.js），默认：
+ *    - 3 条时必须覆盖 A/B/C（各 1 条），启用赠送时以 D 替代 C
+ *    - 4 条时，仅允许某一类重复一次（两条同类 + 另外两类各一条）
  *  - sum ≤ target，且尽量接近 target
- *  - 至少包含 1 条来自 B.txt（xianfang）
+ *  - 组合规则（constraints.rules，见 src/rules.js）：默认“至少包含 1 条现房”与“期房大面积(>100)不超过 1 套”
+ *  - disallowDominant 为旧版策略参数，会被转换为等价的 forbid 规则追加到规则列表
+ *  - 若指定 constraints.structure（LMM/LLS/MMMS/MMSS），仅在该套型组合内计算 TopK
+ *
+ * 搜索方式：
+ *  - 4 套且可拆为类型不重叠的两对（如 AABC → AA + BC）时，在两侧配对和索引上做双向搜索（meet-in-the-middle）
+ *  - 其余构成逐位枚举：前 n-1 位降序遍历 + 剪枝，最后一位二分定位 ≤ 剩余面积的位置后降序遍历直至不可能进入 TopK；
+ *    每个位置只展开相邻等价条目中的第一条（等价：面积、类型、来源相同，规则按具体位置判定时还需位置相同）
+ *
+ * constraints（可选）：
+ *  - rules：声明式规则数组（未传入时使用内置默认规则）
+ *  - extraRules：本次查询附加的规则（楼层/幢号/门牌号筛选的命中条件、按来源/小区的套数约束，见 src/location.js、src/counts.js），
+ *    追加在 rules 之后
+ *  - compositions：构成列表，如 [{A:1,B:1,C:1}, {A:2,B:1,C:1}]（未传入时按默认规则与 giftArea 生成）
+ *  - structure：套型组合键，null/"none" 表示不限
+ *  - largeMoreThan / smallLessThan：大/中/小分类阈值（默认 100 / 70）
+ *  - onProgress：进度回调，参数 { phase, composition, percent, scanned, filled, topK, bestGap, partial }
+ *  - pairIndexKey：候选集合的缓存键（数据集版本 + 筛选条件），传入时配对和索引跨请求缓存；
+ *    此时 candidates 不应按 target 截断，以便不同 target 复用同一索引
+ *  - diversity：多样性上限 { maxPerUnit, maxOverlap }（见 src/diversity.js）：
+ *    maxPerUnit 为同一套房源最多出现在几个结果中，maxOverlap 为任意两个结果最多共用几套房源；
+ *    启用时先收集更大的候选池，再按 sum 降序贪心挑选，仍返回满足上限的最优 TopK
+ *  - pinned：指定包含的房源（与 candidates 对象同形），每个组合都包含这些房源；
+ *    搜索时从 target 中扣除其面积、从构成中扣除其类型，只枚举剩余位置
+ *  - banned：指定排除的房源标识（见 src/unit.js），不参与任何组合
+ *  - ranking：排序方式 { mode, maxWaste, wasteCost }（见 src/ranking.js）：
+ *    启用时先收集更大的候选池，条目替换为等价房源中单价最低者后按总价/综合得分重排；可与 diversity 同时使用（先排序再挑选）
+ *  - pareto：帕累托模式 { objectives, preferFloor }（见 src/pareto.js）：在候选池（至少 2000 个浪费面积最小的组合）内
+ *    只保留不被支配的组合，按浪费面积升序返回前 topK 个，每项附带“评价指标”；与 ranking 的排序方式互斥（maxWaste 仍生效）
+ *  - explain：诊断统计对象（见 src/explain.js），传入时按阶段与剔除原因计数（写入 search / combos）
+ *  - gift：赠送策略 { substitute, wasteBelowGift }（见 src/gift.js，未传入时使用默认策略）：
+ *    giftArea > 0 时按 substitute 替换构成中的类型；wasteBelowGift 为 true 时只保留浪费面积 < giftArea 的组合
  *
  * 返回：
- *  - 按 sum 降序的 TopK 结果，每项包含 { result, sum, target, gap }
+ *  - 按 sum 降序（启用 ranking 时按其排序方式）的 TopK 结果，每项包含 { result, 兑换面积, 目标面积, 浪费面积, 房源编号, 单价, 总价 }
  */
-function bestTopKCombos(candidates, target, fileAName, fileBName, topK = 10, disallowDominant, dominantMoreThan, othersLessThan, giftArea = 0) {
+function bestTopKCombos(candidates, target, fileAName, fileBName, topK = 10, disallowDominant, dominantMoreThan, othersLessThan, giftArea = 0, constraints = {}) {
   // 规整 topK
   topK = Math.max(1, Math.floor(Number(topK) || 1));
   const targetNum = Number(target);
   const enableGift = Number(giftArea) > 0;
 
-  // 过滤 + 归一化 + 根据赠送面积决定是否包含 D 类型
+  // 套型组合约束：决定组合条数，并可提前剔除不属于该组合任何一类的条目
+  const structure = normalizeStructure(constraints.structure);
+  const largeMoreThan = finiteOr(constraints.largeMoreThan, DEFAULT_LARGE_MORE_THAN);
+  const smallLessThan = finiteOr(constraints.smallLessThan, DEFAULT_SMALL_LESS_THAN);
+  const structureCats = structure ? STRUCTURE_PATTERNS[structure] : null;
+
+  // 组合规则：每次调用编译一次，逐个候选校验
+  const ruleSpecs = [
+    ...(Array.isArray(constraints.rules) ? constraints.rules : defaultRules(fileAName, fileBName)),
+    ...rulesFromPolicy(disallowDominant, dominantMoreThan, othersLessThan),
+    ...(Array.isArray(constraints.extraRules) ? constraints.extraRules : []),
+  ];
+  const compiledRules = compileRules(ruleSpecs);
+  // 等价条目：面积、类型、来源相同的条目在 TopK 中可相互替换；规则按具体位置判定时还需小区、楼层、幢号、门牌号相同
+  const byLocation = rulesUseLocation(ruleSpecs);
+  const equivalenceKey = byLocation
+    ? (x) => `${itemKey(x)}|${x.community || ""}|${unitFloor(x)}|${unitBuilding(x)}|${unitDoor(x)}`
+    : itemKey;
+
+  // 赠送策略：类型替换与“浪费面积 < 赠送面积”过滤（见 src/gift.js）
+  const gift = constraints.gift || normalizeGiftPolicy();
+  // 诊断统计（explain=1）：未启用时为 null，热路径上只多一次判断
+  const stats = constraints.explain || null;
+  const wasteOf = (sum) => Number((targetNum - Number(sum.toFixed(6))).toFixed(6));
+
+  // 组合构成：未传入时按默认规则生成（3 套 A+B+C / 4 套某一类重复一次；赠送时按策略替换，默认 D 替代 C）
+  let compositions = Array.isArray(constraints.compositions)
+    ? constraints.compositions
+    : resolveCompositions({ giftArea, giftSubstitute: gift.substitute });
+  if (structure) {
+    compositions = compositions.filter((c) => compositionKey(c).length === structureSize(structure));
+  }
+
+  // 指定包含/排除的房源：包含的房源固定在每个组合中，二者都不进入候选条目
+  const pinned = (Array.isArray(constraints.pinned) ? constraints.pinned : []).map((x) => ({
+    ...x,
+    area: Number(x.area),
+    type: normalizeType(x.type),
+  }));
+  const bannedIds = new Set(constraints.banned || []);
+  const skipIds = new Set([...bannedIds, ...pinned.map(unitId)]);
+  const pinnedSum = pinned.reduce((acc, x) => acc + x.area, 0);
+  const pinnedCounts = {};
+  for (const x of pinned) pinnedCounts[x.type] = (pinnedCounts[x.type] || 0) + 1;
+  // 剩余位置的目标面积
+  const searchTarget = targetNum - pinnedSum;
+  // 每个构成扣除指定房源后的剩余构成；容纳不下指定房源的构成直接丢弃
+  const restOf = (c) => {
+    const rest = {};
+    for (const t of Object.keys(c)) {
+      const n = c[t] - (pinnedCounts[t] || 0);
+      if (n > 0) rest[t] = n;
+    }
+    return rest;
+  };
+  if (pinned.length) {
+    if (pinned.some((x) => !Number.isFinite(x.area) || !x.type)) return [];
+    compositions = compositions.filter((c) => Object.keys(pinnedCounts).every((t) => (c[t] || 0) >= pinnedCounts[t]));
+  }
+
+  // 过滤 + 归一化：仅保留构成中出现的类型
   const items = [];
-  const allowedTypes = enableGift ? ["A", "B", "D"] : ["A", "B", "C"];
-  
+  const allowedTypes = [...new Set(compositions.flatMap((c) => Object.keys(c)))];
+  if (stats) stats.search.input = candidates.length;
+
   for (const it of candidates) {
-    let area, type, srcFile, community, buildingNo, roomNo, doorNo;
+    let id, area, type, srcFile, community, buildingNo, roomNo, doorNo, price;
     if (Array.isArray(it)) {
       if (it.length < 3) continue;
       area = Number(it[0]);
       type = normalizeType(it[1]);
       srcFile = it[2];
+      price = it[3];
     } else if (it && typeof it === 'object') {
+      id = it.id;
       area = Number(it.area);
       type = normalizeType(it.type);
       srcFile = it.srcFile;
@@ -178,231 +327,441 @@ function bestTopKCombos(candidates, target, fileAName, fileBName, topK = 10, dis
       buildingNo = it.buildingNo;
       roomNo = it.roomNo;
       doorNo = it.doorNo;
+      price = it.price;
     } else {
       continue;
     }
 
     if (!Number.isFinite(area) || area <= 0) continue;
-    if (!type || !allowedTypes.includes(type)) continue;
+    if (!type || !allowedTypes.includes(type)) {
+      if (stats) stats.search.dropped.type++;
+      continue;
+    }
     if (srcFile !== fileAName && srcFile !== fileBName) continue;
+    if (structureCats && !(structureCats[categorizeArea(area, largeMoreThan, smallLessThan)] > 0)) {
+      if (stats) stats.search.dropped.structure++;
+      continue;
+    }
 
-    items.push({ area, type, srcFile, community, buildingNo, roomNo, doorNo });
+    const item = { id, area, type, srcFile, community, buildingNo, roomNo, doorNo, price: Number.isFinite(price) ? price : null };
+    if (skipIds.size && skipIds.has(unitId(item))) {
+      if (stats) stats.search.dropped.selection++;
+      continue;
+    }
+    items.push(item);
   }
 
-  // 按类型分组（包含 D 类型如果启用赠送面积）
-  const byType = enableGift 
-    ? { A: [], B: [], C: [], D: [] }
-    : { A: [], B: [], C: [] };
+  // 按类型分组
+  const byType = { A: [], B: [], C: [], D: [] };
   for (const x of items) byType[x.type].push(x);
 
   // 为后续二分查找按 area 升序排序
-  const typesToSort = enableGift ? ["A", "B", "C", "D"] : ["A", "B", "C"];
-  for (const t of typesToSort) {
+  for (const t of allowedTypes) {
     byType[t].sort((p, q) => p.area - q.area);
   }
-  // 任何单条面积超过 target 都不可能参与合法组合，提前剔除
-  for (const t of typesToSort) {
-    byType[t] = byType[t].filter((x) => x.area <= targetNum);
+  // 配对和索引基于未按 target 截断的列表构建，便于跨 target 缓存
+  const byTypeAll = { ...byType };
+  // 任何单条面积超过（剩余）target 都不可能参与合法组合，提前剔除
+  for (const t of allowedTypes) {
+    const before = byType[t].length;
+    byType[t] = byType[t].filter((x) => x.area <= searchTarget);
+    if (stats) {
+      stats.search.dropped.overTarget += before - byType[t].length;
+      stats.search.byType[t] = byType[t].length;
+    }
   }
 
-  // 若必需类型缺失，则无解
-  // 未启用赠送：必须有 A、B、C
-  // 启用赠送：必须有 A、B，且至少有 C 或 D 其中之一
-  if (!enableGift) {
-    if (!byType.A.length || !byType.B.length || !byType.C.length) return [];
-  } else {
-    if (!byType.A.length || !byType.B.length) return [];
-    if (!byType.C.length && !byType.D.length) return [];
-  }
-
-  // TopK 容器与去重集合
-  const topList = [];
-  const seenKeys = new Set();
-
-  // 是否至少包含 1 条来自 B.txt（xianfang）
-  function hasAtLeastOneFromB(picked) {
-    return picked.some((x) => x.srcFile === fileBName);
-  }
-
-  // 收集一个合法候选
-  function tryCollect(picked, sum) {
-    if (sum > targetNum) return; // 必须满足 sum ≤ target
-    if (!hasAtLeastOneFromB(picked)) return;
-
-    // 规则：不允许出现“两套大面积（>100）且均来自期房”的组合
-    const largeQCount = picked.reduce((acc, x) => {
-      return acc + ((x.srcFile === fileAName && x.area > 100) ? 1 : 0);
-    }, 0);
-    if (largeQCount >= 2) return;
-
-    // 规则过滤：不允许“恰好 1 条面积 > dominantMoreThan，且其余所有条目面积 < othersLessThan”
-    if (disallowDominant && Number.isFinite(dominantMoreThan) && Number.isFinite(othersLessThan)) {
-      const areas = picked.map((x) => x.area);
-      const dominantCount = areas.filter((a) => a > dominantMoreThan).length;
-      if (dominantCount === 1) {
-        const others = areas.filter((a) => a <= dominantMoreThan);
-        const allOthersSmall = others.every((a) => a < othersLessThan);
-        if (allOthersSmall) return; // 违反规则，丢弃该组合
+  // 各条目的等价类编号（与 byType 下标对应）：逐位枚举时同一位置只展开每组相邻等价条目中的第一条，
+  // 其余条目能组成的组合与第一条的组合等价（同类型的后续位置仍可选到它们）
+  const classOf = {};
+  const classIds = new Map();
+  for (const t of allowedTypes) {
+    classOf[t] = Int32Array.from(byType[t], (x) => {
+      const k = equivalenceKey(x);
+      if (!classIds.has(k)) classIds.set(k, classIds.size);
+      return classIds.get(k);
+    });
+  }
+
+  // 某构成所需类型的条目数不足时，该构成无解
+  compositions = compositions.filter((c) => {
+    const rest = restOf(c);
+    const ok = Object.keys(rest).every((t) => byType[t].length >= rest[t]);
+    if (stats) {
+      const key = compositionKey(c);
+      if (ok) stats.search.compositions.feasible.push(key);
+      else {
+        const missing = Object.keys(rest)
+          .filter((t) => byType[t].length < rest[t])
+          .map((t) => ({ type: t, need: rest[t], have: byType[t].length }));
+        stats.search.compositions.infeasible.push({ key, missing });
       }
     }
+    return ok;
+  });
+  if (!compositions.length || searchTarget < 0) return [];
 
-    pushTopK(topList, seenKeys, { sum, picked }, topK);
+  // 多样性上限 / 按价格排序：启用时 TopK 容器作为候选池，容量大于 topK
+  const diversity = normalizeDiversity(constraints.diversity);
+  const ranking = normalizeRanking(constraints.ranking);
+  const pareto = normalizePareto(constraints.pareto);
+  let equivalents = null; // itemKey → 等价房源（面积、类型、来源相同），挑选时可相互替换
+  if (diversity || ranking || pareto) {
+    equivalents = new Map();
+    for (const x of items) {
+      const k = itemKey(x);
+      if (!equivalents.has(k)) equivalents.set(k, []);
+      equivalents.get(k).push(x);
+    }
+    // 规则按具体位置判定（楼层/幢号/门牌号筛选、按小区的套数约束等）：小区、楼层、幢号、门牌号不同的房源不再相互替换
+    if (byLocation) {
+      for (const [k, list] of equivalents) {
+        if (list.some((x) => equivalenceKey(x) !== equivalenceKey(list[0]))) equivalents.delete(k);
+      }
+    }
+    // 按价格排序时等价房源按单价升序（缺失单价在后），替换时优先取最便宜者
+    if (ranking) {
+      const priceOf = (x) => (x.price === null ? Infinity : x.price);
+      for (const list of equivalents.values()) list.sort((p, q) => priceOf(p) - priceOf(q));
+    }
   }
+  // 池外组合得分下界用的最低单价（缺失单价按 0 计）
+  const minUnitPrice = ranking
+    ? Math.min(...[...items, ...pinned].map((x) => (Number.isFinite(x.price) ? x.price : 0)), Infinity)
+    : 0;
 
-  // 3 条组合
-  if (!enableGift) {
-    // 未启用赠送：A + B + C
-    const maxCarea = byType.C.length ? byType.C[byType.C.length - 1].area : -Infinity;
-    for (let ia = byType.A.length - 1; ia >= 0; ia--) {
-      const a = byType.A[ia];
-      for (let ib = byType.B.length - 1; ib >= 0; ib--) {
-        const b = byType.B[ib];
-        const partial = a.area + b.area;
-        if (partial > targetNum) continue;
+  const pinnedSet = new Set(pinned);
 
-        if (topList.length >= topK) {
-          const minKeep = topList[topList.length - 1].sum;
-          if (partial + maxCarea <= minKeep) break;
-        }
+  // TopK 容器（有界堆，内部按 makeKey 去重）
+  let top = new TopKHeap(topK);
 
-        const c = pickBestUnderOrEqual(byType.C, targetNum - partial);
-        if (c) tryCollect([a, b, c], partial + c.area);
-      }
+  // 进度上报（constraints.onProgress）：按时间节流，附带当前最优的若干条结果
+  const onProgress = typeof constraints.onProgress === "function" ? constraints.onProgress : null;
+  let scanned = 0; // 已校验的候选组合数
+  let compIndex = 0; // 当前构成序号
+  let compFraction = 0; // 当前构成的完成比例（按最外层循环估算）
+  let lastReport = 0;
+  function report(phase, force = false, final = null) {
+    if (!onProgress) return;
+    const now = Date.now();
+    if (!force && now - lastReport < PROGRESS_INTERVAL_MS) return;
+    lastReport = now;
+    let best = final ? final.slice(0, PROGRESS_PARTIAL_SIZE) : top.peekBest(diversity || ranking || pareto ? PROGRESS_PARTIAL_SIZE * 10 : PROGRESS_PARTIAL_SIZE).filter(withinGift);
+    if (!final) best = selectFromPool(best, PROGRESS_PARTIAL_SIZE);
+    const done = phase === "done";
+    onProgress({
+      phase,
+      composition: done ? null : compositionKey(compositions[compIndex]),
+      percent: done ? 100 : Number(((100 * (compIndex + compFraction)) / compositions.length).toFixed(1)),
+      scanned,
+      filled: final ? final.length : top.size,
+      topK,
+      bestGap: best.length ? Number((targetNum - best[0].sum).toFixed(6)) : null,
+      partial: best.map(formatEntry),
+    });
+  }
+
+  // 剩余位置的面积和需超过此值才可能进入 TopK（已扣除指定房源面积）
+  function worstRest() {
+    return top.worstSum() - pinnedSum;
+  }
+
+  // 收集一个合法候选（picked/sum 为剩余位置的条目与面积和，此处补上指定房源）
+  function tryCollect(rest, restSum) {
+    if ((++scanned & 1023) === 0) report("search");
+    const picked = pinned.length ? [...pinned, ...rest] : rest;
+    const sum = pinned.length ? pinnedSum + restSum : restSum;
+    if (pinned.length ? restSum > searchTarget + SUM_EPS : sum > targetNum + SUM_EPS) { // 必须满足 sum ≤ target
+      if (stats) stats.combos.overTarget++;
+      return;
     }
-  } else {
-    // 启用赠送：A + B + C 或 A + B + D
-    const maxCarea = byType.C.length ? byType.C[byType.C.length - 1].area : -Infinity;
-    const maxDarea = byType.D.length ? byType.D[byType.D.length - 1].area : -Infinity;
-    
-    for (let ia = byType.A.length - 1; ia >= 0; ia--) {
-      const a = byType.A[ia];
-      for (let ib = byType.B.length - 1; ib >= 0; ib--) {
-        const b = byType.B[ib];
-        const partial = a.area + b.area;
-        if (partial > targetNum) continue;
-
-        if (topList.length >= topK) {
-          const minKeep = topList[topList.length - 1].sum;
-          const maxThird = Math.max(maxCarea, maxDarea);
-          if (partial + maxThird <= minKeep) break;
-        }
+    if (sum <= top.worstSum()) { // 已满且不可能进入 TopK，跳过后续校验
+      if (stats) stats.combos.notInTopK++;
+      return;
+    }
+    if (structure && !matchesStructurePattern(picked.map((x) => x.area), structure, largeMoreThan, smallLessThan)) {
+      if (stats) stats.combos.structure++;
+      return;
+    }
+    const broken = compiledRules.check(picked);
+    if (broken) { // 违反任一规则，丢弃该组合（按第一条违反的规则计数）
+      if (stats) stats.combos.rules[broken.name] = (stats.combos.rules[broken.name] || 0) + 1;
+      return;
+    }
+
+    if (stats) stats.combos.collected++;
+    top.push({ sum, picked });
+  }
+
+  /**
+   * 按构成枚举：前 n-1 个位置降序遍历 + 上界剪枝，最后一个位置二分定位 ≤ 剩余面积的位置后降序遍历直至不可能进入 TopK
+   * - 重复类型排在前面、单套类型排在后面，使二分落在单套类型上（与原 A+B→C、X×2+Y→Z 一致）
+   * - 同一类型的相邻位置按下标严格递减选取，避免重复与同一条目被选两次
+   */
+  function enumComposition(counts) {
+    const slotTypes = Object.keys(counts)
+      .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+      .flatMap((t) => Array(counts[t]).fill(t));
+    const n = slotTypes.length;
+    const lists = slotTypes.map((t) => byType[t]);
+    const classes = slotTypes.map((t) => classOf[t]);
 
-        // 尝试 A + B + C
-        if (byType.C.length > 0) {
-          const c = pickBestUnderOrEqual(byType.C, targetNum - partial);
-          if (c) tryCollect([a, b, c], partial + c.area);
+    // sameAfter[k]：位置 k 之后与其同类型的位置数；maxRest/minRest[k]：位置 k..n-1 可达的最大/最小面积和
+    const sameAfter = new Array(n).fill(0);
+    for (let k = n - 2; k >= 0; k--) {
+      if (slotTypes[k + 1] === slotTypes[k]) sameAfter[k] = sameAfter[k + 1] + 1;
+    }
+    const maxRest = new Array(n + 1).fill(0);
+    const minRest = new Array(n + 1).fill(0);
+    for (let k = n - 1; k >= 0; k--) {
+      let run = 0; // 位置 k 在同类型连续段中的偏移（其下标不超过 length-1-run，且不小于 sameAfter[k]）
+      while (k - run - 1 >= 0 && slotTypes[k - run - 1] === slotTypes[k]) run++;
+      const arr = lists[k];
+      maxRest[k] = maxRest[k + 1] + arr[arr.length - 1 - run].area;
+      minRest[k] = minRest[k + 1] + arr[sameAfter[k]].area;
+    }
+
+    const picked = new Array(n);
+    (function dfs(k, partial, end) {
+      const arr = lists[k];
+      const cls = classes[k];
+      if (k === n - 1) {
+        // 最后一位降序遍历直至不可能进入 TopK：同一前缀下次优的条目也可能进入 TopK，
+        // 且套型组合与组合规则按具体房源判定，最大条目不符合时需继续尝试下一条
+        const last = bisectRightByArea(arr, searchTarget - partial + SUM_EPS, end) - 1;
+        for (let i = last; i >= 0; i--) {
+          if (partial + arr[i].area <= worstRest()) break;
+          if (i < last && cls[i] === cls[i + 1]) continue;
+          picked[k] = arr[i];
+          tryCollect(picked.slice(), partial + arr[i].area);
         }
-        
-        // 尝试 A + B + D
-        if (byType.D.length > 0) {
-          const d = pickBestUnderOrEqual(byType.D, targetNum - partial);
-          if (d) tryCollect([a, b, d], partial + d.area);
+        return;
+      }
+      const nextSame = slotTypes[k + 1] === slotTypes[k];
+      // 起点：为后续位置预留最小面积后，当前位置可取的最大下标
+      const start = bisectRightByArea(arr, searchTarget - partial - minRest[k + 1] + SUM_EPS, end) - 1;
+      for (let i = start; i >= sameAfter[k]; i--) {
+        if (k === 0) {
+          compFraction = (start - i) / (start + 1);
+          report("search");
         }
+        const p = partial + arr[i].area;
+        if (p + maxRest[k + 1] <= worstRest()) break;
+        if (i < start && cls[i] === cls[i + 1]) continue;
+        picked[k] = arr[i];
+        dfs(k + 1, p, nextSame ? i : lists[k + 1].length);
       }
-    }
+    })(0, 0, lists[0].length);
   }
 
-  // 4 条：某一类重复一次
-  function enumFour(X, Y, Z) {
-    // 降序遍历 + 上界剪枝
-    const maxZarea = Z.length ? Z[Z.length - 1].area : -Infinity;
-    for (let i = X.length - 1; i >= 1; i--) {
-      for (let j = i - 1; j >= 0; j--) {
-        const sumXX = X[i].area + X[j].area;
-        if (sumXX > targetNum) continue;
+  // 配对和索引的缓存作用域：候选集合 + 套型组合过滤 + 指定包含/排除（三者决定各类型桶的内容）+ 去重方式
+  const pairScope = constraints.pairIndexKey
+    ? `${constraints.pairIndexKey}|${structure || ""}|${largeMoreThan}|${smallLessThan}|${[...skipIds].sort().join(",")}|${byLocation ? "loc" : ""}`
+    : null;
+  function pairIndexFor(t1, t2) {
+    return getPairIndex(pairScope && `${pairScope}|${t1}${t2}`, byTypeAll[t1], byTypeAll[t2], t1 === t2, equivalenceKey);
+  }
 
-        for (let iy = Y.length - 1; iy >= 0; iy--) {
-          const y = Y[iy];
-          const partial = sumXX + y.area;
-          if (partial > targetNum) continue;
+  // 将 4 套构成拆为类型不重叠的两对（AABC → AA + BC，AABB → AA + BB，ABCD → AB + CD）；无法拆分时返回 null
+  function splitPairs(counts) {
+    const slotTypes = Object.keys(counts)
+      .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+      .flatMap((t) => Array(counts[t]).fill(t));
+    if (slotTypes.length !== 4) return null;
+    const left = slotTypes.slice(0, 2);
+    const right = slotTypes.slice(2);
+    if (left.some((t) => right.includes(t))) return null;
+    return [left, right];
+  }
 
-          if (topList.length >= topK) {
-            const minKeep = topList[topList.length - 1].sum;
-            if (partial + maxZarea <= minKeep) break;
-          }
+  /**
+   * 双向搜索（meet-in-the-middle）：外层按左侧配对和降序遍历，内层在右侧索引中二分定位 ≤ 剩余面积的位置后降序遍历，
+   * 直到两侧之和不可能进入 TopK。两侧类型不重叠，不会重复选中同一条目。
+   */
+  function enumPairSplit([left, right]) {
+    const PL = pairIndexFor(left[0], left[1]);
+    const PR = pairIndexFor(right[0], right[1]);
+    if (!PL.length || !PR.length) return;
+    const maxR = PR[PR.length - 1].sum;
+    // 配对和与逐位累加可能存在极小的浮点差异，定位时放宽 SUM_EPS，与 tryCollect 的 ≤ target 判定一致
+    const startL = bisectRightBySum(PL, searchTarget - PR[0].sum + SUM_EPS) - 1;
+    for (let i = startL; i >= 0; i--) {
+      compFraction = (startL - i) / (startL + 1);
+      report("search");
+      const l = PL[i];
+      if (Math.min(l.sum + maxR, searchTarget) <= worstRest()) break;
+      for (let j = bisectRightBySum(PR, searchTarget - l.sum + SUM_EPS) - 1; j >= 0; j--) {
+        const r = PR[j];
+        if (l.sum + r.sum <= worstRest()) break;
+        tryCollect([l.a, l.b, r.a, r.b], l.sum + r.a.area + r.b.area);
+      }
+    }
+  }
 
-          const z = pickBestUnderOrEqual(Z, targetNum - partial);
-          if (z) tryCollect([X[i], X[j], y, z], partial + z.area);
-        }
+  function search(capacity) {
+    top = new TopKHeap(capacity);
+    const scannedBefore = scanned;
+    if (stats) stats.combos = newComboStats(); // 多轮搜索时只保留最后一轮的统计
+    for (compIndex = 0; compIndex < compositions.length; compIndex++) {
+      const counts = restOf(compositions[compIndex]);
+      compFraction = 0;
+      report("search", true);
+      if (!Object.keys(counts).length) {
+        tryCollect([], 0); // 全部位置均为指定房源
+        continue;
       }
+      const split = splitPairs(counts);
+      if (split) enumPairSplit(split);
+      else enumComposition(counts);
     }
+    if (stats) stats.combos.checked = scanned - scannedBefore;
   }
 
-  if (!enableGift) {
-    // 未启用赠送：A×2+B+C, B×2+A+C, C×2+A+B
-    enumFour(byType.A, byType.B, byType.C);
-    enumFour(byType.B, byType.A, byType.C);
-    enumFour(byType.C, byType.A, byType.B);
-  } else {
-    // 启用赠送：A×2+B+C, A×2+B+D, B×2+A+C, B×2+A+D
-    if (byType.C.length > 0) {
-      enumFour(byType.A, byType.B, byType.C);
-      enumFour(byType.B, byType.A, byType.C);
+  // 赠送面积过滤（并记录诊断计数）
+  function filterGift(pool) {
+    const kept = pool.filter(withinGift);
+    if (stats) {
+      stats.combos.giftWaste = pool.length - kept.length;
+      if (ranking) stats.combos.maxWaste = kept.filter(({ sum }) => wasteOf(sum) > ranking.maxWaste).length;
+    }
+    return kept;
+  }
+
+  // 候选池（按 sum 降序）→ 帕累托前沿或按价格重排 → 多样性挑选，取前 n 条
+  function selectFromPool(pool, n) {
+    let ranked;
+    if (pareto) {
+      const capped = ranking ? pool.filter(({ sum }) => wasteOf(sum) <= ranking.maxWaste) : pool;
+      ranked = paretoFront(capped, targetNum, pareto, fileBName, equivalents, pinnedSet);
+    } else {
+      ranked = ranking ? rankCombos(pool, targetNum, ranking, equivalents, pinnedSet) : pool;
     }
-    if (byType.D.length > 0) {
-      enumFour(byType.A, byType.B, byType.D);
-      enumFour(byType.B, byType.A, byType.D);
+    return diversity ? selectDiverse(ranked, n, diversity, equivalents, pinnedSet) : ranked.slice(0, n);
+  }
+
+  let topList;
+  if (!diversity && !ranking && !pareto) {
+    search(topK);
+    report("done", true);
+    // 过滤掉浪费面积大于等于赠送面积的方案（仅当启用赠送面积时）
+    topList = filterGift(top.drain());
+  } else {
+    let capacity = Math.min(Math.max(topK * DIVERSITY_POOL_FACTOR, pareto ? PARETO_POOL_MIN : 0), DIVERSITY_POOL_MAX);
+    for (;;) {
+      search(capacity);
+      const exhausted = !top.isFull(); // 候选池未满：已收集全部合法组合，扩大无意义
+      const pool = top.drain();
+      const poolMinSum = pool.length ? pool[pool.length - 1].sum : -Infinity;
+      topList = selectFromPool(filterGift(pool), topK);
+      let enough;
+      if (pareto) {
+        // 前沿只在候选池内计算；指定 maxWaste 时扩大候选池直至覆盖全部浪费面积 ≤ maxWaste 的组合
+        enough = !ranking || !Number.isFinite(ranking.maxWaste) || targetNum - poolMinSum > ranking.maxWaste;
+      } else {
+        enough = ranking
+          ? isRankingComplete(topList, topK, poolMinSum, targetNum, ranking, minUnitPrice)
+          : topList.length >= topK;
+      }
+      if (enough || exhausted || capacity >= DIVERSITY_POOL_MAX) break;
+      capacity = Math.min(capacity * DIVERSITY_POOL_FACTOR, DIVERSITY_POOL_MAX);
     }
+    report("done", true, topList);
   }
 
-  // 过滤掉浪费面积大于等于赠送面积的方案（仅当启用赠送面积时）
-  const filteredList = giftArea > 0 
-    ? topList.filter(({ sum }) => {
-        const sumFixed = Number(sum.toFixed(6));
-        const wasteArea = Number((targetNum - sumFixed).toFixed(6));
-        return wasteArea < giftArea;
-      })
-    : topList;
-
-  // 输出格式化
-  return filteredList.map(({ sum, picked }) => {
-    const sumFixed = Number(sum.toFixed(6));
-    return {
-      result: picked.map((x) => {
-        if (x.srcFile === fileBName) {
-          // 现房：显示类别 + “(现房)” + 小区名 + 幢号 + 门牌号 + 室号；若缺失则仅显示“类别(现房)”
-          const infoParts = [];
-          if (x.community) infoParts.push(String(x.community).trim());
-          if (x.buildingNo) infoParts.push(`${String(x.buildingNo).trim()}幢`);
-          if (x.doorNo) infoParts.push(`${String(x.doorNo).trim()}号`);
-          if (x.roomNo) infoParts.push(`${String(x.roomNo).trim()}室`);
-          const info = infoParts.length ? `(${infoParts.join(' ')})` : '';
-          const label = `${x.type}(现房)` + (info ? ` ${info}` : '');
-          return [x.area, label];
-        }
-        // 期房：保留“(期房)”用于前端统计，再追加门牌号/室号/幢号（若存在）
-        const extra = (x.buildingNo || x.doorNo || x.roomNo)
-          ? `${x.buildingNo ? ' ' + String(x.buildingNo).trim() + '幢' : ''}${x.doorNo ? ' ' + String(x.doorNo).trim() + '号' : ''}${x.roomNo ? ' ' + String(x.roomNo).trim() + '室' : ''}`
-          : '';
-        return [x.area, `${x.type}(期房)` + extra];
-      }),
-      "兑换面积": sumFixed,
-      "目标面积": targetNum,
-      "浪费面积": Number((targetNum - sumFixed).toFixed(6)),
-    };
-  });
+  if (stats) stats.combos.returned = topList.length;
+  // constraints.raw：返回未格式化的 { sum, picked }（供多户分配等上层模块继续处理）
+  if (constraints.raw) return topList;
+  return topList.map(formatEntry);
+
+  // 帕累托模式下附带“评价指标”
+  function formatEntry(entry) {
+    const out = formatCombo(entry, targetNum, fileBName);
+    if (entry.objectives) out["评价指标"] = labelObjectives(entry.objectives);
+    return out;
+  }
+
+  function withinGift({ sum }) {
+    if (!(giftArea > 0) || !gift.wasteBelowGift) return true;
+    return wasteOf(sum) < giftArea;
+  }
 }
 
 /**
- * 对外 API：solveTopK
- * 负责：
+ * 结果格式化：{ sum, picked } → { result, 兑换面积, 目标面积, 浪费面积, 房源编号, 单价, 总价 }
+ * 单价与房源编号按条目顺序一一对应；总价 = Σ 建筑面积 × 单价（任一房源缺少单价时为 null）
+ * @param {{sum:number, picked:Array}} entry
+ * @param {number} targetNum 目标面积（已含赠送面积）
+ * @param {string} fileBName 现房来源名（现房与期房的标注格式不同）
+ * @returns {object}
+ */
+function formatCombo({ sum, picked }, targetNum, fileBName) {
+  const sumFixed = Number(sum.toFixed(6));
+  return {
+    result: picked.map((x) => {
+      if (x.srcFile === fileBName) {
+        // 现房：显示类别 + “(现房)” + 小区名 + 幢号 + 门牌号 + 室号；若缺失则仅显示“类别(现房)”
+        const infoParts = [];
+        if (x.community) infoParts.push(String(x.community).trim());
+        if (x.buildingNo) infoParts.push(`${String(x.buildingNo).trim()}幢`);
+        if (x.doorNo) infoParts.push(`${String(x.doorNo).trim()}号`);
+        if (x.roomNo) infoParts.push(`${String(x.roomNo).trim()}室`);
+        const info = infoParts.length ? `(${infoParts.join(' ')})` : '';
+        const label = `${x.type}(现房)` + (info ? ` ${info}` : '');
+        return [x.area, label];
+      }
+      // 期房：保留“(期房)”用于前端统计，再追加门牌号/室号/幢号（若存在）
+      const extra = (x.buildingNo || x.doorNo || x.roomNo)
+        ? `${x.buildingNo ? ' ' + String(x.buildingNo).trim() + '幢' : ''}${x.doorNo ? ' ' + String(x.doorNo).trim() + '号' : ''}${x.roomNo ? ' ' + String(x.roomNo).trim() + '室' : ''}`
+        : '';
+      return [x.area, `${x.type}(期房)` + extra];
+    }),
+    "兑换面积": sumFixed,
+    "目标面积": targetNum,
+    "浪费面积": Number((targetNum - sumFixed).toFixed(6)),
+    "房源编号": picked.map(unitId),
+    "单价": picked.map((x) => (Number.isFinite(x.price) ? x.price : null)),
+    "总价": comboPrice(picked),
+  };
+}
+/**
+ * 构建求解上下文（与 target、赠送面积无关的部分），供 solveTopK 与多户分配（src/allocate.js）共用：
  *  - 解析/加载数据文件
- *  - 根据 source 选取候选集合
- *  - 调用 bestTopKCombos 完成计算并格式化结果
+ *  - 根据 source、面积区间（可分来源/类型）、现房小区、楼层/幢号/门牌号选取候选集合
+ *  - 组合规则、套型组合、多样性、指定包含/排除等约束
+ * 返回的 compositionsFor(giftArea) 按赠送面积解析组合构成。
+ * @param {object} [options] 同 solveTopK 的 options（giftArea 除外）
+ * @returns {object}
+ * @throws {Error} 参数非法，或指定包含的房源不存在（err.status = 400）
  */
-function solveTopK(
-  target,
-  {
-    topK,
-    source, // 可选 "A" | "B" | "AB"
-    fileAPath,
-    fileBPath,
-    minArea,
-    maxArea,
-    xfCommunities,
-    giftArea,
-  } = {}
-) {
+function buildSolveContext({
+  topK,
+  source, // 可选 "A" | "B" | "AB"
+  fileAPath,
+  fileBPath,
+  minArea,
+  maxArea,
+  areaBounds,
+  xfCommunities,
+  structure,
+  largeMoreThan,
+  smallLessThan,
+  compositions,
+  sizes,
+  maxPerUnit,
+  maxOverlap,
+  pin,
+  ban,
+  rank,
+  maxWaste,
+  wasteCost,
+  pareto,
+  preferFloor,
+  location,
+  counts,
+  holder,
+  explain,
+  onProgress,
+} = {}) {
   // 读取配置文件，优先使用传入参数；未传入时使用配置文件默认值
   const cfg = getConfig();
 
@@ -418,118 +777,101 @@ function solveTopK(
   const nMax = Number(rawMax);
   const finalMinArea = (rawMin === undefined || rawMin === null || !Number.isFinite(nMin)) ? undefined : nMin;
   const finalMaxArea = (rawMax === undefined || rawMax === null || !Number.isFinite(nMax)) ? undefined : nMax;
-  const targetNum = Number(target);
-  console.log(`[LOG] 开始查找解决方案，面积：${targetNum}`);
-  const __t0 = process.hrtime.bigint();
+  // 分来源/类型的面积区间（见 src/areabounds.js）：查询参数覆盖 cfg.areaBounds 中同名的值
+  let finalAreaBounds, boundsTable;
+  try {
+    const merged = { ...normalizeAreaBounds(cfg.areaBounds, "config.json 的 areaBounds."), ...normalizeAreaBounds(areaBounds) };
+    finalAreaBounds = Object.keys(merged).length ? normalizeAreaBounds(merged) : null;
+    boundsTable = areaBoundsTable(finalAreaBounds, finalMinArea, finalMaxArea);
+  } catch (e) {
+    e.status = 400;
+    throw e;
+  }
 
   // 组合规则配置（优先从 cfg.policy 读取，兼容旧版顶层键）
   const policy = cfg.policy || {};
   const disallowDominant = Boolean(policy.disallowDominantWithSmallOthers ?? cfg.disallowDominantWithSmallOthers);
   const dominantMoreThan = Number(policy.dominantMoreThan ?? cfg.dominantMoreThan);
   const othersLessThan = Number(policy.othersLessThan ?? cfg.othersLessThan);
+  // 声明式规则：优先 cfg.rules，未配置时使用内置默认规则
+  const rules = Array.isArray(cfg.rules) ? cfg.rules : undefined;
+
+  // 套型组合（大/中/小）约束：阈值优先取参数，其次 cfg.structure
+  const structureCfg = cfg.structure || {};
+
+  // 组合构成：查询参数 compositions/sizes 优先，其次 cfg.composition 规则；赠送面积决定是否以 D 替代 C
+  const compositionList = parseCompositionList(compositions);
+  const sizeList = parseSizes(sizes);
+  // 赠送策略（cfg.gift）：允许的赠送面积、类型替换、是否要求浪费面积 < 赠送面积
+  const gift = normalizeGiftPolicy(cfg);
+  const compositionsFor = (giftArea) =>
+    resolveCompositions({ compositions: compositionList, sizes: sizeList, spec: cfg.composition, giftArea, giftSubstitute: gift.substitute });
+
+  const constraints = {
+    onProgress,
+    rules,
+    structure: normalizeStructure(structure),
+    largeMoreThan: largeMoreThan ?? structureCfg.largeMoreThan,
+    smallLessThan: smallLessThan ?? structureCfg.smallLessThan,
+    diversity: normalizeDiversity({ maxPerUnit, maxOverlap }),
+    ranking: normalizeRanking({ rank, maxWaste, wasteCost }),
+    pareto: normalizePareto({ pareto, preferFloor }),
+    gift,
+    extraRules: [],
+  };
+  if (constraints.pareto && constraints.ranking && constraints.ranking.mode !== "waste") {
+    const err = new Error("pareto 与 rank 不能同时使用（可用 maxWaste 限制浪费面积）");
+    err.status = 400;
+    throw err;
+  }
 
   const fileAName = FILE_A_NAME;
   const fileBName = FILE_B_NAME;
 
-  // 从 Excel 行构造成 [area, type] 列表（保留所有列于内存 data.js）
-  // 注意：现在包含 D 类型以支持赠送面积功能
-  function toAreaTypeRows(rows, typeKey) {
-    const out = [];
-    for (const r of rows) {
-      // Skip excluded records
-      if (r.excluded === true) continue;
-      
-      const area = Number(r["建筑面积"]);
-      const type = normalizeType(r[typeKey]);
-      if (!Number.isFinite(area) || area <= 0) continue;
-      if (!type || !["A", "B", "C", "D"].includes(type)) continue;
-      out.push({ area, type, row: r });
-    }
-    return out;
-  }
   // 根据配置/参数，优先从 JSON 缓存加载；否则回退到内存中的 Excel 行
-  function detectTypeKey(rows) {
-    const first = rows && rows[0] || {};
-    if ("类别" in first) return "类别";
-    if ("类型" in first) return "类型";
-    return "类别";
-  }
   const useJsonA = typeof finalFileAPath === "string" && finalFileAPath.toLowerCase().endsWith(".json") && fs.existsSync(path.resolve(finalFileAPath));
   const useJsonB = typeof finalFileBPath === "string" && finalFileBPath.toLowerCase().endsWith(".json") && fs.existsSync(path.resolve(finalFileBPath));
 
-  const srcArows = useJsonA ? readJsonRowsCached(finalFileAPath) : qifangRows;
-  const srcBrows = useJsonB ? readJsonRowsCached(finalFileBPath) : xianfangRows;
+  // 内存行数组在数据热重载时整体替换（见 src/data.js），派生缓存键带上数据代数
+  const srcArows = useJsonA ? readJsonRowsCached(finalFileAPath) : getQifangRows();
+  const srcBrows = useJsonB ? readJsonRowsCached(finalFileBPath) : getXianfangRows();
 
   const keyA = useJsonA ? path.resolve(finalFileAPath) : "__EXCEL_QIFANG__";
   const keyB = useJsonB ? path.resolve(finalFileBPath) : "__EXCEL_XIANFANG__";
-  const typeKeyA = useJsonA ? detectTypeKey(srcArows) : "类别";
-  const typeKeyB = useJsonB ? detectTypeKey(srcBrows) : "类型";
+  // 列名映射（config.json 的 schema）；fileAPath / fileBPath 指定的 JSON 数据同样按此读取
+  const colsB = SCHEMA.xf.columns;
   
   // 使用派生缓存：按类型分组并按面积排序（对现房可按小区过滤）
-  const Agroup = getDerivedGroupedSorted(keyA, srcArows, typeKeyA);
-
-  // 若传入现房小区过滤，则仅保留选中的小区；否则使用缓存分组
-  function detectCommunityKeyForB(rows) {
-    const first = (rows && rows[0]) || {};
-    const keys = Object.keys(first);
-    const preferred = ["小区名称", "小区", "小区名", "项目名称", "楼盘名称"];
-    for (const k of preferred) {
-      if (keys.includes(k)) return k;
-    }
-    const fuzzy = keys.find((k) => /小区|项目|楼盘/.test(String(k)));
-    return fuzzy;
+  // 房源状态（见 src/status.js）：已确认、已撤回与他人保留的房源不参与计算，holder 本人保留的房源可用
+  let finalHolder;
+  try {
+    finalHolder = parseHolder(holder);
+  } catch (e) {
+    e.status = 400;
+    throw e;
   }
+  const Agroup = getDerivedGroupedSorted(keyA, srcArows, "qf", finalHolder);
+  const BgroupAll = getDerivedGroupedSorted(keyB, srcBrows, "xf", finalHolder);
+
+  // 若传入现房小区过滤，则仅保留选中的小区；未映射小区列时不进行过滤
   const xfSel = Array.isArray(xfCommunities)
     ? xfCommunities.filter(Boolean).map((s) => String(s).trim()).filter(Boolean)
     : [];
-  let Bgroup;
-  if (xfSel.length > 0) {
-    const ck = detectCommunityKeyForB(srcBrows);
-    if (ck) {
-      const set = new Set(xfSel);
-      const filteredBRows = srcBrows.filter((r) => {
-        const v = r[ck];
-        if (v === null || v === undefined) return false;
-        const name = String(v).trim();
-        return name && set.has(name);
-      });
-      const areaType = extractAreaTypeRowsWithCommunity(filteredBRows, typeKeyB, ck);
-      Bgroup = groupAndSortByType(areaType);
-    } else {
-      // 无法检测到小区列名时，不进行过滤，避免误杀
-      Bgroup = getDerivedGroupedSorted(keyB, srcBrows, typeKeyB);
-    }
-  } else {
-    const ck = detectCommunityKeyForB(srcBrows);
-    if (ck) {
-      const areaType = extractAreaTypeRowsWithCommunity(srcBrows, typeKeyB, ck);
-      Bgroup = groupAndSortByType(areaType);
-    } else {
-      Bgroup = getDerivedGroupedSorted(keyB, srcBrows, typeKeyB);
-    }
+  let Bgroup = BgroupAll;
+  if (xfSel.length > 0 && colsB.community) {
+    const set = new Set(xfSel);
+    Bgroup = {};
+    for (const t of ["A", "B", "C", "D"]) Bgroup[t] = BgroupAll[t].filter((x) => x.community && set.has(x.community));
   }
   
-  // 计算筛选区间 [min, max]，并考虑目标面积上限
-  const upperA = Number.isFinite(targetNum)
-    ? (finalMaxArea !== undefined ? Math.min(targetNum, finalMaxArea) : targetNum)
-    : finalMaxArea;
-  const upperB = upperA; // 相同规则
-  
-  const lower = finalMinArea;
-  
+  // 按来源、类型分别取筛选区间 [min, max]；不按 target 截断（bestTopKCombos 内部处理），使配对和索引可跨 target 复用
   // 基于二分的快速切片
-  const AfltA = sliceRange(Agroup.A, lower, upperA);
-  const AfltB = sliceRange(Agroup.B, lower, upperA);
-  const AfltC = sliceRange(Agroup.C, lower, upperA);
-  const AfltD = sliceRange(Agroup.D, lower, upperA);
-  const BfltA = sliceRange(Bgroup.A, lower, upperB);
-  const BfltB = sliceRange(Bgroup.B, lower, upperB);
-  const BfltC = sliceRange(Bgroup.C, lower, upperB);
-  const BfltD = sliceRange(Bgroup.D, lower, upperB);
-  
+  const sliceGroup = (group, side) =>
+    ["A", "B", "C", "D"].flatMap((t) => sliceRange(group[t], boundsTable[side][t].min, boundsTable[side][t].max));
+
   // 合并类型并附加来源
-  const A = [...AfltA, ...AfltB, ...AfltC, ...AfltD].map(({ area, type, buildingNo, roomNo, doorNo }) => ({ area, type, srcFile: fileAName, buildingNo, roomNo, doorNo }));
-  const B = [...BfltA, ...BfltB, ...BfltC, ...BfltD].map(({ area, type, community, buildingNo, roomNo, doorNo }) => ({ area, type, srcFile: fileBName, community, buildingNo, roomNo, doorNo }));
+  const A = sliceGroup(Agroup, "qf").map((x) => ({ ...x, srcFile: fileAName }));
+  const B = sliceGroup(Bgroup, "xf").map((x) => ({ ...x, srcFile: fileBName }));
 
   // 依据 source 选择候选
   let candidates;
@@ -538,17 +880,161 @@ function solveTopK(
   else if (src === "B") candidates = B;
   else candidates = [...A, ...B];
 
-  const finalGiftArea = Number(giftArea) || 0;
-  const __res = bestTopKCombos(candidates, Number(target), fileAName, fileBName, finalTopK, disallowDominant, dominantMoreThan, othersLessThan, finalGiftArea);
+  // 楼层/幢号/门牌号筛选（见 src/location.js）：all 方式先剔除不符合的房源，命中条件作为附加规则
+  const locationFilters = normalizeLocationFilters(location);
+  const beforeLocation = candidates;
+  if (locationFilters) {
+    const { keep, rules: locationRules } = locationConstraints(locationFilters, fileAName, fileBName);
+    candidates = candidates.filter(keep);
+    constraints.extraRules.push(...locationRules);
+  }
+  // 按来源/小区的套数约束（见 src/counts.js）：作为附加规则在收集组合时校验
+  const countConstraints = normalizeCountConstraints(counts);
+  constraints.extraRules.push(...countRules(countConstraints, fileAName, fileBName));
+
+  // 诊断模式：候选房源各阶段数量（见 src/explain.js）
+  let stages = null;
+  if (explain) {
+    const groupSize = (g) => g.A.length + g.B.length + g.C.length + g.D.length;
+    const unavailable = unavailableIds(finalHolder);
+    const unavailableOf = (rows, source) => rowUnitIds(rows, source).ids.reduce((n, id) => n + (unavailable.has(id) ? 1 : 0), 0);
+    const countOf = (list, srcFile) => list.reduce((n, x) => n + (x.srcFile === srcFile ? 1 : 0), 0);
+    stages = {
+      minArea: finalMinArea,
+      maxArea: finalMaxArea,
+      areaBounds: finalAreaBounds,
+      qifang: { rows: srcArows.length, excluded: unavailableOf(srcArows, "qf"), valid: groupSize(Agroup), inRange: A.length },
+      xianfang: {
+        rows: srcBrows.length,
+        excluded: unavailableOf(srcBrows, "xf"),
+        valid: groupSize(BgroupAll),
+        inCommunity: groupSize(Bgroup),
+        inRange: B.length,
+      },
+      source: finalSource,
+      // 楼层/幢号/门牌号筛选（all 方式）剔除的房源数
+      location: locationFilters
+        ? {
+            qifang: countOf(beforeLocation, fileAName) - countOf(candidates, fileAName),
+            xianfang: countOf(beforeLocation, fileBName) - countOf(candidates, fileBName),
+          }
+        : null,
+      selected: candidates.length,
+    };
+  }
+
+  // 指定包含/排除（仅本次查询，不修改房源状态）
+  // 包含的房源不受来源、面积区间、小区与楼层/幢号/门牌号筛选限制，但必须存在且可用
+  const { pin: pinIds, ban: banIds } = parseUnitSelection(pin, ban);
+  if (pinIds.length) {
+    const lookup = new Map();
+    const addUnits = (list, srcFile) => {
+      for (const x of list) {
+        const unit = { ...x, srcFile };
+        const id = unitId(unit);
+        if (!lookup.has(id)) lookup.set(id, unit);
+      }
+    };
+    for (const t of ["A", "B", "C", "D"]) {
+      addUnits(Agroup[t], fileAName);
+      addUnits(BgroupAll[t], fileBName);
+    }
+    constraints.pinned = pinIds.map((id) => {
+      const unit = lookup.get(id);
+      if (!unit) {
+        const err = new Error(`指定包含的房源不存在或不可用（已确认、已撤回或他人保留）：${id}`);
+        err.status = 400;
+        throw err;
+      }
+      return unit;
+    });
+  }
+  constraints.banned = banIds;
+
+  // 候选集合缓存键：数据集版本 + 房源状态 + 保留人 + 来源 + 面积区间（含分来源/类型） + 现房小区过滤 + 楼层/幢号/门牌号筛选
+  constraints.pairIndexKey = [
+    useJsonA ? `${keyA}@${getDatasetVersion(keyA)}` : `${keyA}@g${getDataGeneration()}`,
+    useJsonB ? `${keyB}@${getDatasetVersion(keyB)}` : `${keyB}@g${getDataGeneration()}`,
+    `x${availabilityVersion()}`,
+    finalHolder || "",
+    finalSource,
+    finalMinArea,
+    finalMaxArea,
+    finalAreaBounds ? JSON.stringify(finalAreaBounds) : "",
+    [...xfSel].sort().join(","),
+    locationFilters ? JSON.stringify(locationFilters) : "",
+  ].join("|");
+
+  return {
+    topK: finalTopK,
+    source: finalSource,
+    fileAName,
+    fileBName,
+    candidates,
+    candA: A.length,
+    candB: B.length,
+    stages,
+    disallowDominant,
+    dominantMoreThan,
+    othersLessThan,
+    constraints,
+    compositionsFor,
+    // 日志用摘要
+    summary: `diversity=${constraints.diversity ? `${maxPerUnit ?? "-"}/${maxOverlap ?? "-"}` : "none"} rank=${constraints.ranking ? `${constraints.ranking.mode}/${constraints.ranking.maxWaste}` : "waste"} pareto=${constraints.pareto ? constraints.pareto.objectives.join("+") : "none"} pin=${pinIds.length} ban=${banIds.length}${finalHolder ? ` holder=${finalHolder}` : ""}${finalAreaBounds ? ` areaBounds=${describeAreaBounds(finalAreaBounds)}` : ""}${locationFilters ? ` location=${describeLocationFilters(locationFilters)}` : ""}${countConstraints ? ` counts=${JSON.stringify(countConstraints)}` : ""}`,
+  };
+}
+
+/**
+ * 对外 API：solveTopK
+ * 负责：
+ *  - 构建求解上下文（数据加载、候选筛选、约束，见 buildSolveContext）
+ *  - 按赠送面积解析组合构成
+ *  - 调用 bestTopKCombos 完成计算并格式化结果
+ *  - options.explain 为真时返回 { results, explain }（各阶段数量、剔除原因与说明，见 src/explain.js），否则返回结果数组
+ * @param {number} target 目标面积（已含赠送面积）
+ * @param {object} [options] topK / source / minArea / maxArea / areaBounds / xfCommunities / giftArea / structure / largeMoreThan /
+ *   smallLessThan / compositions / sizes / maxPerUnit / maxOverlap / pin / ban / rank / maxWaste / wasteCost / pareto / preferFloor / location / counts / holder / explain / onProgress 等
+ *   areaBounds 为分来源/类型的面积区间（qfMaxArea / minAreaA / xfMinAreaD 等，见 src/areabounds.js）；
+ *   location 为楼层/幢号/门牌号筛选（平铺参数 qfFloor / xfDoor / qfDoorMode 等，或其规整结果，见 src/location.js）；
+ *   counts 为按来源/小区的套数约束（qfMaxCount / xfCount / maxPerCommunity 等，或其规整结果，见 src/counts.js）；
+ *   holder 为保留人：该保留人保留的房源可用，其他保留的房源不可用（见 src/status.js）
+ */
+function solveTopK(target, options = {}) {
+  const targetNum = Number(target);
+  console.log(`[LOG] 开始查找解决方案，面积：${targetNum}`);
+  const __t0 = process.hrtime.bigint();
+
+  const ctx = buildSolveContext(options);
+  let finalGiftArea;
+  try {
+    finalGiftArea = parseGiftArea(options.giftArea, ctx.constraints.gift);
+  } catch (e) {
+    e.status = 400;
+    throw e;
+  }
+  const finalCompositions = ctx.compositionsFor(finalGiftArea);
+  const explain = options.explain ? createExplain() : null;
+  if (explain) explain.candidates = ctx.stages;
+
+  const __res = bestTopKCombos(ctx.candidates, targetNum, ctx.fileAName, ctx.fileBName, ctx.topK, ctx.disallowDominant, ctx.dominantMoreThan, ctx.othersLessThan, finalGiftArea, { ...ctx.constraints, compositions: finalCompositions, explain });
   const __t1 = process.hrtime.bigint();
   const __ms = Number(__t1 - __t0) / 1e6;
   console.log(
-    `[METRIC] solveTopK spent ${__ms.toFixed(2)} ms target=${targetNum} topK=${finalTopK} source=${finalSource} candA=${A.length} candB=${B.length} results=${__res.length}`
+    `[METRIC] solveTopK spent ${__ms.toFixed(2)} ms target=${targetNum} topK=${ctx.topK} source=${ctx.source} structure=${ctx.constraints.structure || "none"} compositions=${finalCompositions.map(compositionKey).join(",")} ${ctx.summary} candA=${ctx.candA} candB=${ctx.candB} results=${__res.length}`
   );
-  return __res;
+  if (!explain) return __res;
+  explain.hints = explainHints(explain, {
+    topK: ctx.topK,
+    giftArea: finalGiftArea,
+    structure: ctx.constraints.structure,
+    maxWaste: ctx.constraints.ranking ? ctx.constraints.ranking.maxWaste : undefined,
+  });
+  return { results: __res, explain };
 }
 
 module.exports = {
   bestTopKCombos,
+  buildSolveContext,
+  formatCombo,
   solveTopK,
 };
\ No newline at end of file
@@ -0,0 +1,326 @@
+/**
+ * src/status.js
+ * 房源状态：按房源编号（见 src/data.js 的 rowUnitIds）单独保存在 data/unit-status.json，不写入行数据的 JSON 缓存。
+ * 所在目录（与 src/audit.js 的审计日志相同）默认为 data/，可用环境变量 UNIT_STATE_DIR 指定（如校验脚本使用临时目录）。
+ *  - available（可售）：默认状态，不保存
+ *  - held（保留）：为某户临时保留，需填写保留人，到期（expiresAt）后自动恢复为可售；
+ *    求解时对其他查询不可用，查询指定同一保留人（holder 参数）时仍可使用
+ *  - confirmed（已确认）：已确认/已售，不可用
+ *  - withdrawn（已撤回）：不参与计算（即原“排除”标记），不可用
+ * Excel 重新排序、热重载、上传替换或 --refresh 重建缓存都不会使状态错位或丢失；
+ * 房源从数据中删除时，热重载会移除其状态（见 src/data.js 的 reloadFromExcel）。
+ *
+ * 文件格式：{ "revision": 12, "units": { "期房:1幢29号101室": { "status": "held", "holder": "张三", "note": "...",
+ *   "expiresAt": "2026-01-01T08:00:00.000Z", "updatedAt": "..." }, ... } }
+ * revision 每次写入递增，派生缓存与结果缓存按它（见 availabilityVersion）而非文件修改时间判断状态是否变化。
+ * 各线程缓存读取结果：主线程写入后直接更新本线程缓存，并通知求解 Worker 丢弃缓存（solve-worker.js 的 kind="status-changed"）；
+ * 文件版本（修改时间 + 大小）变化时也重新读取（如手工编辑）。
+ * 到期的保留在读取时即视为可售，下次写入时从文件中移除。
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// 房源状态与审计日志所在目录
+const STATE_DIR = process.env.UNIT_STATE_DIR ? path.resolve(process.env.UNIT_STATE_DIR) : path.resolve(__dirname, "../data");
+const STATUS_JSON = path.join(STATE_DIR, "unit-status.json");
+// 旧版排除标记文件（{ excluded: [房源编号] }），首次启动时迁移为 withdrawn
+const LEGACY_EXCLUSIONS_JSON = path.join(STATE_DIR, "exclusions.json");
+
+// 状态 → 中文名称
+const UNIT_STATUSES = {
+  available: "可售",
+  held: "保留",
+  confirmed: "已确认",
+  withdrawn: "已撤回",
+};
+// 未指定保留时长时的默认值与上限（小时）
+const DEFAULT_HOLD_HOURS = 24;
+const MAX_HOLD_HOURS = 24 * 30;
+const MAX_HOLDER_LENGTH = 50;
+const MAX_NOTE_LENGTH = 200;
+
+let cache = { version: null, revision: 0, units: new Map() };
+
+/**
+ * 文件版本：修改时间 + 大小；文件不存在时返回空串（按版本缓存读取结果，src/audit.js 共用）
+ * @param {string} file
+ * @returns {string}
+ */
+function fileVersion(file) {
+  try {
+    const st = fs.statSync(file);
+    return `${st.mtimeMs}-${st.size}`;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * 状态文件是否存在（不存在时由 src/data.js 从旧版排除标记迁移）
+ * @returns {boolean}
+ */
+function statusExists() {
+  return fs.existsSync(STATUS_JSON);
+}
+
+/**
+ * 各房源的状态记录（不含可售；含已到期的保留）
+ * @returns {Map<string, {status:string, holder?:string, note?:string, expiresAt?:string, updatedAt?:string}>} 只读，调用方不得修改
+ * @throws {Error} 文件内容不是合法的状态格式
+ */
+function getUnitStatuses() {
+  const version = fileVersion(STATUS_JSON);
+  if (cache.version === version) return cache.units;
+  const units = new Map();
+  let revision = 0;
+  if (version) {
+    const data = JSON.parse(fs.readFileSync(STATUS_JSON, "utf8"));
+    if (!data || !data.units || typeof data.units !== "object" || Array.isArray(data.units)) {
+      throw new Error(`房源状态文件格式错误：${path.basename(STATUS_JSON)}（需为 { "units": { 房源编号: { status, ... } } }）`);
+    }
+    // 旧版文件没有 revision，视为 0
+    if (data.revision !== undefined && !Number.isSafeInteger(data.revision)) {
+      throw new Error(`房源状态文件格式错误：${path.basename(STATUS_JSON)} 的 revision 必须为整数`);
+    }
+    revision = data.revision || 0;
+    for (const [id, entry] of Object.entries(data.units)) {
+      if (!entry || !UNIT_STATUSES[entry.status] || entry.status === "available") {
+        throw new Error(`房源状态文件格式错误：${path.basename(STATUS_JSON)} 中 ${id} 的状态无效`);
+      }
+      units.set(id, entry);
+    }
+  }
+  cache = { version, revision, units };
+  return units;
+}
+
+/**
+ * 丢弃本线程的读取缓存，下次读取时重新读文件（求解 Worker 收到主线程的状态变化通知时调用）
+ */
+function invalidateUnitStatuses() {
+  cache = { version: null, revision: 0, units: new Map() };
+}
+
+/**
+ * 状态文件的修订号：每次写入递增，文件不存在时为 0
+ * @returns {number}
+ */
+function unitStatusRevision() {
+  getUnitStatuses();
+  return cache.revision;
+}
+
+/**
+ * 保留是否已到期
+ * @param {{status:string, expiresAt?:string}} entry
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function isHoldExpired(entry, now = Date.now()) {
+  return entry.status === "held" && !(Date.parse(entry.expiresAt) > now);
+}
+
+/**
+ * 房源的当前状态（到期的保留视为可售）
+ * @param {string} id
+ * @param {number} [now]
+ * @returns {{status:string, holder?:string, note?:string, expiresAt?:string, updatedAt?:string}}
+ */
+function unitStatusOf(id, now = Date.now()) {
+  const entry = getUnitStatuses().get(id);
+  return entry && !isHoldExpired(entry, now) ? entry : { status: "available" };
+}
+
+/**
+ * 对指定保留人不可用的房源编号：已确认、已撤回，以及他人保留且未到期的房源
+ * @param {string} [holder] 查询方的保留人；为空时所有保留的房源均不可用
+ * @param {number} [now]
+ * @returns {Set<string>}
+ */
+function unavailableIds(holder, now = Date.now()) {
+  const ids = new Set();
+  for (const [id, entry] of getUnitStatuses()) {
+    if (entry.status === "held" && (isHoldExpired(entry, now) || (holder && entry.holder === holder))) continue;
+    ids.add(id);
+  }
+  return ids;
+}
+
+/**
+ * 可用性版本（参与派生缓存、候选集合缓存与结果缓存的键）：状态文件修订号 + 已到期的保留数，
+ * 保留到期后版本随之变化
+ * @param {number} [now]
+ * @returns {string}
+ */
+function availabilityVersion(now = Date.now()) {
+  let expired = 0;
+  for (const entry of getUnitStatuses().values()) if (isHoldExpired(entry, now)) expired++;
+  return `r${cache.revision}|e${expired}`;
+}
+
+/**
+ * 两条状态记录是否等价（比较状态、保留人、备注与到期时间，不比较 updatedAt）；
+ * null 与已到期的保留均视为可售
+ * @param {object|null} a
+ * @param {object|null} b
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function sameStatus(a, b, now = Date.now()) {
+  const norm = (e) => (e && !isHoldExpired(e, now) ? e : { status: "available" });
+  const x = norm(a);
+  const y = norm(b);
+  return ["status", "holder", "note", "expiresAt"].every((k) => (x[k] || "") === (y[k] || ""));
+}
+
+/**
+ * 可选的文本参数（保留人、备注，src/audit.js 的操作人、原因共用）：去首尾空白，缺省为空串
+ * @param {any} v
+ * @param {string} name 参数名（出错提示用）
+ * @param {number} max 最大长度
+ * @returns {string}
+ * @throws {Error} 不是字符串或超过长度上限
+ */
+function optionalText(v, name, max) {
+  if (v === undefined || v === null) return "";
+  if (typeof v !== "string") throw new Error(`${name} 必须为字符串`);
+  const s = v.trim();
+  if (s.length > max) throw new Error(`${name} 最多 ${max} 个字符`);
+  return s;
+}
+
+/**
+ * 保留人参数（求解查询用）；为空时返回 undefined
+ * @param {any} v
+ * @returns {string|undefined}
+ * @throws {Error} 超过长度上限
+ */
+function parseHolder(v) {
+  return optionalText(v === undefined || v === null ? v : String(v), "holder", MAX_HOLDER_LENGTH) || undefined;
+}
+
+/**
+ * 规整一条状态修改
+ * @param {{id:string, status?:string, holder?:string, note?:string, holdHours?:number, expiresAt?:string, excluded?:boolean}} update
+ *   兼容旧格式 { id, excluded }：true 即 withdrawn，false 即 available
+ * @param {number} [now]
+ * @returns {{id:string, entry:object|null}} entry 为 null 表示恢复为可售
+ * @throws {Error} 状态无效、保留缺少保留人或保留时长非法
+ */
+function normalizeStatusUpdate(update, now = Date.now()) {
+  const { id } = update || {};
+  if (typeof id !== "string" || !id) throw new Error("id 必须为房源编号");
+  let status = update.status;
+  if (status === undefined && typeof update.excluded === "boolean") status = update.excluded ? "withdrawn" : "available";
+  if (!UNIT_STATUSES[status]) throw new Error(`status 无效（可选 ${Object.keys(UNIT_STATUSES).join(" / ")}）`);
+  if (status === "available") return { id, entry: null };
+
+  const entry = { status };
+  const holder = optionalText(update.holder, "holder", MAX_HOLDER_LENGTH);
+  const note = optionalText(update.note, "note", MAX_NOTE_LENGTH);
+  if (status === "held") {
+    if (!holder) throw new Error("保留需填写保留人（holder）");
+    let expires;
+    if (update.expiresAt !== undefined && update.expiresAt !== null && update.expiresAt !== "") {
+      expires = Date.parse(update.expiresAt);
+      if (!Number.isFinite(expires)) throw new Error("expiresAt 不是有效的时间");
+    } else {
+      const hours = update.holdHours === undefined || update.holdHours === null || update.holdHours === "" ? DEFAULT_HOLD_HOURS : Number(update.holdHours);
+      if (!Number.isFinite(hours) || hours <= 0) throw new Error("holdHours 必须为正数");
+      expires = now + hours * 3600 * 1000;
+    }
+    if (expires <= now) throw new Error("保留到期时间必须晚于当前时间");
+    if (expires > now + MAX_HOLD_HOURS * 3600 * 1000) throw new Error(`保留时长最多 ${MAX_HOLD_HOURS} 小时`);
+    entry.expiresAt = new Date(expires).toISOString();
+  }
+  if (holder && status !== "withdrawn") entry.holder = holder;
+  if (note) entry.note = note;
+  entry.updatedAt = new Date(now).toISOString();
+  return { id, entry };
+}
+
+/**
+ * 整体写入状态（临时文件 + rename），修订号加 1，已到期的保留不再写入
+ * 写入后直接更新本线程的缓存：连续两次写入的修改时间与大小可能相同，按文件版本判断会读到旧内容；
+ * 其他线程（求解 Worker）需由调用方通知（见 server.js 的 notifyStatusChanged）
+ * @param {Map<string, object>|Iterable<[string, object]>} units
+ * @param {number} [now]
+ */
+function saveUnitStatuses(units, now = Date.now()) {
+  const out = {};
+  for (const [id, entry] of [...units].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))) {
+    if (!isHoldExpired(entry, now)) out[id] = entry;
+  }
+  const revision = unitStatusRevision() + 1;
+  const tmp = `${STATUS_JSON}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ revision, units: out }, null, 2), "utf8");
+  fs.renameSync(tmp, STATUS_JSON);
+  cache = { version: fileVersion(STATUS_JSON), revision, units: new Map(Object.entries(out)) };
+}
+
+/**
+ * 应用状态修改（normalizeStatusUpdate 的返回值）；与当前状态等价的修改忽略
+ * @param {Array<{id:string, entry:object|null}>} updates
+ * @param {number} [now]
+ * @returns {Array<{id:string, before:object|null, after:object|null}>} 实际发生的变化（null 为可售），供审计日志记录
+ */
+function setUnitStatuses(updates, now = Date.now()) {
+  const units = new Map(getUnitStatuses());
+  const changes = [];
+  for (const { id, entry } of updates) {
+    const prev = units.get(id);
+    const before = prev && !isHoldExpired(prev, now) ? prev : null;
+    if (sameStatus(before, entry, now)) continue;
+    if (entry) units.set(id, entry);
+    else units.delete(id);
+    changes.push({ id, before, after: entry || null });
+  }
+  if (changes.length) saveUnitStatuses(units, now);
+  return changes;
+}
+
+/**
+ * 旧版排除标记迁移（unit-status.json 不存在时调用一次）：exclusions.json（与状态文件同一目录）与
+ * 调用方从 JSON 缓存中收集到的排除标记转为 withdrawn，写入后删除 exclusions.json
+ * @param {Iterable<string>} [extraIds] 其他来源的已排除房源编号
+ * @returns {number} 迁移的条数
+ * @throws {Error} exclusions.json 格式错误
+ */
+function migrateLegacyExclusions(extraIds = []) {
+  const ids = new Set(extraIds);
+  if (fs.existsSync(LEGACY_EXCLUSIONS_JSON)) {
+    const data = JSON.parse(fs.readFileSync(LEGACY_EXCLUSIONS_JSON, "utf8"));
+    if (!data || !Array.isArray(data.excluded)) {
+      throw new Error(`排除标记文件格式错误：${path.basename(LEGACY_EXCLUSIONS_JSON)}（需为 { "excluded": [房源编号, ...] }）`);
+    }
+    for (const id of data.excluded) ids.add(String(id));
+  }
+  const updatedAt = new Date().toISOString();
+  saveUnitStatuses([...ids].map((id) => [id, { status: "withdrawn", updatedAt }]));
+  fs.rmSync(LEGACY_EXCLUSIONS_JSON, { force: true });
+  return ids.size;
+}
+
+module.exports = {
+  STATE_DIR,
+  STATUS_JSON,
+  UNIT_STATUSES,
+  DEFAULT_HOLD_HOURS,
+  statusExists,
+  getUnitStatuses,
+  invalidateUnitStatuses,
+  unitStatusRevision,
+  isHoldExpired,
+  unitStatusOf,
+  unavailableIds,
+  availabilityVersion,
+  sameStatus,
+  parseHolder,
+  normalizeStatusUpdate,
+  saveUnitStatuses,
+  setUnitStatuses,
+  migrateLegacyExclusions,
+  fileVersion,
+  optionalText,
+};
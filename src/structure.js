@@ -0,0 +1,94 @@
+/**
+ * src/structure.js
+ * 套型组合（大/中/小结构）分类与匹配工具。
+ *
+ * 分类阈值（可在 config.json 的 structure 节点覆盖）：
+ *  - 大：面积 > largeMoreThan（默认 100）
+ *  - 中：smallLessThan < 面积 < largeMoreThan（默认 70 < a < 100）
+ *  - 小：面积 < smallLessThan（默认 70）
+ *  - 边界值（= 70 或 = 100）归为“边界”，不属于任何一类，因此不会出现在任何套型组合中
+ */
+
+const DEFAULT_LARGE_MORE_THAN = 100;
+const DEFAULT_SMALL_LESS_THAN = 70;
+
+// 套型组合：每类所需套数（总套数即组合条数）
+const STRUCTURE_PATTERNS = {
+  LMM: { 大: 1, 中: 2, 小: 0 }, // 大+中+中
+  LLS: { 大: 2, 中: 0, 小: 1 }, // 大+大+小
+  MMMS: { 大: 0, 中: 3, 小: 1 }, // 中+中+中+小
+  MMSS: { 大: 0, 中: 2, 小: 2 }, // 中+中+小+小
+};
+
+/**
+ * 将面积归类为 大/中/小/边界
+ * @param {number} area
+ * @param {number} [largeMoreThan]
+ * @param {number} [smallLessThan]
+ * @returns {'大'|'中'|'小'|'边界'|'空'}
+ */
+function categorizeArea(area, largeMoreThan = DEFAULT_LARGE_MORE_THAN, smallLessThan = DEFAULT_SMALL_LESS_THAN) {
+  const a = Number(area);
+  if (!Number.isFinite(a)) return "空";
+  if (a > largeMoreThan) return "大";
+  if (a > smallLessThan && a < largeMoreThan) return "中";
+  if (a < smallLessThan) return "小";
+  return "边界";
+}
+
+/**
+ * 归一化套型组合键；"none"/空值返回 null（不限）
+ * @param {string} value
+ * @returns {string|null}
+ * @throws 当取值不是已知的套型组合时抛出错误
+ */
+function normalizeStructure(value) {
+  if (value === undefined || value === null) return null;
+  const key = String(value).trim().toUpperCase();
+  if (!key || key === "NONE") return null;
+  if (!STRUCTURE_PATTERNS[key]) {
+    throw new Error(`未知的套型组合：${value}（可选：${Object.keys(STRUCTURE_PATTERNS).join("/")}）`);
+  }
+  return key;
+}
+
+/**
+ * 套型组合的总套数
+ * @param {string} key
+ * @returns {number}
+ */
+function structureSize(key) {
+  const p = STRUCTURE_PATTERNS[key];
+  return p ? p["大"] + p["中"] + p["小"] : 0;
+}
+
+/**
+ * 判断一组面积是否符合套型组合
+ * @param {number[]} areas
+ * @param {string} key
+ * @param {number} [largeMoreThan]
+ * @param {number} [smallLessThan]
+ * @returns {boolean}
+ */
+function matchesStructurePattern(areas, key, largeMoreThan, smallLessThan) {
+  const p = STRUCTURE_PATTERNS[key];
+  if (!p) return true;
+  if (areas.length !== structureSize(key)) return false;
+  const cnt = { 大: 0, 中: 0, 小: 0 };
+  for (const a of areas) {
+    const c = categorizeArea(a, largeMoreThan, smallLessThan);
+    if (cnt[c] === undefined) return false; // 边界/空 不属于任何一类
+    cnt[c]++;
+  }
+  return cnt["大"] === p["大"] && cnt["中"] === p["中"] && cnt["小"] === p["小"];
+}
+
+module.exports = {
+  DEFAULT_LARGE_MORE_THAN,
+  DEFAULT_SMALL_LESS_THAN,
+  STRUCTURE_PATTERNS,
+  categorizeArea,
+  normalizeStructure,
+  structureSize,
+  matchesStructurePattern,
+};
@@ -1,24 +1,157 @@
 /**
  * src/topk.js
  * 维护带去重的 TopK 最优结果。
+ *
+ * 排序规则（确定性）：sum 降序；sum 相同时先插入者优先。
+ * 与旧版 pushTopK（每次插入后整体稳定排序）的保留结果与输出顺序一致。
  */
 
+/**
+ * 单个条目的去重 key：area-type-srcFile（面积、类型、来源相同的条目视为等价）
+ * @param {{area:number,type:string,srcFile:string}} x
+ * @returns {string}
+ */
+function itemKey(x) {
+  return `${x.area}-${x.type}-${x.srcFile}`;
+}
+
 /**
  * 为选中项构建去重 key（与顺序无关）。
- * 使用 area-type-srcFile 组成；如担心浮点表示差异，可用 toFixed 规范化 area。
+ * 由各条目的 itemKey 排序后拼接；如担心浮点表示差异，可用 toFixed 规范化 area。
  * @param {Array<{area:number,type:string,srcFile:string}>} picked
  * @returns {string}
  */
 function makeKey(picked) {
   return picked
-    .map((x) => `${x.area}-${x.type}-${x.srcFile}`)
+    .map(itemKey)
     .sort()
     .join("|");
 }
 
+// 输出顺序：sum 降序，sum 相同先插入者在前
+function compareEntries(a, b) {
+  return b.sum - a.sum || a.seq - b.seq;
+}
+
+/**
+ * 有界 TopK 容器：以“最差者”为堆顶的二叉堆，插入/淘汰 O(log K)。
+ * - 最差：sum 更小；sum 相同则插入序号更大（后插入）
+ * - 去重：仅对当前保留的条目去重（被淘汰条目的 key 会释放），与 pushTopK 语义一致
+ */
+class TopKHeap {
+  /**
+   * @param {number} topK 最多保留条数（≥ 1）
+   */
+  constructor(topK) {
+    this.topK = Math.max(1, Math.floor(Number(topK) || 1));
+    this.heap = [];
+    this.keys = new Set();
+    this.seq = 0;
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  /** 是否已保留满 topK 条 */
+  isFull() {
+    return this.heap.length >= this.topK;
+  }
+
+  /**
+   * 当前保留结果中最小的 sum（未满时返回 -Infinity，便于剪枝判断）
+   * @returns {number}
+   */
+  worstSum() {
+    return this.isFull() ? this.heap[0].sum : -Infinity;
+  }
+
+  /**
+   * 尝试插入候选解
+   * @param {{sum:number,picked:Array}} candidate
+   * @returns {boolean} 是否被保留
+   */
+  push(candidate) {
+    const { sum, picked } = candidate;
+    // 已满且不优于堆顶（sum 相同按先插入者优先）时直接丢弃，无需计算 key
+    if (this.isFull() && sum <= this.heap[0].sum) return false;
+
+    const key = makeKey(picked);
+    if (this.keys.has(key)) return false;
+    this.keys.add(key);
+
+    const entry = { sum, picked, key, seq: this.seq++ };
+    if (!this.isFull()) {
+      this.heap.push(entry);
+      this._siftUp(this.heap.length - 1);
+    } else {
+      this.keys.delete(this.heap[0].key);
+      this.heap[0] = entry;
+      this._siftDown(0);
+    }
+    return true;
+  }
+
+  /**
+   * 查看当前最优的前 n 条（不修改容器），用于进度上报
+   * @param {number} n
+   * @returns {Array<{sum:number,picked:Array}>}
+   */
+  peekBest(n) {
+    return this.heap
+      .slice()
+      .sort(compareEntries)
+      .slice(0, n)
+      .map(({ sum, picked }) => ({ sum, picked }));
+  }
+
+  /**
+   * 取出全部结果（sum 降序，sum 相同先插入者在前），并清空容器
+   * @returns {Array<{sum:number,picked:Array}>}
+   */
+  drain() {
+    const out = this.heap
+      .sort(compareEntries)
+      .map(({ sum, picked }) => ({ sum, picked }));
+    this.heap = [];
+    this.keys.clear();
+    return out;
+  }
+
+  // a 是否比 b 更差（更应被淘汰）
+  _worse(a, b) {
+    return a.sum < b.sum || (a.sum === b.sum && a.seq > b.seq);
+  }
+
+  _siftUp(i) {
+    const h = this.heap;
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (!this._worse(h[i], h[p])) break;
+      [h[i], h[p]] = [h[p], h[i]];
+      i = p;
+    }
+  }
+
+  _siftDown(i) {
+    const h = this.heap;
+    const n = h.length;
+    for (;;) {
+      const l = 2 * i + 1;
+      const r = l + 1;
+      let w = i;
+      if (l < n && this._worse(h[l], h[w])) w = l;
+      if (r < n && this._worse(h[r], h[w])) w = r;
+      if (w === i) break;
+      [h[i], h[w]] = [h[w], h[i]];
+      i = w;
+    }
+  }
+}
+
 /**
- * 尝试将候选解插入 topList（按 sum 降序）。
- * 通过 picked 的 key 去重，并最多保留 topK 条。
+ * 旧版实现：尝试将候选解插入 topList（按 sum 降序）。
+ * 每次插入整体排序，O(K log K)；求解器已改用 TopKHeap，此函数保留用于基准对比（scripts/bench-topk.js）。
  * @param {Array<{sum:number,picked:Array}>} topList
  * @param {Set<string>} seenKeys
  * @param {{sum:number,picked:Array}} candidate
@@ -44,6 +177,8 @@ function pushTopK(topList, seenKeys, candidate, topK) {
 }
 
 module.exports = {
+  itemKey,
   makeKey,
+  TopKHeap,
   pushTopK,
 };
@@ -0,0 +1,114 @@
+/**
+ * src/unit.js
+ * 房源标识：用于多样性上限计数、按查询指定包含/排除房源，以及结果中的“房源编号”。
+ *
+ * 格式：来源:[小区 ]幢号幢门牌号号室号室，如 "期房:2幢26号502室"、"现房:辰香苑 9号2503室"；
+ * 幢号/门牌号/室号均缺失时退化为 来源:面积-类型-来源（与 TopK 去重 key 一致）。
+ * 从数据行提取的房源带有 id（src/data.js 的 rowUnitIds，同一编号重复出现时追加 "#序号"），优先使用。
+ * 楼层/幢号/门牌号的数值取法与前端筛选一致：取末尾的数字，楼层 = 室号 ÷ 100 取整。
+ */
+
+const { itemKey } = require("./topk");
+
+// 单次查询最多可指定的房源数（指定包含时还受组合套数限制）
+const MAX_UNIT_IDS = 200;
+
+/**
+ * 单套房源的标识
+ * @param {{id?:string,area:number,type:string,srcFile:string,community?:string,buildingNo?:string,doorNo?:string,roomNo?:string}} x
+ * @returns {string}
+ */
+function unitId(x) {
+  if (x.id) return x.id;
+  const parts = [];
+  if (x.buildingNo) parts.push(`${String(x.buildingNo).trim()}幢`);
+  if (x.doorNo) parts.push(`${String(x.doorNo).trim()}号`);
+  if (x.roomNo) parts.push(`${String(x.roomNo).trim()}室`);
+  if (!parts.length) return `${x.srcFile}:${itemKey(x)}`;
+  const community = x.community ? `${String(x.community).trim()} ` : "";
+  return `${x.srcFile}:${community}${parts.join("")}`;
+}
+
+// 字段末尾的整数（如 "2"、"A2" → 2），无法解析时返回 null
+function trailingInt(v) {
+  const m = String(v ?? "").trim().match(/(\d+)$/);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+/**
+ * 楼层：室号 ÷ 100 取整，无室号时返回 null
+ * @param {{roomNo?:string}} x
+ * @returns {number|null}
+ */
+function unitFloor(x) {
+  const room = trailingInt(x.roomNo);
+  return room ? Math.floor(room / 100) : null;
+}
+
+/**
+ * 幢号（数值），缺失时返回 null
+ * @param {{buildingNo?:string}} x
+ * @returns {number|null}
+ */
+function unitBuilding(x) {
+  return trailingInt(x.buildingNo);
+}
+
+/**
+ * 门牌号（数值），缺失时返回 null
+ * @param {{doorNo?:string}} x
+ * @returns {number|null}
+ */
+function unitDoor(x) {
+  return trailingInt(x.doorNo);
+}
+
+/**
+ * 解析房源标识列表：支持数组（重复的查询参数）与逗号分隔字符串，去空、去重
+ * @param {string|string[]|undefined|null} input
+ * @param {string} name 参数名（用于错误提示）
+ * @returns {string[]}
+ * @throws {Error} 数量超过上限
+ */
+function parseUnitIdList(input, name) {
+  const raw = Array.isArray(input) ? input : input == null ? [] : [input];
+  const ids = [
+    ...new Set(
+      raw
+        .flatMap((v) => String(v).split(/[,，]/))
+        .map((s) => s.trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (ids.length > MAX_UNIT_IDS) {
+    throw new Error(`${name} 最多指定 ${MAX_UNIT_IDS} 套房源`);
+  }
+  return ids;
+}
+
+/**
+ * 校验指定包含（pin）与指定排除（ban）列表，返回规整后的 { pin, ban }
+ * @param {string|string[]} pinInput
+ * @param {string|string[]} banInput
+ * @returns {{pin:string[], ban:string[]}}
+ * @throws {Error} 同一房源既被包含又被排除，或数量超过上限
+ */
+function parseUnitSelection(pinInput, banInput) {
+  const pin = parseUnitIdList(pinInput, "pin");
+  const ban = parseUnitIdList(banInput, "ban");
+  const banned = new Set(ban);
+  const conflict = pin.find((id) => banned.has(id));
+  if (conflict) {
+    throw new Error(`房源不能同时指定包含与排除：${conflict}`);
+  }
+  return { pin, ban };
+}
+
+module.exports = {
+  unitId,
+  unitFloor,
+  unitBuilding,
+  unitDoor,
+  parseUnitIdList,
+  parseUnitSelection,
+};
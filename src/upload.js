@@ -0,0 +1,198 @@
+/**
+ * src/upload.js
+ * 管理端上传替换数据：上传期房/现房工作簿 → 解析校验并与当前 JSON 缓存比较（预览）→ 管理员确认后替换。
+ *
+ * 流程：
+ *  1) previewUpload：与启动加载相同的工作表与必需列校验（src/data.js 的 parseDatasetBuffer），
+ *     生成差异（新增、删除、面积/类型变化、将丢失的房源状态），暂存上传内容并返回 uploadId
+ *  2) takeUpload：确认时取出暂存内容；预览后数据已变化（JSON 缓存或房源状态版本不同）时拒绝，需重新上传预览
+ *  3) 调用方写入 data/ 并热重载（src/data.js 的 replaceExcel + reloadFromExcel），仍存在房源的状态保留
+ * 房源按房源编号对应（src/data.js 的 rowUnitIds：来源 + 小区/幢号/门牌号/室号，重复时追加 #序号）。
+ * 暂存内容只保存在内存中，超过 UPLOAD_TTL_MS 未确认自动丢弃。
+ */
+
+const crypto = require("crypto");
+const { DATASETS, rowUnitIds, parseDatasetBuffer, loadJson, getDatasetVersion } = require("./data");
+const { unitStatusOf, availabilityVersion } = require("./status");
+const { cellText } = require("./schema");
+const { httpError } = require("./httperror");
+
+// 预览时的数据版本：JSON 缓存 + 房源状态
+function baseVersionOf(source) {
+  return `${getDatasetVersion(DATASETS[source].json)}|${availabilityVersion()}`;
+}
+
+// 暂存的上传内容保留时长
+const UPLOAD_TTL_MS = 30 * 60 * 1000;
+// 差异明细每类最多返回的条数（数量统计不受限制）
+const MAX_DIFF_ITEMS = 500;
+// 同时暂存的上传数上限（超出时丢弃最早的）
+const MAX_PENDING_UPLOADS = 10;
+
+/** uploadId → { source, fileName, buf, baseVersion, createdAt } */
+const pending = new Map();
+
+function dropExpired(now = Date.now()) {
+  for (const [id, u] of pending) {
+    if (now - u.createdAt > UPLOAD_TTL_MS) pending.delete(id);
+  }
+}
+
+/**
+ * 规整来源参数
+ * @param {string} source qf / xf
+ * @returns {"qf"|"xf"}
+ * @throws {Error} 来源非法
+ */
+function parseUploadSource(source) {
+  const s = String(source || "").trim().toLowerCase();
+  if (!DATASETS[s]) throw new Error("source 参数无效（可选 qf / xf）");
+  return s;
+}
+
+// 差异明细中的房源：编号（不含来源前缀）+ 面积 + 类型
+function diffItem(id, row, d) {
+  return { unit: id.slice(d.label.length + 1), area: row[d.columns.area], type: row[d.columns.type] };
+}
+
+// 按房源编号索引行；幢号/门牌号/室号均缺失（编号退化为面积-类型）的行单独计数
+function indexRows(rows, source) {
+  const cols = DATASETS[source].columns;
+  const { ids } = rowUnitIds(rows, source);
+  const map = new Map();
+  let unkeyed = 0;
+  rows.forEach((row, i) => {
+    map.set(ids[i], row);
+    if (![cols.building, cols.door, cols.room].some((col) => cellText(row, col))) unkeyed++;
+  });
+  return { map, unkeyed };
+}
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== null && b !== null && Number.isFinite(na) && Number.isFinite(nb)) return na === nb;
+  return String(a ?? "").trim() === String(b ?? "").trim();
+}
+
+function limited(items) {
+  return { count: items.length, items: items.slice(0, MAX_DIFF_ITEMS), truncated: items.length > MAX_DIFF_ITEMS };
+}
+
+/**
+ * 比较当前数据与新数据
+ * @param {Array<Record<string, any>>} prevRows 当前 JSON 缓存中的行
+ * @param {Array<Record<string, any>>} nextRows 新工作簿中的行
+ * @param {"qf"|"xf"} source
+ * @returns {{rows:{before:number,after:number}, unchanged:number, unkeyed:{before:number,after:number},
+ *   added:object, removed:object, changed:object, statusLost:object}}
+ *   added / removed / changed / statusLost 均为 { count, items, truncated }；
+ *   明细为 { unit, area, type }（unit 为不含来源前缀的房源编号），statusLost 另含 status / holder，
+ *   changed 为 { unit, changes: { area?, type? }, status }（status 为保留/已确认/已撤回，可售为 null）；
+ *   unkeyed 为无幢号/门牌号/室号、按面积与类型编号的行数
+ */
+function diffRows(prevRows, nextRows, source) {
+  const d = DATASETS[source];
+  const cols = d.columns;
+  const now = Date.now();
+  // 房源的非可售状态；可售返回 null
+  const statusOf = (id) => {
+    const st = unitStatusOf(id, now);
+    return st.status === "available" ? null : st;
+  };
+  const prev = indexRows(prevRows, source);
+  const next = indexRows(nextRows, source);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const statusLost = [];
+  let unchanged = 0;
+  for (const [key, row] of prev.map) {
+    const after = next.map.get(key);
+    if (!after) {
+      removed.push(diffItem(key, row, d));
+      const st = statusOf(key);
+      if (st) statusLost.push({ ...diffItem(key, row, d), status: st.status, holder: st.holder || "" });
+      continue;
+    }
+    const changes = {};
+    for (const field of ["area", "type"]) {
+      const col = cols[field];
+      if (!sameValue(row[col], after[col])) changes[field] = { before: row[col], after: after[col] };
+    }
+    if (Object.keys(changes).length) changed.push({ unit: diffItem(key, row, d).unit, changes, status: (statusOf(key) || {}).status || null });
+    else unchanged++;
+  }
+  for (const [key, row] of next.map) {
+    if (!prev.map.has(key)) added.push(diffItem(key, row, d));
+  }
+  return {
+    rows: { before: prevRows.length, after: nextRows.length },
+    unchanged,
+    unkeyed: { before: prev.unkeyed, after: next.unkeyed },
+    added: limited(added),
+    removed: limited(removed),
+    changed: limited(changed),
+    statusLost: limited(statusLost),
+  };
+}
+
+/**
+ * 解析校验上传的工作簿并生成差异预览，暂存待确认
+ * @param {string} source qf / xf
+ * @param {Buffer} buf xlsx 文件内容
+ * @param {string} [fileName]
+ * @returns {{uploadId:string, source:string, label:string, fileName:string, columns:{area:string,type:string},
+ *   expiresInMs:number, diff:object}} columns 为面积、类型的列名（前端表头用）
+ * @throws {Error} 来源非法或工作簿校验失败
+ */
+function previewUpload(source, buf, fileName) {
+  const src = parseUploadSource(source);
+  const d = DATASETS[src];
+  const name = fileName || `${d.label}.xlsx`;
+  const rows = parseDatasetBuffer(src, buf, name);
+  const baseVersion = baseVersionOf(src);
+  const diff = diffRows(loadJson(d.json), rows, src);
+
+  dropExpired();
+  while (pending.size >= MAX_PENDING_UPLOADS) pending.delete(pending.keys().next().value);
+  const uploadId = crypto.randomUUID();
+  pending.set(uploadId, { source: src, fileName: name, buf, baseVersion, createdAt: Date.now() });
+  const columns = { area: d.columns.area, type: d.columns.type };
+  return { uploadId, source: src, label: d.label, fileName: name, columns, expiresInMs: UPLOAD_TTL_MS, diff };
+}
+
+/**
+ * 取出待确认的上传内容（取出后即移除）
+ * @param {string} uploadId
+ * @returns {{source:string, fileName:string, buf:Buffer}}
+ * @throws {Error} 不存在或已过期（status=404）、预览后数据已变化（status=409）
+ */
+function takeUpload(uploadId) {
+  dropExpired();
+  const u = pending.get(uploadId);
+  if (!u) throw httpError("上传不存在或已过期，请重新上传", 404);
+  pending.delete(uploadId);
+  if (baseVersionOf(u.source) !== u.baseVersion) {
+    throw httpError("预览后数据已变化（房源状态已修改或数据已重新加载），请重新上传预览", 409);
+  }
+  return u;
+}
+
+/**
+ * 放弃待确认的上传
+ * @param {string} uploadId
+ * @returns {boolean} 是否存在
+ */
+function cancelUpload(uploadId) {
+  return pending.delete(uploadId);
+}
+
+module.exports = {
+  parseUploadSource,
+  diffRows,
+  previewUpload,
+  takeUpload,
+  cancelUpload,
+};